@@ -0,0 +1,20 @@
+// Scenario input shared by the command-line tools: a JSON or YAML file, "-"
+// for stdin, or a calculator share link.
+
+import { readFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import YAML from 'yaml';
+import { scenarioFromHash, serializeScenario } from '../src/lib/index.js';
+
+// Scenario object from a file path, "-" for stdin, or a share link
+export const readScenario = (source) => {
+  if (source.includes('#s=')) {
+    const shared = scenarioFromHash(source.slice(source.indexOf('#')));
+    if (shared.error) throw new Error(shared.error);
+    return serializeScenario(shared.scenario);
+  }
+
+  const text = readFileSync(source === '-' ? 0 : source, 'utf8');
+  // YAML is a superset of JSON, so stdin and unknown extensions go through it
+  return extname(source).toLowerCase() === '.json' ? JSON.parse(text) : YAML.parse(text);
+};
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+// Command-line front end for the estimation engine.
+//
+//   storage-estimate scenario.yaml
+//   storage-estimate scenario.json --format csv > estimate.csv
+//   storage-estimate scenario.yaml --format markdown >> pr-description.md
+//   cat scenario.yaml | storage-estimate - --format json
+//   storage-estimate 'https://.../#s=eyJ2Ijox...'
+//
+// The scenario schema is documented in src/lib/index.js. Exits with 1 when the
+// input can't be read or any table has an input error, 2 on usage errors.
+
+import { parseArgs } from 'node:util';
+import {
+  estimateScenario, toCsv, toMarkdown, toTextTable, clusterLines, costLines,
+  describeCluster, formatBytes, ENGINES,
+} from '../src/lib/index.js';
+import { readScenario } from './read-scenario.js';
+
+const FORMATS = ['table', 'json', 'csv', 'markdown'];
+
+const USAGE = `Usage: storage-estimate <scenario.json|scenario.yaml|-|share-link> [--format ${FORMATS.join('|')}]
+
+Estimates database storage for a scenario file (JSON or YAML), a scenario on
+stdin ("-") or a calculator share link.
+
+Options:
+  -f, --format   Output format: table (default), json, csv or markdown
+  -h, --help     Show this help`;
+
+const fail = (message, code = 1) => {
+  process.stderr.write(`storage-estimate: ${message}\n`);
+  process.exit(code);
+};
+
+const main = () => {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', short: 'f', default: 'table' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (e) {
+    fail(`${e.message}\n\n${USAGE}`, 2);
+  }
+
+  const { values, positionals } = args;
+  if (values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return;
+  }
+  if (positionals.length !== 1) fail(USAGE, 2);
+  if (!FORMATS.includes(values.format)) fail(`unknown format "${values.format}"; use ${FORMATS.join(', ')}`, 2);
+
+  let estimate;
+  try {
+    estimate = estimateScenario(readScenario(positionals[0]) || {});
+  } catch (e) {
+    fail(`could not read ${positionals[0]}: ${e.message}`);
+  }
+
+  const { scenario, tables, totals, cluster, projection, cost } = estimate;
+
+  if (values.format === 'json') {
+    process.stdout.write(`${JSON.stringify({ engine: scenario.engine, tables, totals, cluster, projection, cost }, null, 2)}\n`);
+  } else if (values.format === 'csv') {
+    process.stdout.write(`${toCsv(estimate)}\n`);
+  } else if (values.format === 'markdown') {
+    process.stdout.write(toMarkdown(estimate));
+  } else {
+    process.stdout.write(`Engine: ${scenario.engine}\n\n${toTextTable(estimate)}\n`);
+    if (projection) {
+      const horizon = projection.points[projection.points.length - 1];
+      process.stdout.write(`\nProjected ${formatBytes(horizon.totalBytes)} by ${horizon.date}\n`);
+      projection.crossings.forEach(crossing => {
+        const threshold = scenario.thresholds.find(t => t.id === crossing.id);
+        const label = threshold ? `${threshold.label} (${threshold.gb} GB)` : crossing.id;
+        process.stdout.write(crossing.day === null
+          ? `  ${label}: not reached\n`
+          : `  ${label}: reached on ${crossing.date} (day ${crossing.day})\n`);
+      });
+    }
+    process.stdout.write(`\nCluster storage: ${describeCluster(cluster)}\n`);
+    clusterLines(cluster, ENGINES[scenario.engine]).forEach(line => process.stdout.write(`  ${line}\n`));
+    process.stdout.write(`\nCost on ${cost.profile.label}:\n`);
+    costLines(cost).forEach(line => process.stdout.write(`  ${line}\n`));
+  }
+
+  if (tables.some(table => table.error)) process.exitCode = 1;
+};
+
+main();
@@ -1,174 +1,201 @@
 import React, { useState, useEffect } from 'react';
-import { Database, Server, Clock, HardDrive, Calculator, Info, RotateCcw, Plus, Trash2, Settings, Calendar, Sun, Moon } from 'lucide-react';
-
-const DATA_TYPES = {
-  int: { label: 'Integer (INT)', size: 4, isVariable: false },
-  bigint: { label: 'Big Integer (BIGINT)', size: 8, isVariable: false },
-  float: { label: 'Float', size: 4, isVariable: false },
-  double: { label: 'Double', size: 8, isVariable: false },
-  uuid: { label: 'UUID', size: 16, isVariable: false },
-  datetime: { label: 'DateTime', size: 8, isVariable: false },
-  date: { label: 'Date', size: 3, isVariable: false },
-  boolean: { label: 'Boolean', size: 1, isVariable: false },
-  varchar: { label: 'String (VARCHAR)', size: 0, isVariable: true },
-  text: { label: 'Text (TEXT)', size: 0, isVariable: true },
+import { Database, Server, Clock, HardDrive, Calculator, Info, RotateCcw, Plus, Trash2, Settings, Cpu, Layers, Pin } from 'lucide-react';
+import { ENGINES } from './lib/engines.js';
+import { INDEX_KINDS } from './lib/indexModel.js';
+import { EMPTY_RESULTS, estimateProject } from './lib/estimate.js';
+import { applyCustomType, createTable, uniqueTableName, withColumns } from './lib/project.js';
+import { formatBytes } from './lib/format.js';
+import { durationError } from './lib/validation.js';
+import { COMPRESSION_MODES } from './lib/compression.js';
+import { estimateCost } from './lib/cost.js';
+import {
+  SCENARIO_FIELDS, defaultScenario, scenarioFromHash, scenarioHash, scenarioOptions,
+} from './lib/scenario.js';
+import IndexEditor from './components/IndexEditor.jsx';
+import DdlPanel from './components/DdlPanel.jsx';
+import TableTabs from './components/TableTabs.jsx';
+import ProjectTotals from './components/ProjectTotals.jsx';
+import RetentionSettings from './components/RetentionSettings.jsx';
+import RetentionSummary from './components/RetentionSummary.jsx';
+import GrowthSettings from './components/GrowthSettings.jsx';
+import GrowthChart from './components/GrowthChart.jsx';
+import ColumnList from './components/ColumnList.jsx';
+import NumberInput from './components/NumberInput.jsx';
+import DurationInput from './components/DurationInput.jsx';
+import ScenarioManager from './components/ScenarioManager.jsx';
+import ComparisonView from './components/ComparisonView.jsx';
+import ScheduleEditor from './components/ScheduleEditor.jsx';
+import AgentGroups from './components/AgentGroups.jsx';
+import CustomTypes from './components/CustomTypes.jsx';
+import CompressionSettings from './components/CompressionSettings.jsx';
+import GroupContributions from './components/GroupContributions.jsx';
+import CompressionSummary from './components/CompressionSummary.jsx';
+import ExportMenu from './components/ExportMenu.jsx';
+import PrintReport from './components/PrintReport.jsx';
+import CostSettings from './components/CostSettings.jsx';
+import CostProjection from './components/CostProjection.jsx';
+import ClusterSettings from './components/ClusterSettings.jsx';
+import ClusterFootprint from './components/ClusterFootprint.jsx';
+import MeasuredComparison from './components/MeasuredComparison.jsx';
+
+// Scenario to start from: the one in the URL when opened from a share link
+const initialScenario = () => {
+  const shared = typeof window !== 'undefined' ? scenarioFromHash(window.location.hash) : null;
+  return {
+    scenario: (shared && shared.scenario) || defaultScenario(),
+    linkError: shared ? shared.error : '',
+  };
 };
 
 const StorageCalculator = () => {
+  const [initial] = useState(initialScenario);
+  const [linkError, setLinkError] = useState(initial.linkError);
+
   // State for user inputs
-  const [numAgents, setNumAgents] = useState(100);
-  const [repeatTime, setRepeatTime] = useState("00:01:00");
-  
-  // Work Hours State
-  const [useWorkHours, setUseWorkHours] = useState(false);
-  const [workStartTime, setWorkStartTime] = useState("09:00");
-  const [workEndTime, setWorkEndTime] = useState("17:00");
-
-  // Replaces numStringCols and avgStringLength
-  const [columnCount, setColumnCount] = useState(6);
-  const [columns, setColumns] = useState(
-    Array(6).fill({ type: 'varchar', length: 50 })
-  );
-  
+  const [engine, setEngine] = useState(initial.scenario.engine);
+
+  // Each table has its own schedule, columns and indexes
+  const [tables, setTables] = useState(initial.scenario.tables);
+  const [activeTableId, setActiveTableId] = useState(initial.scenario.activeTableId);
+
+  const activeTable = tables.find(table => table.id === activeTableId) || tables[0];
+  const {
+    numAgents, repeatTime, rowsPerReport, jitterPercent, schedule, agentGroups, fillFactor, columns, indexes,
+  } = activeTable;
+
+  // Fleet growth and projection settings apply to the whole project
+  const [growth, setGrowth] = useState(initial.scenario.growth);
+  const [startDate, setStartDate] = useState(initial.scenario.startDate);
+  const [horizonMonths, setHorizonMonths] = useState(initial.scenario.horizonMonths);
+  const [thresholds, setThresholds] = useState(initial.scenario.thresholds);
+
+  // User-defined column types; columns keep a copy of the type they use
+  const [customTypes, setCustomTypes] = useState(initial.scenario.customTypes);
+  // Replicas, log retention and backups kept besides the live tables
+  const [cluster, setCluster] = useState(initial.scenario.cluster);
+  // Pricing profile, price overrides and IOPS tier of the cost projection
+  const [cost, setCost] = useState(initial.scenario.cost);
+
+  const scenario = {
+    engine, tables, activeTableId, growth, startDate, horizonMonths, thresholds, customTypes, cluster, cost,
+  };
+
+  // Replace the whole configuration, e.g. with a saved or shared scenario
+  const applyScenario = (next) => {
+    setEngine(next.engine);
+    setTables(next.tables);
+    setActiveTableId(next.activeTableId);
+    setGrowth(next.growth);
+    setStartDate(next.startDate);
+    setHorizonMonths(next.horizonMonths);
+    setThresholds(next.thresholds);
+    setCustomTypes(next.customTypes);
+    setCluster(next.cluster);
+    setCost(next.cost);
+  };
+
   // State for calculated results
-  const [results, setResults] = useState({
-    rowSize: 0,
-    rowsPerDay: 0,
-    dailySpace: 0,
-    monthlySpace: 0,
-    yearlySpace: 0,
-    activeHoursPerDay: 24
-  });
-
-  const [error, setError] = useState("");
-
-  // Helper to format bytes into readable units
-  const formatBytes = (bytes, decimals = 2) => {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const dm = decimals < 0 ? 0 : decimals;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB', 'PB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
+  const [project, setProject] = useState({ tables: [], totals: EMPTY_RESULTS, cluster: null, projection: null });
+
+  // Pinned { scenario, project, pinnedAt } to compare the edited copy against
+  const [baseline, setBaseline] = useState(null);
+  // Sizes measured by the storage-measure harness; not part of the scenario
+  const [measurement, setMeasurement] = useState(null);
+  const pinBaseline = () => setBaseline({ scenario, project, pinnedAt: new Date().toISOString() });
+
+  const activeEstimate = project.tables.find(entry => entry.id === activeTable.id);
+  const results = activeEstimate ? activeEstimate.results : EMPTY_RESULTS;
+  const error = activeEstimate ? activeEstimate.error : "";
+  const costEstimate = estimateCost(project, cost, startDate);
+
+  const engineInfo = ENGINES[engine];
+
+  // Update one field of the active table; value may be an updater function
+  const updateTable = (field, value) => {
+    setTables(prev => prev.map(table => (
+      table.id === activeTableId
+        ? { ...table, [field]: typeof value === 'function' ? value(table[field]) : value }
+        : table
+    )));
+  };
+
+  const handleAddTable = () => {
+    const table = createTable({ name: uniqueTableName(tables), fillFactor: engineInfo.page.defaultFillFactor });
+    setTables(prev => [...prev, table]);
+    setActiveTableId(table.id);
+  };
+
+  const handleRemoveTable = (id) => {
+    const remaining = tables.filter(table => table.id !== id);
+    if (remaining.length === 0) return;
+    setTables(remaining);
+    if (id === activeTableId) setActiveTableId(remaining[0].id);
+  };
+
+  // Replace the active table's columns; index references and group overrides
+  // follow columns that moved and are dropped with columns that were removed
+  const updateColumns = (nextColumns) => {
+    setTables(prev => prev.map(table => (table.id === activeTableId ? withColumns(table, nextColumns) : table)));
   };
 
-  // Helper to parse HH:MM:SS to total seconds
-  const parseTimeToSeconds = (timeStr) => {
-    const parts = timeStr.split(':');
-    if (parts.length !== 3) return 0;
-    
-    const h = parseInt(parts[0], 10);
-    const m = parseInt(parts[1], 10);
-    const s = parseInt(parts[2], 10);
-
-    if (isNaN(h) || isNaN(m) || isNaN(s)) return 0;
-    
-    return (h * 3600) + (m * 60) + s;
+  // Replace the active table's columns with columns parsed from a CREATE TABLE
+  // statement. They are all new, so every column reference is dropped.
+  const handleImportTable = (parsed) => {
+    updateTable('name', parsed.name);
+    updateColumns(parsed.columns);
   };
 
-  // Handle number of columns change
-  const handleColumnCountChange = (val) => {
-    const newCount = Math.max(0, parseInt(val) || 0);
-    setColumnCount(newCount);
-    
-    setColumns(prev => {
-      if (newCount > prev.length) {
-        // Add new columns with default varchar type
-        return [...prev, ...Array(newCount - prev.length).fill({ type: 'varchar', length: 50 })];
-      } else {
-        // Remove columns from the end
-        return prev.slice(0, newCount);
-      }
-    });
+  // Add each parsed CREATE TABLE statement as a new table of the project
+  const handleAddParsedTables = (parsedTables) => {
+    const added = parsedTables.map(parsed => createTable({
+      name: parsed.name,
+      columns: parsed.columns,
+      fillFactor: engineInfo.page.defaultFillFactor,
+    }));
+    setTables(prev => [...prev, ...added]);
+    if (added.length > 0) setActiveTableId(added[0].id);
   };
 
-  // Handle individual column updates
-  const updateColumn = (index, field, value) => {
-    const newCols = [...columns];
-    newCols[index] = { ...newCols[index], [field]: value };
-    setColumns(newCols);
+  // Switching engines resets every table's fill factor to that engine's
+  // default, and compression modes the engine lacks to none
+  const handleEngineChange = (key) => {
+    setEngine(key);
+    setTables(prev => prev.map(table => ({
+      ...table,
+      fillFactor: ENGINES[key].page.defaultFillFactor,
+      compression: COMPRESSION_MODES[table.compression]?.engines.includes(key) ? table.compression : 'none',
+    })));
   };
 
+  const options = scenarioOptions(scenario);
+
   // Main calculation effect
   useEffect(() => {
-    const calculateStorage = () => {
-      setError("");
-      
-      const seconds = parseTimeToSeconds(repeatTime);
-      
-      if (seconds <= 0) {
-        setError("Time must be greater than 0 seconds.");
-        setResults({ rowSize: 0, rowsPerDay: 0, dailySpace: 0, monthlySpace: 0, yearlySpace: 0, activeHoursPerDay: 0 });
-        return;
-      }
-
-      // --- Calculate Row Size based on Columns ---
-      let customColumnsSize = 0;
-      
-      columns.forEach(col => {
-        const typeDef = DATA_TYPES[col.type];
-        if (typeDef.isVariable) {
-          // For variable types, use user specified length + 2 bytes overhead for length prefix
-          customColumnsSize += (parseInt(col.length) || 0) + 2;
-        } else {
-          // For fixed types, use standard size
-          customColumnsSize += typeDef.size;
-        }
-      });
-
-      // Base Overhead: Primary Key (8) + Agent ID (4) + System Timestamp (8) = 20 bytes
-      const baseOverhead = 20; 
-      const singleRowSizeBytes = baseOverhead + customColumnsSize;
-
-      // --- Frequency Calculations ---
-      
-      let activeSecondsPerDay = 86400; // Default 24 hours
-
-      if (useWorkHours) {
-        const [startH, startM] = workStartTime.split(':').map(Number);
-        const [endH, endM] = workEndTime.split(':').map(Number);
-        
-        const startTotalMinutes = startH * 60 + startM;
-        const endTotalMinutes = endH * 60 + endM;
+    setProject(estimateProject(engine, tables, options));
+  }, [engine, tables, growth, startDate, horizonMonths, thresholds, cluster]);
 
-        let diffMinutes = endTotalMinutes - startTotalMinutes;
-        
-        // Handle overnight shifts (e.g. 10 PM to 6 AM)
-        if (diffMinutes < 0) {
-           diffMinutes += 1440; // Add 24 hours in minutes
-        }
-        
-        // If times are exactly the same, decide if it's 0 or 24 hours. 
-        // Usually in a "Start-End" context, same time implies 24h cycle, but let's stick to calculated 0 if user wants strict logic.
-        // However, usually 09:00 to 09:00 implies 24h.
-        if (diffMinutes === 0 && startTotalMinutes !== undefined) {
-            diffMinutes = 1440;
-        }
-
-        activeSecondsPerDay = diffMinutes * 60;
-      }
-
-      const triggersPerDayPerAgent = activeSecondsPerDay / seconds; 
-      const totalRowsPerDay = triggersPerDayPerAgent * numAgents;
-
-      const dailySizeBytes = totalRowsPerDay * singleRowSizeBytes;
-
-      setResults({
-        rowSize: singleRowSizeBytes,
-        rowsPerDay: Math.floor(totalRowsPerDay),
-        dailySpace: dailySizeBytes,
-        monthlySpace: dailySizeBytes * 30,
-        yearlySpace: dailySizeBytes * 365,
-        activeHoursPerDay: activeSecondsPerDay / 3600
-      });
-    };
+  // Keep the URL in sync so a reload or a copied address restores the
+  // scenario; runs whenever any saved part of the calculator state changes
+  useEffect(() => {
+    window.history.replaceState(null, '', scenarioHash(scenario));
+  }, SCENARIO_FIELDS.map(field => scenario[field]));
 
-    calculateStorage();
-  }, [numAgents, columns, repeatTime, useWorkHours, workStartTime, workEndTime]);
+  // A share link pasted into an open tab only changes the fragment
+  useEffect(() => {
+    const handleHashChange = () => {
+      const shared = scenarioFromHash(window.location.hash);
+      if (!shared) return;
+      if (shared.scenario) applyScenario(shared.scenario);
+      setLinkError(shared.error);
+    };
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
 
   return (
-    <div className="min-h-screen bg-slate-50 p-6 md:p-12 font-sans text-slate-800">
-      <div className="max-w-6xl mx-auto">
+    <div className="min-h-screen bg-slate-50 p-6 md:p-12 font-sans text-slate-800 print:bg-white print:p-0">
+      <PrintReport estimate={{ scenario, ...project, cost: costEstimate }} />
+      <div className="max-w-6xl mx-auto print:hidden">
         
         {/* Header */}
         <div className="mb-10 text-center">
@@ -185,171 +212,242 @@ const StorageCalculator = () => {
           
           {/* Inputs Section */}
           <div className="lg:col-span-5 space-y-6">
+            <ScenarioManager
+              scenario={scenario}
+              onLoad={(next) => { applyScenario(next); setLinkError(''); }}
+              linkError={linkError}
+            />
+
             <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
               <h2 className="text-xl font-bold mb-6 flex items-center gap-2 text-slate-700">
                 <Calculator className="w-5 h-5 text-blue-500" />
                 Configuration
               </h2>
 
-              {/* Number of Agents */}
+              {/* Database Engine */}
               <div className="mb-5">
                 <label className="block text-sm font-semibold text-slate-600 mb-2">
-                  Number of Agents
+                  Database Engine
                 </label>
                 <div className="relative">
-                  <Server className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-slate-400" />
-                  <input
-                    type="number"
-                    min="1"
-                    value={numAgents}
-                    onChange={(e) => setNumAgents(Math.max(0, parseInt(e.target.value) || 0))}
+                  <Cpu className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-slate-400" />
+                  <select
+                    value={engine}
+                    onChange={(e) => handleEngineChange(e.target.value)}
                     className="w-full pl-10 pr-4 py-3 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all outline-none text-slate-700 font-medium"
-                  />
+                  >
+                    {Object.entries(ENGINES).map(([key, info]) => (
+                      <option key={key} value={key}>{info.label}</option>
+                    ))}
+                  </select>
                 </div>
+                <p className="text-xs text-slate-400 mt-2 ml-1">{engineInfo.description}</p>
               </div>
 
-              {/* Repeat Time */}
-              <div className="mb-6">
-                <label className="block text-sm font-semibold text-slate-600 mb-2">
-                  Repeat Time (HH:MM:SS)
+              <TableTabs
+                tables={tables}
+                activeTableId={activeTable.id}
+                onSelect={setActiveTableId}
+                onAdd={handleAddTable}
+                onRemove={handleRemoveTable}
+                onRename={(name) => updateTable('name', name)}
+              />
+
+              {/* Fill Factor */}
+              <div className="mb-5">
+                <label htmlFor="fill-factor" className="block text-sm font-semibold text-slate-600 mb-2">
+                  Page Fill Factor (%)
                 </label>
-                <div className="relative">
-                  <Clock className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-slate-400" />
-                  <input
-                    type="text"
-                    value={repeatTime}
-                    onChange={(e) => setRepeatTime(e.target.value)}
-                    placeholder="00:01:00"
-                    className={`w-full pl-10 pr-4 py-3 bg-slate-50 border rounded-xl focus:ring-2 transition-all outline-none text-slate-700 font-medium ${error ? 'border-red-300 focus:ring-red-200' : 'border-slate-200 focus:ring-blue-500'}`}
-                  />
-                </div>
-                {error && <p className="text-xs text-red-500 mt-2 ml-1">{error}</p>}
+                <NumberInput
+                  id="fill-factor"
+                  icon={HardDrive}
+                  min={10}
+                  max={100}
+                  integer
+                  value={fillFactor}
+                  onChange={(value) => updateTable('fillFactor', value)}
+                  className="w-full pl-10 pr-4 py-3 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all outline-none text-slate-700 font-medium"
+                />
+                <p className="text-xs text-slate-400 mt-2 ml-1">
+                  Share of each {engineInfo.page.size / 1024} KB page filled on insert. Default for {engineInfo.label}: {engineInfo.page.defaultFillFactor}%.
+                </p>
               </div>
 
-               {/* Operational Hours Toggle */}
-               <div className="mb-6 bg-slate-50 p-4 rounded-xl border border-slate-100">
-                <div className="flex items-center justify-between mb-3">
-                  <label className="flex items-center gap-2 text-sm font-semibold text-slate-600 cursor-pointer">
-                    <Calendar className="w-4 h-4 text-blue-500" />
-                    Operational Hours
-                  </label>
-                  
-                  <div 
-                    onClick={() => setUseWorkHours(!useWorkHours)}
-                    className={`relative w-11 h-6 rounded-full transition-colors cursor-pointer ${useWorkHours ? 'bg-blue-600' : 'bg-slate-300'}`}
-                  >
-                    <div className={`absolute top-1 left-1 bg-white w-4 h-4 rounded-full transition-transform ${useWorkHours ? 'translate-x-5' : 'translate-x-0'}`} />
-                  </div>
-                </div>
-
-                {useWorkHours && (
-                  <div className="grid grid-cols-2 gap-3 animate-fadeIn">
-                    <div>
-                      <label className="block text-xs text-slate-500 mb-1 flex items-center gap-1">
-                        <Sun className="w-3 h-3" /> Start
-                      </label>
-                      <input 
-                        type="time" 
-                        value={workStartTime}
-                        onChange={(e) => setWorkStartTime(e.target.value)}
-                        className="w-full p-2 text-sm border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none bg-white"
-                      />
-                    </div>
-                    <div>
-                      <label className="block text-xs text-slate-500 mb-1 flex items-center gap-1">
-                        <Moon className="w-3 h-3" /> End
-                      </label>
-                      <input 
-                        type="time" 
-                        value={workEndTime}
-                        onChange={(e) => setWorkEndTime(e.target.value)}
-                        className="w-full p-2 text-sm border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none bg-white"
-                      />
-                    </div>
-                  </div>
-                )}
-                {!useWorkHours && (
-                  <p className="text-xs text-slate-400">Agents are active 24 hours a day.</p>
-                )}
+              {/* Number of Agents */}
+              <div className="mb-5">
+                <label htmlFor="num-agents" className="block text-sm font-semibold text-slate-600 mb-2">
+                  Number of Agents
+                </label>
+                <NumberInput
+                  id="num-agents"
+                  icon={Server}
+                  min={0}
+                  integer
+                  value={numAgents}
+                  onChange={(value) => updateTable('numAgents', value)}
+                  className="w-full pl-10 pr-4 py-3 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all outline-none text-slate-700 font-medium"
+                />
               </div>
 
-              {/* Column Configuration Header */}
-              <div className="border-t border-slate-100 pt-6">
-                <div className="flex items-center justify-between mb-4">
-                  <label className="block text-sm font-semibold text-slate-600">
-                    Data Columns
-                  </label>
-                  <div className="flex items-center gap-2">
-                    <span className="text-xs text-slate-400">Count:</span>
-                    <input 
-                      type="number"
-                      min="0"
-                      value={columnCount}
-                      onChange={(e) => handleColumnCountChange(e.target.value)}
-                      className="w-16 px-2 py-1 text-sm text-center border border-slate-200 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+              {/* Repeat Time */}
+              <div className="mb-6">
+                <label htmlFor="repeat-time" className="block text-sm font-semibold text-slate-600 mb-2">
+                  Repeat Time
+                </label>
+                <DurationInput
+                  id="repeat-time"
+                  icon={Clock}
+                  value={repeatTime}
+                  onChange={(value) => updateTable('repeatTime', value)}
+                  className="w-full pl-10 pr-4 py-3 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all outline-none text-slate-700 font-medium"
+                />
+                {/* Other errors of the estimate, e.g. an agent group's interval or work hours */}
+                {error && !durationError(repeatTime) && <p className="text-xs text-red-500 mt-2 ml-1">{error}</p>}
+                <div className="grid grid-cols-2 gap-3 mt-3">
+                  <div>
+                    <label htmlFor="rows-per-report" className="block text-xs text-slate-500 mb-1">Rows per report</label>
+                    <NumberInput
+                      id="rows-per-report"
+                      min={1}
+                      integer
+                      value={rowsPerReport}
+                      onChange={(value) => updateTable('rowsPerReport', value)}
+                      className="w-full p-2 text-sm border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none bg-white"
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="jitter-percent" className="block text-xs text-slate-500 mb-1">Interval jitter (±%)</label>
+                    <NumberInput
+                      id="jitter-percent"
+                      min={0}
+                      max={90}
+                      value={jitterPercent}
+                      onChange={(value) => updateTable('jitterPercent', value)}
+                      className="w-full p-2 text-sm border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none bg-white"
                     />
                   </div>
                 </div>
-
-                {/* Column List */}
-                <div className="space-y-3 max-h-[400px] overflow-y-auto pr-2 custom-scrollbar">
-                  {columns.map((col, idx) => (
-                    <div key={idx} className="p-3 bg-slate-50 rounded-xl border border-slate-100 flex gap-2 items-start animate-fadeIn">
-                      <div className="flex items-center justify-center w-6 h-6 rounded-full bg-slate-200 text-slate-500 text-xs font-bold mt-2 flex-shrink-0">
-                        {idx + 1}
-                      </div>
-                      <div className="flex-1 space-y-2">
-                        {/* Type Selector */}
-                        <select
-                          value={col.type}
-                          onChange={(e) => updateColumn(idx, 'type', e.target.value)}
-                          className="w-full text-sm p-2 bg-white border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none text-slate-700"
-                        >
-                          {Object.entries(DATA_TYPES).map(([key, info]) => (
-                            <option key={key} value={key}>{info.label}</option>
-                          ))}
-                        </select>
-                        
-                        {/* Length Input (Conditional) */}
-                        {DATA_TYPES[col.type].isVariable && (
-                          <div className="flex items-center gap-2">
-                             <span className="text-xs text-slate-400 whitespace-nowrap">Avg Len:</span>
-                             <input 
-                               type="number"
-                               min="1"
-                               value={col.length}
-                               onChange={(e) => updateColumn(idx, 'length', Math.max(0, parseInt(e.target.value) || 0))}
-                               className="w-full text-xs p-2 bg-white border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none"
-                               placeholder="Chars"
-                             />
-                          </div>
-                        )}
-                      </div>
-                    </div>
-                  ))}
-                  
-                  {columns.length === 0 && (
-                    <div className="text-center py-6 text-slate-400 text-sm bg-slate-50 rounded-xl border border-dashed border-slate-200">
-                      No data columns defined.
-                    </div>
-                  )}
-                </div>
+                <p className="text-xs text-slate-400 mt-2 ml-1">
+                  Type a clock time (00:01:00, fractions allowed) or units (30s, 5m, 1h 30m). Jitter spreads reports around the interval without changing the average rate.
+                </p>
               </div>
 
+              {/* Operational Hours */}
+              <ScheduleEditor schedule={schedule} onChange={(next) => updateTable('schedule', next)} />
+
+              <AgentGroups
+                groups={agentGroups}
+                onChange={(next) => updateTable('agentGroups', next)}
+                columns={columns}
+                engineInfo={engineInfo}
+                customTypes={customTypes}
+              />
+
+              <RetentionSettings table={activeTable} onChange={updateTable} />
+
+              <CompressionSettings table={activeTable} engine={engine} engineInfo={engineInfo} onChange={updateTable} />
+
+              <ColumnList
+                columns={columns}
+                onChange={updateColumns}
+                engineInfo={engineInfo}
+                customTypes={customTypes}
+                showCardinality={activeTable.compression !== 'none'}
+              />
+
+              <CustomTypes
+                types={customTypes}
+                onChange={setCustomTypes}
+                onUpdate={(type) => setTables(prev => applyCustomType(prev, type))}
+              />
+
+              <IndexEditor
+                indexes={indexes}
+                onChange={(value) => updateTable('indexes', value)}
+                columns={columns}
+                engineInfo={engineInfo}
+              />
+
+              <DdlPanel
+                engine={engine}
+                tableName={activeTable.name}
+                onTableNameChange={(name) => updateTable('name', name)}
+                columns={columns}
+                indexes={indexes}
+                onImport={handleImportTable}
+                onAddTables={handleAddParsedTables}
+              />
+
             </div>
+
+            <GrowthSettings
+              growth={growth}
+              onGrowthChange={setGrowth}
+              startDate={startDate}
+              onStartDateChange={setStartDate}
+              horizonMonths={horizonMonths}
+              onHorizonChange={setHorizonMonths}
+              thresholds={thresholds}
+              onThresholdsChange={setThresholds}
+            />
+
+            <ClusterSettings cluster={cluster} onChange={setCluster} walLabel={engineInfo.wal.label} />
+
+            <CostSettings cost={cost} onChange={setCost} />
             
             {/* Assumption Note */}
             <div className="bg-blue-50 p-4 rounded-xl flex gap-3 items-start border border-blue-100">
               <Info className="w-5 h-5 text-blue-600 flex-shrink-0 mt-0.5" />
-              <p className="text-xs text-blue-800 leading-relaxed">
-                Total size includes ~20 bytes base overhead (Primary Keys, IDs, Timestamps) plus the size of your configured columns. Variable string types include +2 bytes for length prefixes.
-              </p>
+              <div className="text-xs text-blue-800 leading-relaxed">
+                <p className="font-semibold mb-1">{engineInfo.label} assumptions</p>
+                <ul className="list-disc ml-4 space-y-0.5">
+                  {engineInfo.assumptions.map((line) => (
+                    <li key={line}>{line}</li>
+                  ))}
+                </ul>
+                {results.breakdown && (
+                  <p className="mt-2 text-blue-700">
+                    {results.rowSizeWorst !== results.rowSize ? 'Average row' : 'Row'}: {results.breakdown.header} header + {results.breakdown.nullBitmap} null bitmap
+                    + {results.breakdown.lengthPrefixes} length prefixes + {results.breakdown.padding} padding
+                    + {results.breakdown.systemColumns} system columns + {results.breakdown.dataColumns} data = {results.rowSize} bytes
+                  </p>
+                )}
+              </div>
             </div>
           </div>
 
           {/* Results Section */}
           <div className="lg:col-span-7 space-y-6">
-            
+
+            <ExportMenu
+              estimate={{ scenario, ...project, cost: costEstimate }}
+              onImport={(next) => { applyScenario(next); setLinkError(''); }}
+            />
+
+            {baseline ? (
+              <ComparisonView
+                baseline={baseline}
+                current={{ scenario, project }}
+                onRepin={pinBaseline}
+                onRestore={() => applyScenario(baseline.scenario)}
+                onClear={() => setBaseline(null)}
+              />
+            ) : (
+              <button
+                type="button"
+                onClick={pinBaseline}
+                className="w-full flex items-center justify-center gap-2 p-3 text-sm font-medium text-blue-600 bg-white border border-dashed border-blue-200 rounded-2xl hover:bg-blue-50 transition-colors"
+              >
+                <Pin className="w-4 h-4" /> Pin current result as baseline to compare changes
+              </button>
+            )}
+
+            <ProjectTotals
+              project={project}
+              activeTableId={activeTable.id}
+              onSelect={setActiveTableId}
+            />
+
             {/* Main Stats Cards */}
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-200 flex flex-col justify-between">
@@ -361,11 +459,15 @@ const StorageCalculator = () => {
                 </div>
                 <div>
                   <span className="text-3xl font-bold text-slate-800">
-                    {results.rowSize} <span className="text-lg font-normal text-slate-500">bytes</span>
+                    {results.rowSize} <span className="text-lg font-normal text-slate-500">bytes avg</span>
                   </span>
                   <p className="text-xs text-slate-400 mt-1">
-                    20 bytes system + {results.rowSize - 20} bytes data
+                    {results.overheadBytes} bytes overhead + {Math.round((results.rowSize - results.overheadBytes) * 10) / 10} bytes data
                   </p>
+                  <div className="flex gap-4 mt-2 text-xs">
+                    <span className="text-slate-500">p95 <span className="font-semibold text-slate-700">{results.rowSizeP95} B</span></span>
+                    <span className="text-slate-500">worst <span className="font-semibold text-slate-700">{results.rowSizeWorst} B</span></span>
+                  </div>
                 </div>
               </div>
               
@@ -380,17 +482,60 @@ const StorageCalculator = () => {
                   <span className="text-3xl font-bold text-slate-800">
                     {results.rowsPerDay.toLocaleString()}
                   </span>
-                  <p className="text-xs text-slate-400 mt-1">Per day ({results.activeHoursPerDay.toFixed(1)} hrs active)</p>
+                  <p className="text-xs text-slate-400 mt-1">Per average day ({results.activeHoursPerDay.toFixed(1)} hrs active per agent)</p>
                 </div>
               </div>
             </div>
 
+            {/* Page Layout */}
+            {results.pageLayout && (
+              <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-200">
+                <div className="flex items-center gap-3 mb-4">
+                  <div className="p-2 bg-amber-100 rounded-lg text-amber-600">
+                    <HardDrive className="w-5 h-5" />
+                  </div>
+                  <span className="text-sm font-semibold text-slate-500">Page Layout</span>
+                </div>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                  <div>
+                    <div className="text-xl font-bold text-slate-800">{formatBytes(results.pageLayout.pageSize)}</div>
+                    <p className="text-xs text-slate-400">Page size</p>
+                  </div>
+                  <div>
+                    <div className="text-xl font-bold text-slate-800">
+                      {results.pageLayout.rowsPerPage >= 1
+                        ? results.pageLayout.rowsPerPage.toLocaleString()
+                        : `1 / ${Math.round(1 / results.pageLayout.rowsPerPage)}`}
+                    </div>
+                    <p className="text-xs text-slate-400">Rows per page</p>
+                  </div>
+                  <div>
+                    <div className="text-xl font-bold text-slate-800">{results.pagesPerDay.toLocaleString()}</div>
+                    <p className="text-xs text-slate-400">Pages per day</p>
+                  </div>
+                  <div>
+                    <div className="text-xl font-bold text-slate-800">{results.pageLayout.fillFactor}%</div>
+                    <p className="text-xs text-slate-400">Fill factor</p>
+                  </div>
+                </div>
+                <p className="text-xs text-slate-400 mt-4">
+                  {engineInfo.page.note} {formatBytes(results.pageLayout.wastedBytesPerPage)} per page left free by fill factor and uneven packing.
+                </p>
+              </div>
+            )}
+
+            <GroupContributions results={results} />
+
+            <CompressionSummary results={results} />
+
+            <RetentionSummary retention={results.retention} title={`Retention — ${activeTable.name}`} />
+
             {/* Detailed Forecast */}
             <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
               <div className="p-6 border-b border-slate-100 bg-slate-50/50 flex justify-between items-center">
                 <h3 className="text-lg font-bold text-slate-800">Storage Forecast</h3>
                 <span className="text-xs font-medium px-2 py-1 bg-blue-100 text-blue-700 rounded-md">
-                   {columns.length} columns configured
+                   {activeTable.name} · {columns.length} columns configured
                 </span>
               </div>
               
@@ -402,11 +547,24 @@ const StorageCalculator = () => {
                      </div>
                      <div>
                         <h4 className="text-base font-medium text-slate-700">Daily</h4>
+                        <p className="text-xs text-slate-400">Average day</p>
                      </div>
                   </div>
                   <div className="text-right">
                     <div className="text-xl font-bold text-slate-800">{formatBytes(results.dailySpace)}</div>
-                    <div className="text-xs text-slate-400">{results.dailySpace.toLocaleString()} bytes</div>
+                    <div className="text-xs text-slate-400">{results.dailySpace.toLocaleString()} bytes on disk</div>
+                    <div className="text-xs text-slate-400">
+                      {formatBytes(results.dailyTableSpace)} table + {formatBytes(results.dailySpace - results.dailyTableSpace - results.dailyArchiveSpace)} indexes
+                    </div>
+                    {results.dailyArchiveSpace > 0 && (
+                      <div className="text-xs text-slate-400">+ {formatBytes(results.dailyArchiveSpace)} archive tier</div>
+                    )}
+                    <div className="text-xs text-slate-400">{formatBytes(results.dailyRawSpace)} raw row data</div>
+                    {results.compression && (
+                      <div className="text-xs text-emerald-600">
+                        {formatBytes(results.dailyUncompressedSpace)} uncompressed ({(results.dailyUncompressedSpace / Math.max(1, results.dailySpace)).toFixed(1)}x smaller)
+                      </div>
+                    )}
                   </div>
                 </div>
 
@@ -417,11 +575,24 @@ const StorageCalculator = () => {
                      </div>
                      <div>
                         <h4 className="text-base font-medium text-slate-700">Monthly</h4>
+                        <p className="text-xs text-slate-400">{results.periodDays.monthly} days from the start date</p>
                      </div>
                   </div>
                   <div className="text-right">
                     <div className="text-xl font-bold text-blue-700">{formatBytes(results.monthlySpace)}</div>
-                    <div className="text-xs text-slate-400">{results.monthlySpace.toLocaleString()} bytes</div>
+                    <div className="text-xs text-slate-400">{results.monthlySpace.toLocaleString()} bytes on disk</div>
+                    <div className="text-xs text-slate-400">
+                      {formatBytes(results.monthlyTableSpace)} table + {formatBytes(results.monthlySpace - results.monthlyTableSpace - results.monthlyArchiveSpace)} indexes
+                    </div>
+                    {results.monthlyArchiveSpace > 0 && (
+                      <div className="text-xs text-slate-400">+ {formatBytes(results.monthlyArchiveSpace)} archive tier</div>
+                    )}
+                    <div className="text-xs text-slate-400">{formatBytes(results.monthlyRawSpace)} raw row data</div>
+                    {results.compression && (
+                      <div className="text-xs text-emerald-600">
+                        {formatBytes(results.monthlyUncompressedSpace)} uncompressed ({(results.monthlyUncompressedSpace / Math.max(1, results.monthlySpace)).toFixed(1)}x smaller)
+                      </div>
+                    )}
                   </div>
                 </div>
 
@@ -432,36 +603,85 @@ const StorageCalculator = () => {
                      </div>
                      <div>
                         <h4 className="text-base font-medium text-slate-700">Yearly</h4>
+                        <p className="text-xs text-slate-400">{results.periodDays.yearly} days from the start date</p>
                      </div>
                   </div>
                   <div className="text-right">
                     <div className="text-xl font-bold text-indigo-600">{formatBytes(results.yearlySpace)}</div>
-                    <div className="text-xs text-slate-400">{results.yearlySpace.toLocaleString()} bytes</div>
+                    <div className="text-xs text-slate-400">{results.yearlySpace.toLocaleString()} bytes on disk</div>
+                    <div className="text-xs text-slate-400">
+                      {formatBytes(results.yearlyTableSpace)} table + {formatBytes(results.yearlySpace - results.yearlyTableSpace - results.yearlyArchiveSpace)} indexes
+                    </div>
+                    {results.yearlyArchiveSpace > 0 && (
+                      <div className="text-xs text-slate-400">+ {formatBytes(results.yearlyArchiveSpace)} archive tier</div>
+                    )}
+                    <div className="text-xs text-slate-400">{formatBytes(results.yearlyRawSpace)} raw row data</div>
+                    {results.compression && (
+                      <div className="text-xs text-emerald-600">
+                        {formatBytes(results.yearlyUncompressedSpace)} uncompressed ({(results.yearlyUncompressedSpace / Math.max(1, results.yearlySpace)).toFixed(1)}x smaller)
+                      </div>
+                    )}
                   </div>
                 </div>
               </div>
             </div>
             
-             {/* Visual Bar Graph Approximation */}
-              <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-200">
-                 <div className="flex justify-between text-xs font-semibold text-slate-500 mb-4 uppercase tracking-wide">
-                    <span>Yearly Accumulation</span>
-                 </div>
-                 <div className="h-6 w-full bg-slate-100 rounded-full overflow-hidden flex shadow-inner">
-                    <div style={{width: '0.27%'}} className="h-full bg-blue-400 min-w-[2px]" title="Daily"></div>
-                    <div style={{width: '8.2%'}} className="h-full bg-blue-600 border-l border-white/20" title="Monthly"></div>
-                    <div className="flex-1 h-full bg-indigo-600 border-l border-white/20 relative" title="Yearly">
-                       <span className="absolute inset-0 flex items-center justify-center text-[10px] text-white font-medium opacity-80">
-                          {formatBytes(results.yearlySpace)}
-                       </span>
-                    </div>
-                 </div>
-                 <div className="flex justify-center gap-6 mt-4 text-[10px] text-slate-400 font-medium">
-                    <span className="flex items-center gap-1.5"><div className="w-2 h-2 rounded-full bg-blue-400"></div> Daily</span>
-                    <span className="flex items-center gap-1.5"><div className="w-2 h-2 rounded-full bg-blue-600"></div> Monthly</span>
-                    <span className="flex items-center gap-1.5"><div className="w-2 h-2 rounded-full bg-indigo-600"></div> Yearly</span>
-                 </div>
+            {/* Table vs Index Breakdown */}
+            <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
+              <div className="p-6 border-b border-slate-100 bg-slate-50/50 flex items-center gap-2">
+                <Layers className="w-5 h-5 text-blue-500" />
+                <h3 className="text-lg font-bold text-slate-800">Table &amp; Index Breakdown</h3>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-xs text-slate-400 uppercase tracking-wide text-left">
+                      <th className="px-6 py-3 font-semibold">Object</th>
+                      <th className="px-3 py-3 font-semibold text-right">Daily</th>
+                      <th className="px-3 py-3 font-semibold text-right">Monthly</th>
+                      <th className="px-6 py-3 font-semibold text-right">Yearly</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-100">
+                    <tr>
+                      <td className="px-6 py-3 font-medium text-slate-700">Table</td>
+                      <td className="px-3 py-3 text-right text-slate-600">{formatBytes(results.dailyTableSpace)}</td>
+                      <td className="px-3 py-3 text-right text-slate-600">{formatBytes(results.monthlyTableSpace)}</td>
+                      <td className="px-6 py-3 text-right text-slate-600">{formatBytes(results.yearlyTableSpace)}</td>
+                    </tr>
+                    {results.indexSizes.yearly.map((index, i) => (
+                      <tr key={index.id}>
+                        <td className="px-6 py-3">
+                          <div className="font-medium text-slate-700">
+                            {index.name} <span className="text-xs font-normal text-slate-400">{INDEX_KINDS[index.kind].label}</span>
+                          </div>
+                          <div className="text-xs text-slate-400">
+                            {Math.round(index.entryBytes)} B/entry · yearly leaf {formatBytes(index.leafBytes)} + inner {formatBytes(index.innerBytes)}
+                            {index.note && <> · {index.note}</>}
+                          </div>
+                        </td>
+                        <td className="px-3 py-3 text-right text-slate-600">{formatBytes(results.indexSizes.daily[i].totalBytes)}</td>
+                        <td className="px-3 py-3 text-right text-slate-600">{formatBytes(results.indexSizes.monthly[i].totalBytes)}</td>
+                        <td className="px-6 py-3 text-right text-slate-600">{formatBytes(index.totalBytes)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
               </div>
+              <p className="px-6 py-4 text-xs text-slate-400 border-t border-slate-100">{engineInfo.index.note}</p>
+            </div>
+
+            <ClusterFootprint cluster={project.cluster} tables={project.tables} wal={engineInfo.wal} />
+
+            <GrowthChart
+              projection={project.projection}
+              tables={project.tables}
+              thresholds={options.thresholds}
+            />
+
+            <CostProjection cost={costEstimate} />
+
+            <MeasuredComparison tables={tables} engine={engine} measurement={measurement} onChange={setMeasurement} />
 
           </div>
         </div>
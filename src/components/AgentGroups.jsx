@@ -0,0 +1,218 @@
+import React, { useState } from 'react';
+import { Users, Plus, Trash2, ChevronDown, ChevronRight, Columns } from 'lucide-react';
+import { createAgentGroup, overrideFields } from '../lib/project.js';
+import { describeSchedule } from '../lib/schedule.js';
+import ScheduleEditor from './ScheduleEditor.jsx';
+import ColumnEditor from './ColumnEditor.jsx';
+import DurationInput from './DurationInput.jsx';
+import NumberInput from './NumberInput.jsx';
+
+const inputClass = "w-full p-2 text-sm border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none bg-white";
+
+const columnLabel = (col, idx) => col.name || `Column ${idx + 1}`;
+
+// Columns whose values differ for one group's rows, e.g. larger payloads
+const ColumnOverrides = ({ group, columns, engineInfo, customTypes, onChange }) => {
+  const overrides = group.columnOverrides || {};
+  const free = columns.map((col, idx) => idx).filter(idx => !overrides[idx]);
+
+  const setOverride = (idx, column) => {
+    const fields = overrideFields(columns[idx], column);
+    onChange({ ...overrides, [idx]: fields });
+  };
+  const removeOverride = (idx) => onChange(Object.fromEntries(
+    Object.entries(overrides).filter(([position]) => Number(position) !== idx),
+  ));
+
+  return (
+    <div className="mt-3">
+      <div className="flex items-center justify-between mb-2">
+        <span className="flex items-center gap-1 text-xs font-semibold text-slate-600">
+          <Columns className="w-3.5 h-3.5 text-slate-400" />
+          Column overrides
+        </span>
+        {free.length > 0 && (
+          <select
+            value=""
+            onChange={(e) => e.target.value !== '' && onChange({ ...overrides, [e.target.value]: {} })}
+            aria-label="Override a column"
+            className="text-xs p-1.5 bg-white border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none text-slate-600"
+          >
+            <option value="">Override a column…</option>
+            {free.map(idx => <option key={idx} value={idx}>{columnLabel(columns[idx], idx)}</option>)}
+          </select>
+        )}
+      </div>
+      {Object.keys(overrides).length === 0 && (
+        <p className="text-xs text-slate-400">This group writes the same row shape as the table.</p>
+      )}
+      <div className="space-y-2">
+        {Object.keys(overrides).map(Number).filter(idx => columns[idx]).map(idx => (
+          <div key={idx} className="flex gap-2 p-2 bg-slate-50 rounded-lg border border-slate-100">
+            <div className="flex-1">
+              <div className="text-xs text-slate-500 mb-1">{columnLabel(columns[idx], idx)}</div>
+              <ColumnEditor
+                column={{ ...columns[idx], ...overrides[idx] }}
+                onChange={(column) => setOverride(idx, column)}
+                engineInfo={engineInfo}
+                customTypes={customTypes}
+              />
+            </div>
+            <button
+              type="button"
+              onClick={() => removeOverride(idx)}
+              className="self-start p-1.5 text-slate-400 hover:text-red-500"
+              aria-label={`Remove override of ${columnLabel(columns[idx], idx)}`}
+            >
+              <Trash2 className="w-3.5 h-3.5" />
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Extra groups of agents writing to the same table, e.g. gateways reporting
+// more often or regions in other time zones, each with its own count,
+// cadence, schedule and row shape
+const AgentGroups = ({ groups, onChange, columns, engineInfo, customTypes }) => {
+  const [openId, setOpenId] = useState(null);
+
+  const updateGroup = (id, field, value) => onChange(groups.map(group => (
+    group.id === id ? { ...group, [field]: value } : group
+  )));
+
+  const handleAdd = () => {
+    const group = createAgentGroup({ name: `Group ${groups.length + 1}` });
+    onChange([...groups, group]);
+    setOpenId(group.id);
+  };
+
+  return (
+    <div className="mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <label className="flex items-center gap-2 text-sm font-semibold text-slate-600">
+          <Users className="w-4 h-4 text-blue-500" />
+          Agent Groups
+        </label>
+        <button
+          type="button"
+          onClick={handleAdd}
+          className="flex items-center gap-1 text-xs font-medium text-blue-600 hover:text-blue-700"
+        >
+          <Plus className="w-3 h-3" /> Add group
+        </button>
+      </div>
+      <p className="text-xs text-slate-400 mb-3">
+        {groups.length === 0
+          ? 'All agents share the settings above. Add a group for agents with another interval, region or payload.'
+          : 'Agents above form the default group; each group below writes on its own cadence and schedule.'}
+      </p>
+
+      <div className="space-y-2">
+        {groups.map(group => {
+          const open = openId === group.id;
+          const overrideCount = Object.keys(group.columnOverrides || {}).length;
+          return (
+            <div key={group.id} className="bg-white rounded-xl border border-slate-200">
+              <div className="flex items-center gap-2 p-2">
+                <button
+                  type="button"
+                  onClick={() => setOpenId(open ? null : group.id)}
+                  className="p-1 text-slate-400 hover:text-slate-600"
+                  aria-label={open ? `Collapse ${group.name}` : `Edit ${group.name}`}
+                  aria-expanded={open}
+                >
+                  {open ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                </button>
+                <input
+                  type="text"
+                  value={group.name}
+                  onChange={(e) => updateGroup(group.id, 'name', e.target.value)}
+                  aria-label="Group name"
+                  className={inputClass}
+                />
+                <NumberInput
+                  min={0}
+                  integer
+                  value={group.numAgents}
+                  onChange={(value) => updateGroup(group.id, 'numAgents', value)}
+                  aria-label={`${group.name} agents`}
+                  wrapperClassName="w-24 flex-shrink-0"
+                  className={inputClass}
+                />
+                <button
+                  type="button"
+                  onClick={() => onChange(groups.filter(other => other.id !== group.id))}
+                  className="p-1.5 text-slate-400 hover:text-red-500"
+                  aria-label={`Remove ${group.name}`}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+              {open ? (
+                <div className="px-3 pb-3">
+                  <div className="mb-2">
+                    <label htmlFor={`${group.id}-every`} className="block text-xs text-slate-500 mb-1">Every</label>
+                    <DurationInput
+                      id={`${group.id}-every`}
+                      value={group.repeatTime}
+                      onChange={(value) => updateGroup(group.id, 'repeatTime', value)}
+                      className={inputClass}
+                    />
+                  </div>
+                  <div className="grid grid-cols-2 gap-2 mb-3">
+                    <div>
+                      <label htmlFor={`${group.id}-rows`} className="block text-xs text-slate-500 mb-1">Rows / report</label>
+                      <NumberInput
+                        id={`${group.id}-rows`}
+                        min={1}
+                        integer
+                        value={group.rowsPerReport}
+                        onChange={(value) => updateGroup(group.id, 'rowsPerReport', value)}
+                        className={inputClass}
+                      />
+                    </div>
+                    <div>
+                      <label htmlFor={`${group.id}-jitter`} className="block text-xs text-slate-500 mb-1">Jitter (±%)</label>
+                      <NumberInput
+                        id={`${group.id}-jitter`}
+                        min={0}
+                        max={90}
+                        value={group.jitterPercent}
+                        onChange={(value) => updateGroup(group.id, 'jitterPercent', value)}
+                        className={inputClass}
+                      />
+                    </div>
+                  </div>
+                  <ScheduleEditor
+                    schedule={group.schedule}
+                    onChange={(schedule) => updateGroup(group.id, 'schedule', schedule)}
+                    title={`${group.name} hours`}
+                  />
+                  <ColumnOverrides
+                    group={group}
+                    columns={columns}
+                    engineInfo={engineInfo}
+                    customTypes={customTypes}
+                    onChange={(overrides) => updateGroup(group.id, 'columnOverrides', overrides)}
+                  />
+                </div>
+              ) : (
+                <p className="px-3 pb-2 text-xs text-slate-400 truncate">
+                  Every {group.repeatTime}
+                  {group.rowsPerReport > 1 && ` × ${group.rowsPerReport} rows`}
+                  {' · '}{describeSchedule(group.schedule)}
+                  {overrideCount > 0 && ` · ${overrideCount} column override${overrideCount === 1 ? '' : 's'}`}
+                </p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default AgentGroups;
@@ -0,0 +1,89 @@
+import React from 'react';
+import { Network } from 'lucide-react';
+import { formatBytes } from '../lib/format.js';
+import { FOOTPRINT_PARTS } from '../lib/cluster.js';
+
+const PERIOD_LABELS = { daily: 'After a day', monthly: 'After a month', yearly: 'After a year' };
+const PART_COLORS = { primary: 'bg-blue-500', replicas: 'bg-indigo-400', wal: 'bg-amber-400', backups: 'bg-emerald-400' };
+
+// Total cluster storage per forecast period, split into the primary, its
+// replicas, retained log and backups, with the log volume each table writes
+const ClusterFootprint = ({ cluster, tables, wal }) => {
+  if (!cluster) return null;
+  const label = (part) => (part.key === 'wal' ? wal.label : part.label);
+  const { yearly } = cluster;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
+      <div className="p-6 border-b border-slate-100 bg-slate-50/50 flex items-center gap-3">
+        <div className="p-2 bg-indigo-100 rounded-lg text-indigo-600">
+          <Network className="w-5 h-5" />
+        </div>
+        <div>
+          <h3 className="text-lg font-bold text-slate-800">Cluster Storage</h3>
+          <p className="text-xs text-slate-400">Tables plus replicas, {wal.label} and backups</p>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-left">
+          <thead className="text-xs text-slate-500 uppercase bg-slate-50">
+            <tr>
+              <th className="px-6 py-3 font-semibold">Period</th>
+              {FOOTPRINT_PARTS.map(part => (
+                <th key={part.key} className="px-3 py-3 font-semibold text-right">{label(part)}</th>
+              ))}
+              <th className="px-6 py-3 font-semibold text-right">Total</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {['daily', 'monthly', 'yearly'].map(period => (
+              <tr key={period} className="hover:bg-slate-50">
+                <td className="px-6 py-3 font-medium text-slate-700">{PERIOD_LABELS[period]}</td>
+                {FOOTPRINT_PARTS.map(part => (
+                  <td key={part.key} className="px-3 py-3 text-right text-slate-600">{formatBytes(cluster[period][part.key])}</td>
+                ))}
+                <td className="px-6 py-3 text-right font-semibold text-slate-800">{formatBytes(cluster[period].total)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {yearly.total > 0 && (
+        <div className="px-6 py-4 border-t border-slate-100">
+          <div className="flex h-3 rounded-full overflow-hidden bg-slate-100">
+            {FOOTPRINT_PARTS.map(part => (
+              <div
+                key={part.key}
+                className={PART_COLORS[part.key]}
+                style={{ width: `${(yearly[part.key] / yearly.total) * 100}%` }}
+                title={`${label(part)}: ${formatBytes(yearly[part.key])}`}
+              />
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs text-slate-500">
+            {FOOTPRINT_PARTS.map(part => (
+              <span key={part.key} className="flex items-center gap-1">
+                <span className={`w-2 h-2 rounded-full ${PART_COLORS[part.key]}`} />
+                {label(part)} {Math.round((yearly[part.key] / yearly.total) * 100)}%
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="px-6 py-3 text-xs text-slate-400 border-t border-slate-100 space-y-1">
+        {tables.filter(entry => !entry.error).map(entry => (
+          <p key={entry.id}>
+            {entry.name}: {Math.round(entry.results.walBytesPerRow).toLocaleString()} B of {wal.label} per row,{' '}
+            {formatBytes(entry.results.walBytesPerDay)} / day
+          </p>
+        ))}
+        <p>{wal.note}</p>
+      </div>
+    </div>
+  );
+};
+
+export default ClusterFootprint;
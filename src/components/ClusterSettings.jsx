@@ -0,0 +1,96 @@
+import React from 'react';
+import { Network, ArchiveRestore } from 'lucide-react';
+
+const inputClass = "w-full p-2 text-sm border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none bg-white";
+
+const toInt = (value) => Math.max(0, parseInt(value) || 0);
+
+// Replicas, log retention and backup schedule of the database cluster; they
+// size the storage kept besides the live tables
+const ClusterSettings = ({ cluster, onChange, walLabel }) => {
+  const update = (field, value) => onChange({ ...cluster, [field]: value });
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <h2 className="text-xl font-bold mb-6 flex items-center gap-2 text-slate-700">
+        <Network className="w-5 h-5 text-blue-500" />
+        Replicas &amp; Backups
+      </h2>
+
+      <div className="grid grid-cols-2 gap-3 mb-5">
+        <div>
+          <label className="block text-xs text-slate-500 mb-1">Read replicas</label>
+          <input
+            type="number"
+            min="0"
+            value={cluster.replicas}
+            onChange={(e) => update('replicas', toInt(e.target.value))}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-slate-500 mb-1">{walLabel} retention (days)</label>
+          <input
+            type="number"
+            min="0"
+            value={cluster.logRetentionDays}
+            onChange={(e) => update('logRetentionDays', toInt(e.target.value))}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <label className="flex items-center gap-2 text-sm font-semibold text-slate-600 mb-3">
+        <ArchiveRestore className="w-4 h-4 text-blue-500" />
+        Backup schedule
+      </label>
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs text-slate-500 mb-1">Full backup every (days)</label>
+          <input
+            type="number"
+            min="1"
+            value={cluster.fullBackupIntervalDays}
+            onChange={(e) => update('fullBackupIntervalDays', Math.max(1, toInt(e.target.value)))}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-slate-500 mb-1">Full backups kept</label>
+          <input
+            type="number"
+            min="0"
+            value={cluster.backupsRetained}
+            onChange={(e) => update('backupsRetained', toInt(e.target.value))}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-slate-500 mb-1">Backup compression (x:1)</label>
+          <input
+            type="number"
+            min="1"
+            step="0.5"
+            value={cluster.backupCompression}
+            onChange={(e) => update('backupCompression', Math.max(1, parseFloat(e.target.value) || 1))}
+            className={inputClass}
+          />
+        </div>
+      </div>
+      <label className="flex items-center gap-2 text-xs font-semibold text-slate-600 mt-4 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={cluster.incrementalBackups}
+          onChange={(e) => update('incrementalBackups', e.target.checked)}
+          className="rounded border-slate-300 text-blue-600 focus:ring-blue-500"
+        />
+        Daily incremental backups between fulls
+      </label>
+      <p className="text-xs text-slate-400 mt-3">
+        Each full backup holds the database as it was when taken; incrementals add a day of writes each.
+      </p>
+    </div>
+  );
+};
+
+export default ClusterSettings;
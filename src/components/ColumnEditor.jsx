@@ -0,0 +1,256 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { LENGTH_DISTRIBUTIONS, distributionMode, defaultDistribution, meanLength } from '../lib/columnStats.js';
+import { DATA_TYPES, ARRAY_ELEMENT_TYPES, CHARSETS, resolveType, customTypeDef } from '../lib/engines.js';
+
+const smallInput = "w-full text-xs p-2 bg-white border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none";
+
+const toLength = (value) => Math.max(0, parseInt(value) || 0);
+
+const TYPE_GROUPS = [...new Set(Object.values(DATA_TYPES).map(type => type.group))];
+
+// Select value of a column's type; custom types are listed by id
+const typeValue = (column) => (column.type === 'custom' && column.customType ? `custom:${column.customType.id}` : column.type);
+
+// Inputs for the parameters a type's size depends on (precision, scale,
+// enum labels, IP version, array element type)
+const TypeParams = ({ column, update, engineInfo }) => {
+  const type = DATA_TYPES[column.type];
+  const params = Object.entries((type && type.params) || {});
+  if (params.length === 0) return null;
+
+  return (
+    <div className={`grid gap-2 ${params.length > 1 ? 'grid-cols-2' : 'grid-cols-1'}`}>
+      {params.map(([name, spec]) => (
+        <label key={name} className="text-[10px] text-slate-400">
+          {spec.label}
+          {name === 'elementType' && (
+            <select value={column[name] ?? spec.default} onChange={(e) => update(name, e.target.value)} className={smallInput}>
+              {ARRAY_ELEMENT_TYPES.map(key => <option key={key} value={key}>{engineInfo.types[key].label}</option>)}
+            </select>
+          )}
+          {spec.options && (
+            <select value={column[name] ?? spec.default} onChange={(e) => update(name, Number(e.target.value))} className={smallInput}>
+              {spec.options.map(option => <option key={option} value={option}>{option}</option>)}
+            </select>
+          )}
+          {name !== 'elementType' && !spec.options && (
+            <input
+              type="number"
+              min={spec.min}
+              max={spec.max}
+              value={column[name] ?? ''}
+              placeholder={spec.default === undefined ? 'Default' : String(spec.default)}
+              onChange={(e) => update(name, e.target.value === ''
+                ? undefined
+                : Math.min(spec.max, Math.max(spec.min, parseInt(e.target.value) || 0)))}
+              className={smallInput}
+            />
+          )}
+        </label>
+      ))}
+    </div>
+  );
+};
+
+// Type, null share and length distribution of one data column, plus its
+// number of distinct values when the table is compressed. customTypes is
+// the project's library of user-defined types.
+const ColumnEditor = ({ column, onChange, engineInfo, customTypes = [], showCardinality = false }) => {
+  const def = resolveType(engineInfo, column);
+  const type = DATA_TYPES[column.type];
+  const unit = (type && type.lengthUnit) || 'units';
+  const mode = distributionMode(column);
+  const update = (field, value) => onChange({ ...column, [field]: value });
+
+  const changeType = (value) => {
+    if (value.startsWith('custom:')) {
+      const customType = customTypes.find(custom => `custom:${custom.id}` === value);
+      onChange({ ...column, type: 'custom', customType });
+    } else {
+      onChange({ ...column, type: value, customType: undefined });
+    }
+  };
+  // A custom type removed from the library stays on the column that uses it
+  const orphan = column.type === 'custom' && column.customType
+    && !customTypes.some(custom => custom.id === column.customType.id);
+  const updateDistribution = (field, value) => update('distribution', { ...column.distribution, [field]: value });
+
+  const updateBucket = (i, field, value) => {
+    const buckets = column.distribution.buckets.map((bucket, b) => (b === i ? { ...bucket, [field]: value } : bucket));
+    updateDistribution('buckets', buckets);
+  };
+
+  return (
+    <div className="flex-1 space-y-2">
+      {/* Type Selector */}
+      <select
+        value={typeValue(column)}
+        onChange={(e) => changeType(e.target.value)}
+        aria-label="Column type"
+        className="w-full text-sm p-2 bg-white border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none text-slate-700"
+      >
+        {TYPE_GROUPS.map(group => (
+          <optgroup key={group} label={group}>
+            {Object.keys(DATA_TYPES).filter(key => DATA_TYPES[key].group === group).map(key => (
+              <option key={key} value={key}>{engineInfo.types[key].label}</option>
+            ))}
+          </optgroup>
+        ))}
+        {(customTypes.length > 0 || orphan) && (
+          <optgroup label="Custom">
+            {customTypes.map(custom => (
+              <option key={custom.id} value={`custom:${custom.id}`}>{customTypeDef(custom).label}</option>
+            ))}
+            {orphan && <option value={typeValue(column)}>{def.label}</option>}
+          </optgroup>
+        )}
+      </select>
+
+      <TypeParams column={column} update={update} engineInfo={engineInfo} />
+
+      {type && type.fixedLength && (
+        <div className="flex items-center gap-2">
+          <span className="text-xs text-slate-400 whitespace-nowrap">Length:</span>
+          <input
+            type="number"
+            min="1"
+            value={column.length}
+            onChange={(e) => update('length', Math.max(1, toLength(e.target.value)))}
+            className={smallInput}
+            aria-label="Declared length"
+          />
+          <span className="text-[10px] text-slate-400 whitespace-nowrap">= {def.size} B</span>
+        </div>
+      )}
+
+      {type && type.character && (
+        <select
+          value={(type.national && engineInfo.nationalCharset) || column.charset || 'ascii'}
+          onChange={(e) => update('charset', e.target.value === 'ascii' ? undefined : e.target.value)}
+          disabled={Boolean(type.national && engineInfo.nationalCharset)}
+          aria-label="Character set"
+          className="w-full text-xs p-2 bg-white border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none text-slate-600 disabled:bg-slate-50"
+        >
+          {Object.entries(CHARSETS).map(([key, charset]) => (
+            <option key={key} value={key}>{charset.label}</option>
+          ))}
+        </select>
+      )}
+
+      <div className="flex items-center gap-2">
+        <span className="text-xs text-slate-400 whitespace-nowrap">Null %:</span>
+        <input
+          type="number"
+          min="0"
+          max="100"
+          value={column.nullPercent || 0}
+          onChange={(e) => update('nullPercent', Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)))}
+          className={smallInput}
+        />
+      </div>
+
+      {showCardinality && (
+        <div className="flex items-center gap-2">
+          <span className="text-xs text-slate-400 whitespace-nowrap">Distinct:</span>
+          <input
+            type="number"
+            min="0"
+            value={column.cardinality || ''}
+            onChange={(e) => update('cardinality', parseInt(e.target.value) > 0 ? parseInt(e.target.value) : undefined)}
+            className={smallInput}
+            placeholder="Unknown"
+            aria-label="Distinct values"
+          />
+        </div>
+      )}
+
+      {/* Length Inputs (Conditional) */}
+      {def.isVariable && (
+        <>
+          <select
+            value={mode}
+            onChange={(e) => update('distribution', defaultDistribution(e.target.value, column))}
+            className="w-full text-xs p-2 bg-white border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none text-slate-600"
+            aria-label="Length distribution"
+          >
+            {Object.entries(LENGTH_DISTRIBUTIONS).map(([key, info]) => (
+              <option key={key} value={key}>{info.label}</option>
+            ))}
+          </select>
+
+          {mode === 'fixed' && (
+            <div className="flex items-center gap-2">
+              <span className="text-xs text-slate-400 whitespace-nowrap">Avg Len:</span>
+              <input
+                type="number"
+                min="1"
+                value={column.length}
+                onChange={(e) => update('length', toLength(e.target.value))}
+                className={smallInput}
+                placeholder={unit}
+              />
+            </div>
+          )}
+
+          {mode === 'range' && (
+            <div className="grid grid-cols-3 gap-2">
+              <label className="text-[10px] text-slate-400">
+                Min
+                <input type="number" min="0" value={column.distribution.min}
+                  onChange={(e) => updateDistribution('min', toLength(e.target.value))} className={smallInput} />
+              </label>
+              <label className="text-[10px] text-slate-400">
+                Avg
+                <input type="number" min="0" value={column.length}
+                  onChange={(e) => update('length', toLength(e.target.value))} className={smallInput} />
+              </label>
+              <label className="text-[10px] text-slate-400">
+                Max
+                <input type="number" min="0" value={column.distribution.max}
+                  onChange={(e) => updateDistribution('max', toLength(e.target.value))} className={smallInput} />
+              </label>
+            </div>
+          )}
+
+          {mode === 'buckets' && (
+            <div className="space-y-1">
+              {column.distribution.buckets.map((bucket, i) => (
+                <div key={i} className="flex items-center gap-2">
+                  <span className="text-xs text-slate-400">p</span>
+                  <input type="number" min="0" max="100" value={bucket.percentile}
+                    onChange={(e) => updateBucket(i, 'percentile', Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)))}
+                    className={`${smallInput} w-16`} aria-label="Percentile" />
+                  <span className="text-xs text-slate-400">≤</span>
+                  <input type="number" min="0" value={bucket.length}
+                    onChange={(e) => updateBucket(i, 'length', toLength(e.target.value))}
+                    className={smallInput} aria-label="Length at percentile" />
+                  <button
+                    type="button"
+                    onClick={() => updateDistribution('buckets', column.distribution.buckets.filter((_, b) => b !== i))}
+                    className="p-1 text-slate-400 hover:text-red-500 transition-colors"
+                    aria-label="Remove bucket"
+                  >
+                    <Trash2 className="w-3 h-3" />
+                  </button>
+                </div>
+              ))}
+              <div className="flex items-center justify-between">
+                <button
+                  type="button"
+                  onClick={() => updateDistribution('buckets', [...column.distribution.buckets, { percentile: 100, length: column.length }])}
+                  className="inline-flex items-center gap-1 text-xs text-blue-600 hover:text-blue-700"
+                >
+                  <Plus className="w-3 h-3" /> Bucket
+                </button>
+                <span className="text-[10px] text-slate-400">mean ≈ {Math.round(meanLength(column))} {unit}</span>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ColumnEditor;
@@ -0,0 +1,174 @@
+import React, { useEffect, useRef } from 'react';
+import { ArrowDown, ArrowUp, Copy, Plus, Trash2 } from 'lucide-react';
+import { createColumn, uniqueColumnName } from '../lib/project.js';
+import { MAX_COLUMNS, columnNameError } from '../lib/validation.js';
+import ColumnEditor from './ColumnEditor.jsx';
+import NumberInput from './NumberInput.jsx';
+
+const iconButton = "p-1.5 rounded-lg text-slate-400 hover:text-slate-600 hover:bg-slate-100 disabled:opacity-30 disabled:hover:bg-transparent outline-none focus-visible:ring-2 focus-visible:ring-blue-500";
+const nameClass = "w-full p-2 text-sm font-medium border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none bg-white aria-[invalid=true]:border-red-300";
+
+// A table's data columns, edited one by one: rename, reorder (buttons or
+// Alt+Up/Down anywhere in a row), duplicate, remove, or set the count.
+// onChange gets the whole list; columns keep their ids through every action.
+const ColumnList = ({ columns, onChange, engineInfo, customTypes, showCardinality }) => {
+  const nameInputs = useRef(new Map());
+  const addButton = useRef(null);
+  // Element to focus once the list has re-rendered: a column's name field
+  // (by id), the Add button, or whatever had focus before a keyboard move
+  const pendingFocus = useRef(null);
+
+  useEffect(() => {
+    const target = pendingFocus.current;
+    pendingFocus.current = null;
+    if (!target) return;
+    const element = typeof target === 'string' ? nameInputs.current.get(target) : target;
+    if (element) element.focus();
+  }, [columns]);
+
+  const replaceColumn = (idx, column) => onChange(columns.map((col, i) => (i === idx ? column : col)));
+
+  const moveColumn = (idx, offset) => {
+    const to = idx + offset;
+    if (to < 0 || to >= columns.length) return;
+    const next = [...columns];
+    [next[idx], next[to]] = [next[to], next[idx]];
+    onChange(next);
+  };
+
+  const duplicateColumn = (idx) => {
+    const source = columns[idx];
+    const copy = createColumn({
+      ...source,
+      id: undefined,
+      ...(source.name && { name: uniqueColumnName(columns, `${source.name}_copy`) }),
+    });
+    pendingFocus.current = copy.id;
+    onChange([...columns.slice(0, idx + 1), copy, ...columns.slice(idx + 1)]);
+  };
+
+  const removeColumn = (idx) => {
+    const neighbour = columns[idx + 1] || columns[idx - 1];
+    pendingFocus.current = neighbour ? neighbour.id : addButton.current;
+    onChange(columns.filter((_, i) => i !== idx));
+  };
+
+  const addColumn = () => {
+    const column = createColumn();
+    pendingFocus.current = column.id;
+    onChange([...columns, column]);
+  };
+
+  const handleCountChange = (count) => {
+    onChange(count > columns.length
+      ? [...columns, ...Array.from({ length: count - columns.length }, () => createColumn())]
+      : columns.slice(0, count));
+  };
+
+  const handleRowKeyDown = (e, idx) => {
+    if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+    e.preventDefault();
+    pendingFocus.current = e.target;
+    moveColumn(idx, e.key === 'ArrowUp' ? -1 : 1);
+  };
+
+  return (
+    <div className="border-t border-slate-100 pt-6">
+      <div className="flex items-start justify-between mb-4">
+        <label className="block text-sm font-semibold text-slate-600 mt-1">
+          Data Columns
+        </label>
+        <div className="flex items-start gap-2">
+          <span className="text-xs text-slate-400 mt-2">Count:</span>
+          <NumberInput
+            value={columns.length}
+            onChange={handleCountChange}
+            min={0}
+            max={MAX_COLUMNS}
+            integer
+            aria-label="Number of data columns"
+            wrapperClassName="w-20 text-right"
+            className="w-full px-2 py-1 text-sm text-center border border-slate-200 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+          />
+        </div>
+      </div>
+
+      {/* Column List */}
+      <div className="space-y-3 max-h-[400px] overflow-y-auto pr-2 custom-scrollbar">
+        {columns.map((col, idx) => {
+          const label = col.name || `col_${idx + 1}`;
+          const nameError = columnNameError(columns, idx);
+          const errorId = `${col.id}-name-error`;
+          return (
+            <div
+              key={col.id}
+              onKeyDown={(e) => handleRowKeyDown(e, idx)}
+              className="p-3 bg-slate-50 rounded-xl border border-slate-100 animate-fadeIn"
+            >
+              <div className="flex items-center gap-2 mb-2">
+                <div className="flex items-center justify-center w-6 h-6 rounded-full bg-slate-200 text-slate-500 text-xs font-bold flex-shrink-0">
+                  {idx + 1}
+                </div>
+                <input
+                  ref={(element) => (element ? nameInputs.current.set(col.id, element) : nameInputs.current.delete(col.id))}
+                  type="text"
+                  value={col.name || ''}
+                  onChange={(e) => replaceColumn(idx, { ...col, name: e.target.value })}
+                  placeholder={`col_${idx + 1}`}
+                  spellCheck={false}
+                  aria-label={`Column ${idx + 1} name`}
+                  aria-invalid={Boolean(nameError)}
+                  aria-describedby={nameError ? errorId : undefined}
+                  className={nameClass}
+                />
+                <button type="button" onClick={() => moveColumn(idx, -1)} disabled={idx === 0} className={iconButton} aria-label={`Move ${label} up`} title="Move up (Alt+↑)">
+                  <ArrowUp className="w-4 h-4" />
+                </button>
+                <button type="button" onClick={() => moveColumn(idx, 1)} disabled={idx === columns.length - 1} className={iconButton} aria-label={`Move ${label} down`} title="Move down (Alt+↓)">
+                  <ArrowDown className="w-4 h-4" />
+                </button>
+                <button type="button" onClick={() => duplicateColumn(idx)} disabled={columns.length >= MAX_COLUMNS} className={iconButton} aria-label={`Duplicate ${label}`} title="Duplicate">
+                  <Copy className="w-4 h-4" />
+                </button>
+                <button type="button" onClick={() => removeColumn(idx)} className={`${iconButton} hover:text-red-500`} aria-label={`Remove ${label}`} title="Remove">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+              {nameError && <p id={errorId} className="text-xs text-red-500 mb-2 ml-8">{nameError}</p>}
+              <div className="flex ml-8">
+                <ColumnEditor
+                  column={col}
+                  onChange={(value) => replaceColumn(idx, value)}
+                  engineInfo={engineInfo}
+                  customTypes={customTypes}
+                  showCardinality={showCardinality}
+                />
+              </div>
+            </div>
+          );
+        })}
+
+        {columns.length === 0 && (
+          <div className="text-center py-6 text-slate-400 text-sm bg-slate-50 rounded-xl border border-dashed border-slate-200">
+            No data columns defined.
+          </div>
+        )}
+      </div>
+
+      <div className="flex items-center justify-between mt-3">
+        <button
+          ref={addButton}
+          type="button"
+          onClick={addColumn}
+          disabled={columns.length >= MAX_COLUMNS}
+          className="flex items-center gap-1 text-xs font-medium text-blue-600 hover:text-blue-700 disabled:text-slate-300"
+        >
+          <Plus className="w-3 h-3" /> Add column
+        </button>
+        <span className="text-xs text-slate-400">Alt+↑/↓ moves the focused column</span>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnList;
@@ -0,0 +1,170 @@
+import React from 'react';
+import { GitCompare, Pin, Undo2, X, ArrowRight } from 'lucide-react';
+import { compareScenarios } from '../lib/compare.js';
+import { formatBytes } from '../lib/format.js';
+
+const buttonClass = "inline-flex items-center gap-1 px-2 py-1 text-xs font-medium rounded-lg transition-colors";
+
+const formatValue = (value, unit) => (unit === 'bytes' ? formatBytes(value) : Math.round(value).toLocaleString());
+
+const formatDelta = (value, unit) => {
+  if (value === 0) return '—';
+  const sign = value > 0 ? '+' : '−';
+  return `${sign}${unit === 'bytes' ? formatBytes(Math.abs(value)) : Math.abs(Math.round(value * 10) / 10).toLocaleString()}`;
+};
+
+const formatPercent = (percent) => {
+  if (percent === null) return 'new';
+  if (percent === 0) return '—';
+  return `${percent > 0 ? '+' : '−'}${Math.abs(percent).toFixed(1)}%`;
+};
+
+// Growth costs disk, so increases are flagged red and savings green
+const deltaClass = (value) => {
+  if (value > 0) return 'text-red-600';
+  if (value < 0) return 'text-emerald-600';
+  return 'text-slate-400';
+};
+
+// Column changes are highlighted since they are what moves the row size
+const ChangeLine = ({ label, before, after, rowBytes, highlight = false }) => (
+  <li className={`flex items-start justify-between gap-3 text-xs ${highlight ? 'rounded-md bg-amber-50 px-2 py-1' : ''}`}>
+    <span className="text-slate-600">
+      <span className="font-semibold">{label}</span>{' '}
+      {before !== undefined && <span className="text-slate-400 line-through">{before}</span>}
+      {before !== undefined && after !== undefined && <ArrowRight className="inline w-3 h-3 mx-1 text-slate-400" />}
+      {after !== undefined && <span>{after}</span>}
+    </span>
+    {rowBytes !== undefined && (
+      <span className={`whitespace-nowrap font-semibold ${deltaClass(rowBytes)}`}>
+        {formatDelta(rowBytes, 'rows')} B/row
+      </span>
+    )}
+  </li>
+);
+
+// Pinned baseline against the configuration being edited, with deltas and
+// the changes that explain them
+const ComparisonView = ({ baseline, current, onRepin, onRestore, onClear }) => {
+  const comparison = compareScenarios(baseline, current);
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
+      <div className="p-6 border-b border-slate-100 bg-slate-50/50 flex flex-wrap gap-2 justify-between items-center">
+        <div>
+          <h3 className="text-lg font-bold text-slate-800 flex items-center gap-2">
+            <GitCompare className="w-5 h-5 text-blue-500" />
+            Baseline Comparison
+          </h3>
+          <p className="text-xs text-slate-400">Pinned {new Date(baseline.pinnedAt).toLocaleString()}</p>
+        </div>
+        <div className="flex gap-2">
+          <button type="button" onClick={onRepin} className={`${buttonClass} text-blue-600 bg-blue-50 hover:bg-blue-100`}>
+            <Pin className="w-3 h-3" /> Re-pin current
+          </button>
+          <button type="button" onClick={onRestore} className={`${buttonClass} text-slate-600 bg-slate-100 hover:bg-slate-200`}>
+            <Undo2 className="w-3 h-3" /> Restore baseline
+          </button>
+          <button type="button" onClick={onClear} className={`${buttonClass} text-slate-500 hover:text-red-500`} aria-label="Stop comparing">
+            <X className="w-3 h-3" />
+          </button>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-xs text-slate-400 uppercase tracking-wide text-left">
+              <th className="px-6 py-3 font-semibold">Metric</th>
+              <th className="px-3 py-3 font-semibold text-right">Baseline</th>
+              <th className="px-3 py-3 font-semibold text-right">Current</th>
+              <th className="px-3 py-3 font-semibold text-right">Δ</th>
+              <th className="px-6 py-3 font-semibold text-right">Δ %</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {comparison.tables.map((table, i) => (
+              <tr key={`row-${i}`}>
+                <td className="px-6 py-3 font-medium text-slate-700">
+                  Row size <span className="text-xs font-normal text-slate-400">{table.name}</span>
+                </td>
+                <td className="px-3 py-3 text-right text-slate-600">{table.status === 'added' ? '—' : `${table.base} B`}</td>
+                <td className="px-3 py-3 text-right text-slate-600">{table.status === 'removed' ? '—' : `${table.current} B`}</td>
+                {table.status === 'matched' ? (
+                  <>
+                    <td className={`px-3 py-3 text-right ${deltaClass(table.absolute)}`}>{formatDelta(table.absolute, 'rows')} B</td>
+                    <td className={`px-6 py-3 text-right ${deltaClass(table.absolute)}`}>{formatPercent(table.percent)}</td>
+                  </>
+                ) : (
+                  <td colSpan="2" className="px-6 py-3 text-right text-xs text-slate-400">table {table.status}</td>
+                )}
+              </tr>
+            ))}
+            {comparison.metrics.map(metric => (
+              <tr key={metric.key}>
+                <td className="px-6 py-3 font-medium text-slate-700">{metric.label}</td>
+                <td className="px-3 py-3 text-right text-slate-600">{formatValue(metric.base, metric.unit)}</td>
+                <td className="px-3 py-3 text-right text-slate-600">{formatValue(metric.current, metric.unit)}</td>
+                <td className={`px-3 py-3 text-right ${deltaClass(metric.absolute)}`}>{formatDelta(metric.absolute, metric.unit)}</td>
+                <td className={`px-6 py-3 text-right ${deltaClass(metric.absolute)}`}>{formatPercent(metric.percent)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="p-6 border-t border-slate-100 space-y-4">
+        <h4 className="text-xs font-semibold text-slate-500 uppercase tracking-wide">What changed</h4>
+
+        {comparison.projectChanges.length > 0 && (
+          <ul className="space-y-1">
+            {comparison.projectChanges.map(change => <ChangeLine key={change.label} {...change} />)}
+          </ul>
+        )}
+
+        {comparison.tables.map((table, i) => {
+          if (table.status !== 'matched') {
+            return (
+              <p key={`chg-${i}`} className="text-xs text-slate-600">
+                <span className="font-semibold">{table.name}</span> {table.status}
+              </p>
+            );
+          }
+          const hasChanges = table.columns.length > 0 || table.settings.length > 0 || table.engineRowBytes !== 0;
+          if (!hasChanges) return null;
+          return (
+            <div key={`chg-${i}`}>
+              <div className="text-xs font-semibold text-slate-700 mb-1">{table.name}</div>
+              <ul className="space-y-1 pl-3 border-l-2 border-slate-100">
+                {table.engineRowBytes !== 0 && <ChangeLine label="Engine" rowBytes={table.engineRowBytes} />}
+                {table.columns.map(change => (
+                  <ChangeLine
+                    key={`${change.kind}-${change.name}`}
+                    label={`${change.name} (${change.kind})`}
+                    before={change.before}
+                    after={change.after}
+                    rowBytes={change.rowBytes}
+                    highlight
+                  />
+                ))}
+                {table.settings.map(change => <ChangeLine key={change.label} {...change} />)}
+              </ul>
+            </div>
+          );
+        })}
+
+        {comparison.projectChanges.length === 0 && comparison.tables.every(table => (
+          table.status === 'matched' && table.columns.length === 0 && table.settings.length === 0 && table.engineRowBytes === 0
+        )) && (
+          <p className="text-xs text-slate-400">No changes yet. Edit the configuration to compare it with the baseline.</p>
+        )}
+
+        <p className="text-[10px] text-slate-400">
+          Column impacts apply each change alone to the baseline columns, so they need not add up exactly to the total row size change.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ComparisonView;
@@ -0,0 +1,102 @@
+import React from 'react';
+import { Minimize2 } from 'lucide-react';
+import { COMPRESSION_MODES, compressionModesFor, typeEncoding } from '../lib/compression.js';
+import { SYSTEM_COLUMNS, resolveType } from '../lib/engines.js';
+
+const inputClass = "w-full p-2 text-sm border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none bg-white";
+
+// Compression mode of one table, its compression delay and per-type ratio
+// overrides for the types the table uses
+const CompressionSettings = ({ table, engine, engineInfo, onChange }) => {
+  const mode = COMPRESSION_MODES[table.compression] || COMPRESSION_MODES.none;
+  const compressed = table.compression !== 'none' && mode.encodings;
+  // One row per type key, described by the first column using it
+  const types = [];
+  [...SYSTEM_COLUMNS, ...table.columns].forEach(col => {
+    if (!types.some(([type]) => type === col.type)) types.push([col.type, resolveType(engineInfo, col)]);
+  });
+
+  const setRatio = (type, value) => {
+    const ratios = { ...table.compressionRatios };
+    if (value === '') delete ratios[type];
+    else ratios[type] = Math.max(1, parseFloat(value) || 1);
+    onChange('compressionRatios', ratios);
+  };
+
+  return (
+    <div className="mb-6 bg-slate-50 p-4 rounded-xl border border-slate-100">
+      <label className="flex items-center gap-2 text-sm font-semibold text-slate-600 mb-3">
+        <Minimize2 className="w-4 h-4 text-blue-500" />
+        Compression
+      </label>
+
+      <select
+        value={table.compression}
+        onChange={(e) => onChange('compression', e.target.value)}
+        aria-label="Compression mode"
+        className={inputClass}
+      >
+        {compressionModesFor(engine).map(option => (
+          <option key={option.key} value={option.key}>{option.label}</option>
+        ))}
+      </select>
+
+      {compressed && (
+        <div className="mt-3 space-y-3 animate-fadeIn">
+          <p className="text-xs text-slate-400">{mode.note}</p>
+
+          {mode.delayed && (
+            <div>
+              <label className="block text-xs text-slate-500 mb-1">Compress after (days)</label>
+              <input
+                type="number"
+                min="0"
+                value={table.compressAfterDays}
+                onChange={(e) => onChange('compressAfterDays', Math.max(0, parseInt(e.target.value) || 0))}
+                className={inputClass}
+              />
+            </div>
+          )}
+
+          <table className="w-full text-xs">
+            <thead className="text-slate-500">
+              <tr>
+                <th className="py-1 text-left font-semibold">Type</th>
+                <th className="py-1 text-left font-semibold">Encoding</th>
+                <th className="py-1 text-right font-semibold w-24">Ratio (x:1)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {types.map(([type, def]) => {
+                const encoding = typeEncoding(mode, type, def.isVariable);
+                return (
+                  <tr key={type}>
+                    <td className="py-1 text-slate-600">{def.sqlType}</td>
+                    <td className="py-1 text-slate-400">{encoding.name}</td>
+                    <td className="py-1">
+                      <input
+                        type="number"
+                        min="1"
+                        step="0.1"
+                        value={table.compressionRatios[type] ?? ''}
+                        placeholder={String(encoding.ratio)}
+                        onChange={(e) => setRatio(type, e.target.value)}
+                        aria-label={`${def.sqlType} compression ratio`}
+                        className={`${inputClass} text-right`}
+                      />
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <p className="text-xs text-slate-400">
+            Leave a ratio empty to use the default. Columns with a known number of distinct values switch to dictionary encoding when that is smaller.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CompressionSettings;
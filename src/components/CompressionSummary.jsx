@@ -0,0 +1,62 @@
+import React from 'react';
+import { Minimize2 } from 'lucide-react';
+
+const bytes = (value) => value.toLocaleString(undefined, { maximumFractionDigits: 1 });
+
+// Encoding and ratio chosen for each column of a compressed table, with the
+// average bytes a value takes before and after compression
+const CompressionSummary = ({ results }) => {
+  const { compression } = results;
+  if (!compression) return null;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
+      <div className="p-6 border-b border-slate-100 bg-slate-50/50 flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <div className="p-2 bg-emerald-100 rounded-lg text-emerald-600">
+            <Minimize2 className="w-5 h-5" />
+          </div>
+          <div>
+            <h3 className="text-lg font-bold text-slate-800">Compression</h3>
+            <p className="text-xs text-slate-400">
+              {compression.label}
+              {compression.compressAfterDays > 0 && ` · rows compressed after ${compression.compressAfterDays} days`}
+            </p>
+          </div>
+        </div>
+        <span className="text-xs font-medium px-2 py-1 bg-emerald-100 text-emerald-700 rounded-md">
+          {compression.ratio.toFixed(1)}x per row
+        </span>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-left">
+          <thead className="text-xs text-slate-500 uppercase bg-slate-50">
+            <tr>
+              <th className="px-6 py-3 font-semibold">Column</th>
+              <th className="px-3 py-3 font-semibold">Encoding</th>
+              <th className="px-3 py-3 font-semibold text-right">Bytes</th>
+              <th className="px-3 py-3 font-semibold text-right">Compressed</th>
+              <th className="px-6 py-3 font-semibold text-right">Ratio</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {compression.columns.map((col, idx) => (
+              <tr key={`${col.name}-${idx}`} className="hover:bg-slate-50">
+                <td className="px-6 py-3 font-medium text-slate-700">{col.name}</td>
+                <td className="px-3 py-3 text-slate-500">{col.encoding}</td>
+                <td className="px-3 py-3 text-right text-slate-600">{bytes(col.bytes)}</td>
+                <td className="px-3 py-3 text-right text-slate-600">{bytes(col.compressedBytes)}</td>
+                <td className="px-6 py-3 text-right font-semibold text-slate-800">{col.ratio.toFixed(1)}x</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="px-6 py-3 text-xs text-slate-400 border-t border-slate-100">
+        Row headers and padding are {compression.columnar ? 'shared by each segment' : 'kept per row'}; indexes are sized uncompressed.
+      </p>
+    </div>
+  );
+};
+
+export default CompressionSummary;
@@ -0,0 +1,96 @@
+import React from 'react';
+import { Wallet } from 'lucide-react';
+import { formatBytes, formatCurrency } from '../lib/format.js';
+
+const PERIOD_LABELS = { daily: 'After a day', monthly: 'After a month', yearly: 'After a year' };
+
+// Monthly bills for the cluster footprint under the chosen pricing profile:
+// after each forecast period, then month by month over the projection horizon
+const CostProjection = ({ cost }) => {
+  if (!cost) return null;
+  const money = (amount) => formatCurrency(amount, cost.currency);
+  const { months } = cost;
+  const last = months[months.length - 1];
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
+      <div className="p-6 border-b border-slate-100 bg-slate-50/50 flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <div className="p-2 bg-amber-100 rounded-lg text-amber-600">
+            <Wallet className="w-5 h-5" />
+          </div>
+          <div>
+            <h3 className="text-lg font-bold text-slate-800">Storage Cost</h3>
+            <p className="text-xs text-slate-400">{cost.profile.label}</p>
+          </div>
+        </div>
+        {last && (
+          <div className="text-right">
+            <p className="text-lg font-bold text-slate-800">{money(cost.cumulative)}</p>
+            <p className="text-xs text-slate-400">over {last.month} months</p>
+          </div>
+        )}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-left">
+          <thead className="text-xs text-slate-500 uppercase bg-slate-50">
+            <tr>
+              <th className="px-6 py-3 font-semibold">Cluster</th>
+              <th className="px-3 py-3 font-semibold text-right">Storage</th>
+              <th className="px-3 py-3 font-semibold text-right">Backups</th>
+              <th className="px-3 py-3 font-semibold text-right">IOPS</th>
+              <th className="px-6 py-3 font-semibold text-right">Per month</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {cost.periods.map(row => (
+              <tr key={row.period} className="hover:bg-slate-50">
+                <td className="px-6 py-3 font-medium text-slate-700">
+                  {PERIOD_LABELS[row.period]} <span className="text-xs text-slate-400">({formatBytes(row.bytes)})</span>
+                </td>
+                <td className="px-3 py-3 text-right text-slate-600">{money(row.storage)}</td>
+                <td className="px-3 py-3 text-right text-slate-600">{money(row.backup)}</td>
+                <td className="px-3 py-3 text-right text-slate-600">{money(row.iops)}</td>
+                <td className="px-6 py-3 text-right font-semibold text-slate-800">{money(row.total)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {months.length > 0 && (
+        <div className="max-h-72 overflow-y-auto border-t border-slate-100">
+          <table className="w-full text-sm text-left">
+            <thead className="text-xs text-slate-500 uppercase bg-slate-50 sticky top-0">
+              <tr>
+                <th className="px-6 py-3 font-semibold">Month</th>
+                <th className="px-3 py-3 font-semibold text-right">Stored</th>
+                <th className="px-3 py-3 font-semibold text-right">Monthly</th>
+                <th className="px-6 py-3 font-semibold text-right">Cumulative</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {months.map(row => (
+                <tr key={row.month} className="hover:bg-slate-50">
+                  <td className="px-6 py-2 text-slate-700">
+                    {row.month} <span className="text-xs text-slate-400">{row.date}</span>
+                  </td>
+                  <td className="px-3 py-2 text-right text-slate-600">{formatBytes(row.bytes)}</td>
+                  <td className="px-3 py-2 text-right text-slate-600">{money(row.total)}</td>
+                  <td className="px-6 py-2 text-right font-semibold text-slate-800">{money(row.cumulative)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <p className="px-6 py-3 text-xs text-slate-400 border-t border-slate-100">
+        Each month is billed for the cluster footprint at its end: primary, replicas, retained WAL and backups.
+      </p>
+    </div>
+  );
+};
+
+export default CostProjection;
@@ -0,0 +1,111 @@
+import React from 'react';
+import { Wallet, RotateCcw } from 'lucide-react';
+import { STORAGE_KINDS, pricingProfiles } from '../lib/cost.js';
+import { PRICE_CURRENCY, PRICING_PROFILES } from '../data/pricing.js';
+
+const inputClass = "w-full p-2 text-sm border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none bg-white";
+
+const PRICE_FIELDS = [
+  { key: 'storagePerGbMonth', label: 'Storage / GB-month' },
+  { key: 'backupPerGbMonth', label: 'Backups / GB-month' },
+];
+
+// Pricing profile, its editable prices and IOPS tier for the cost
+// projection; replicas and backups come from the cluster settings
+const CostSettings = ({ cost, onChange }) => {
+  const profiles = pricingProfiles(cost);
+  const profile = profiles[cost.profile];
+  const overrides = cost.prices[cost.profile];
+
+  const update = (field, value) => onChange({ ...cost, [field]: value });
+
+  const setPrice = (field, value) => {
+    const price = Math.max(0, parseFloat(value) || 0);
+    update('prices', { ...cost.prices, [cost.profile]: { ...overrides, [field]: price } });
+  };
+
+  const resetPrices = () => {
+    const prices = { ...cost.prices };
+    delete prices[cost.profile];
+    update('prices', prices);
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <h2 className="text-xl font-bold mb-6 flex items-center gap-2 text-slate-700">
+        <Wallet className="w-5 h-5 text-blue-500" />
+        Storage Cost
+      </h2>
+
+      <div className="mb-5">
+        <label className="block text-sm font-semibold text-slate-600 mb-2">Pricing profile</label>
+        <select
+          value={cost.profile}
+          onChange={(e) => onChange({ ...cost, profile: e.target.value, iopsTier: 0 })}
+          className={inputClass}
+        >
+          {Object.entries(STORAGE_KINDS).map(([kind, info]) => (
+            <optgroup key={kind} label={info.label}>
+              {Object.entries(profiles)
+                .filter(([, option]) => option.kind === kind)
+                .map(([key, option]) => <option key={key} value={key}>{option.label}</option>)}
+            </optgroup>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3 mb-2">
+        {PRICE_FIELDS.map(field => (
+          <div key={field.key}>
+            <label className="block text-xs text-slate-500 mb-1">{field.label} ({PRICE_CURRENCY})</label>
+            <input
+              type="number"
+              min="0"
+              step="0.001"
+              value={profile[field.key]}
+              onChange={(e) => setPrice(field.key, e.target.value)}
+              className={inputClass}
+            />
+          </div>
+        ))}
+      </div>
+      {overrides && PRICING_PROFILES[cost.profile] && (
+        <button
+          type="button"
+          onClick={resetPrices}
+          className="inline-flex items-center gap-1 text-xs font-medium text-blue-600 hover:text-blue-700 mb-2"
+        >
+          <RotateCcw className="w-3 h-3" /> Reset to price list
+        </button>
+      )}
+      <p className="text-xs text-slate-400 mb-5">
+        {profile.backupIncluded > 0 && `Backups up to ${profile.backupIncluded * 100}% of the database size are free. `}
+        {profile.sharedStorage && 'Replicas share the primary\'s storage. '}
+        {profile.kind === 'database' && 'Retained WAL is billed as backup storage. '}
+        Edited prices are saved with the scenario.
+      </p>
+
+      {profile.iopsTiers.length > 0 && (
+        <div>
+          <label className="block text-xs text-slate-500 mb-1">IOPS tier</label>
+          <select
+            value={cost.iopsTier}
+            onChange={(e) => update('iopsTier', parseInt(e.target.value))}
+            className={inputClass}
+          >
+            {profile.iopsTiers.map((tier, idx) => (
+              <option key={tier.label} value={idx}>
+                {tier.label}{tier.perMonth > 0 && ` (${tier.perMonth.toLocaleString('en-US')} ${PRICE_CURRENCY} / month)`}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+      <p className="text-xs text-slate-400 mt-3">
+        Prices come from the local price list in src/data/pricing.js (approximate US list prices).
+      </p>
+    </div>
+  );
+};
+
+export default CostSettings;
@@ -0,0 +1,101 @@
+import React from 'react';
+import { Puzzle, Plus, Trash2 } from 'lucide-react';
+import { createCustomType } from '../lib/project.js';
+
+const inputClass = "w-full p-2 text-sm border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none bg-white";
+
+const toBytes = (value) => Math.max(0, parseFloat(value) || 0);
+
+// The project's library of user-defined column types. Fixed types take the
+// same bytes in every row; variable ones grow with the column's length.
+// onUpdate receives an edited type so columns using it can follow.
+const CustomTypes = ({ types, onChange, onUpdate }) => {
+  const updateType = (id, field, value) => {
+    const next = types.map(type => (type.id === id ? { ...type, [field]: value } : type));
+    onChange(next);
+    onUpdate(next.find(type => type.id === id));
+  };
+
+  return (
+    <div className="mb-6 bg-slate-50 p-4 rounded-xl border border-slate-100">
+      <div className="flex items-center justify-between mb-2">
+        <label className="flex items-center gap-2 text-sm font-semibold text-slate-600">
+          <Puzzle className="w-4 h-4 text-blue-500" />
+          Custom Types
+        </label>
+        <button
+          type="button"
+          onClick={() => onChange([...types, createCustomType({ name: `custom_type_${types.length + 1}` })])}
+          className="flex items-center gap-1 text-xs font-medium text-blue-600 hover:text-blue-700"
+        >
+          <Plus className="w-3 h-3" /> Add type
+        </button>
+      </div>
+      {types.length === 0 && (
+        <p className="text-xs text-slate-400">
+          Define a type for domain or extension types the catalog lacks, e.g. a PostGIS point or a composite type.
+        </p>
+      )}
+
+      <div className="space-y-2">
+        {types.map(type => (
+          <div key={type.id} className="p-2 bg-white rounded-lg border border-slate-200 space-y-2">
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                value={type.name}
+                onChange={(e) => updateType(type.id, 'name', e.target.value)}
+                aria-label="Type name"
+                className={inputClass}
+              />
+              <select
+                value={type.sizing}
+                onChange={(e) => updateType(type.id, 'sizing', e.target.value)}
+                aria-label={`${type.name} sizing`}
+                className={`${inputClass} w-32`}
+              >
+                <option value="fixed">Fixed</option>
+                <option value="variable">Variable</option>
+              </select>
+              <button
+                type="button"
+                onClick={() => onChange(types.filter(other => other.id !== type.id))}
+                className="p-1.5 text-slate-400 hover:text-red-500"
+                aria-label={`Remove ${type.name}`}
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+            {type.sizing === 'variable' ? (
+              <div className="grid grid-cols-2 gap-2">
+                <label className="text-xs text-slate-500">
+                  Bytes per unit of length
+                  <input type="number" min="0" step="0.1" value={type.bytesPerUnit}
+                    onChange={(e) => updateType(type.id, 'bytesPerUnit', toBytes(e.target.value))} className={inputClass} />
+                </label>
+                <label className="text-xs text-slate-500">
+                  Header bytes per value
+                  <input type="number" min="0" value={type.overhead}
+                    onChange={(e) => updateType(type.id, 'overhead', toBytes(e.target.value))} className={inputClass} />
+                </label>
+              </div>
+            ) : (
+              <label className="block text-xs text-slate-500">
+                Bytes per value
+                <input type="number" min="0" value={type.size}
+                  onChange={(e) => updateType(type.id, 'size', toBytes(e.target.value))} className={inputClass} />
+              </label>
+            )}
+          </div>
+        ))}
+      </div>
+      {types.length > 0 && (
+        <p className="text-xs text-slate-400 mt-2">
+          Custom types are saved with the scenario. The engine adds its usual length prefix to variable values.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CustomTypes;
@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import { FileCode, Copy, Check, AlertTriangle } from 'lucide-react';
+import { DDL_DIALECTS, parseCreateTables, generateCreateTable } from '../lib/ddl.js';
+
+const DdlPanel = ({ engine, tableName, onTableNameChange, columns, indexes, onImport, onAddTables }) => {
+  const [mode, setMode] = useState('import');
+  const [sql, setSql] = useState('');
+  const [dialect, setDialect] = useState('auto');
+  const [parsed, setParsed] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const generated = generateCreateTable(engine, tableName || 'agent_events', columns, indexes);
+
+  const handleParse = () => {
+    setParsed(parseCreateTables(sql, dialect));
+  };
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(generated).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    });
+  };
+
+  const tabClass = (key) => `px-3 py-1 text-xs font-medium rounded-lg transition-colors ${mode === key ? 'bg-blue-600 text-white' : 'text-slate-500 hover:bg-slate-100'}`;
+
+  return (
+    <div className="border-t border-slate-100 pt-6 mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <label className="flex items-center gap-2 text-sm font-semibold text-slate-600">
+          <FileCode className="w-4 h-4 text-blue-500" />
+          DDL
+        </label>
+        <div className="flex gap-1">
+          <button type="button" className={tabClass('import')} onClick={() => setMode('import')}>Import</button>
+          <button type="button" className={tabClass('export')} onClick={() => setMode('export')}>Export</button>
+        </div>
+      </div>
+
+      {mode === 'import' && (
+        <div className="space-y-3">
+          <textarea
+            value={sql}
+            onChange={(e) => setSql(e.target.value)}
+            rows={6}
+            placeholder="Paste one or more CREATE TABLE statements…"
+            className="w-full p-2 text-xs font-mono bg-slate-50 border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none"
+          />
+          <div className="flex gap-2">
+            <select
+              value={dialect}
+              onChange={(e) => setDialect(e.target.value)}
+              className="flex-1 text-sm p-2 bg-white border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none text-slate-700"
+            >
+              {Object.entries(DDL_DIALECTS).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={handleParse}
+              disabled={!sql.trim()}
+              className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+            >
+              Parse
+            </button>
+          </div>
+
+          {parsed && parsed.length === 0 && (
+            <p className="text-xs text-red-500">No CREATE TABLE statements found.</p>
+          )}
+
+          {parsed && parsed.length > 1 && (
+            <button
+              type="button"
+              onClick={() => onAddTables(parsed)}
+              className="w-full px-3 py-2 text-xs font-medium text-blue-600 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors"
+            >
+              Add all {parsed.length} tables to the project
+            </button>
+          )}
+
+          {parsed && parsed.map((table, idx) => (
+            <div key={`${table.name}-${idx}`} className="p-3 bg-slate-50 rounded-xl border border-slate-100 space-y-2">
+              <div className="flex items-center justify-between gap-2">
+                <div className="text-sm text-slate-700">
+                  <span className="font-semibold">{table.name}</span>{' '}
+                  <span className="text-xs text-slate-400">
+                    {DDL_DIALECTS[table.dialect]} · {table.columns.length} columns
+                  </span>
+                </div>
+                <div className="flex gap-1 flex-shrink-0">
+                  <button
+                    type="button"
+                    onClick={() => onImport(table)}
+                    className="px-2 py-1 text-xs font-medium text-blue-600 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors"
+                  >
+                    Use columns
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onAddTables([table])}
+                    className="px-2 py-1 text-xs font-medium text-slate-600 bg-white border border-slate-200 rounded-lg hover:bg-slate-100 transition-colors"
+                  >
+                    Add as table
+                  </button>
+                </div>
+              </div>
+              {table.warnings.length > 0 && (
+                <ul className="space-y-1">
+                  {table.warnings.map((warning) => (
+                    <li key={warning} className="flex gap-1.5 text-xs text-amber-700">
+                      <AlertTriangle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                      {warning}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {mode === 'export' && (
+        <div className="space-y-3">
+          <div className="flex items-center gap-2">
+            <span className="text-xs text-slate-400 whitespace-nowrap">Table name:</span>
+            <input
+              type="text"
+              value={tableName}
+              onChange={(e) => onTableNameChange(e.target.value)}
+              className="w-full text-sm p-2 bg-white border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none"
+            />
+          </div>
+          <div className="relative">
+            <pre className="p-3 text-xs font-mono bg-slate-900 text-slate-100 rounded-lg overflow-x-auto whitespace-pre">{generated}</pre>
+            <button
+              type="button"
+              onClick={handleCopy}
+              className="absolute top-2 right-2 p-1.5 text-slate-300 bg-slate-800 rounded-md hover:text-white"
+              aria-label="Copy DDL"
+            >
+              {copied ? <Check className="w-3.5 h-3.5" /> : <Copy className="w-3.5 h-3.5" />}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DdlPanel;
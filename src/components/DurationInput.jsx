@@ -0,0 +1,50 @@
+import React, { useId } from 'react';
+import { DURATION_PRESETS, formatDuration, parseDuration } from '../lib/duration.js';
+import { durationError } from '../lib/validation.js';
+
+const presetClass = "p-2 text-sm border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none bg-white text-slate-600";
+
+// Report interval typed as clock time (00:01:00) or with units (30s, 5m,
+// 1h 30m), or picked from common intervals. Below the field: how the text
+// was read, or what is wrong with it.
+const DurationInput = ({ value, onChange, icon: Icon, className, ...props }) => {
+  const hintId = useId();
+  const error = durationError(value);
+
+  return (
+    <div>
+      <div className="flex gap-2">
+        <div className="relative flex-1">
+          {Icon && <Icon className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-slate-400" />}
+          <input
+            type="text"
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            placeholder="00:01:00 or 1m"
+            spellCheck={false}
+            aria-invalid={Boolean(error)}
+            aria-describedby={hintId}
+            className={`${className} aria-[invalid=true]:border-red-300 aria-[invalid=true]:focus:ring-red-200`}
+            {...props}
+          />
+        </div>
+        <select
+          value=""
+          onChange={(e) => e.target.value && onChange(e.target.value)}
+          aria-label="Common intervals"
+          className={presetClass}
+        >
+          <option value="">Preset</option>
+          {DURATION_PRESETS.map(preset => (
+            <option key={preset} value={preset}>{formatDuration(parseDuration(preset))}</option>
+          ))}
+        </select>
+      </div>
+      <p id={hintId} className={`text-xs mt-1 ml-1 ${error ? 'text-red-500' : 'text-slate-400'}`}>
+        {error || `Every ${formatDuration(parseDuration(value))}`}
+      </p>
+    </div>
+  );
+};
+
+export default DurationInput;
@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { Download, FileJson, FileSpreadsheet, FileText, Printer, Upload } from 'lucide-react';
+import { toJsonExport, toMarkdown, toPeriodCsv } from '../lib/report.js';
+import { restoreScenario } from '../lib/scenario.js';
+
+const buttonClass = "inline-flex items-center gap-1 px-2 py-1 text-xs font-medium rounded-lg transition-colors";
+const exportClass = `${buttonClass} text-slate-600 bg-slate-100 hover:bg-slate-200`;
+
+const download = (filename, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Downloads of the configuration and results, the print report, and import
+// of a JSON export. `estimate` is { scenario, tables, totals, projection }.
+const ExportMenu = ({ estimate, onImport }) => {
+  const [error, setError] = useState('');
+  const baseName = `storage-estimate-${new Date().toISOString().slice(0, 10)}`;
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text().then(text => {
+      onImport(restoreScenario(JSON.parse(text)));
+      setError('');
+    }).catch(err => setError(`Could not import ${file.name}: ${err.message}`));
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="flex items-center gap-2 text-sm font-semibold text-slate-600 mr-auto">
+          <Download className="w-4 h-4 text-blue-500" />
+          Export
+        </span>
+        <button
+          type="button"
+          onClick={() => download(`${baseName}.json`, `${JSON.stringify(toJsonExport(estimate), null, 2)}\n`, 'application/json')}
+          className={exportClass}
+        >
+          <FileJson className="w-3 h-3" /> JSON
+        </button>
+        <button
+          type="button"
+          onClick={() => download(`${baseName}.csv`, `${toPeriodCsv(estimate)}\n`, 'text/csv')}
+          className={exportClass}
+        >
+          <FileSpreadsheet className="w-3 h-3" /> CSV
+        </button>
+        <button
+          type="button"
+          onClick={() => download(`${baseName}.md`, toMarkdown(estimate), 'text/markdown')}
+          className={exportClass}
+        >
+          <FileText className="w-3 h-3" /> Markdown
+        </button>
+        <button type="button" onClick={() => window.print()} className={exportClass}>
+          <Printer className="w-3 h-3" /> Print report
+        </button>
+        <label className={`${buttonClass} cursor-pointer text-blue-600 bg-blue-50 hover:bg-blue-100`}>
+          <Upload className="w-3 h-3" /> Import JSON
+          <input type="file" accept=".json,application/json" onChange={handleImport} className="sr-only" />
+        </label>
+      </div>
+      {error && <p className="text-xs text-red-500 mt-2">{error}</p>}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,61 @@
+import React from 'react';
+import { Users } from 'lucide-react';
+import { formatBytes } from '../lib/format.js';
+
+const percent = (share) => `${(share * 100).toFixed(share > 0 && share < 0.1 ? 1 : 0)}%`;
+
+// Each agent group's share of a table's rows and storage. Storage shares
+// weigh rows by their average size; pages and indexes are split the same way.
+const GroupContributions = ({ results }) => {
+  if (results.groups.length < 2) return null;
+  const rowShare = (rows) => (results.rowsPerDay > 0 ? rows / results.rowsPerDay : 0);
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
+      <div className="p-6 border-b border-slate-100 bg-slate-50/50 flex items-center gap-3">
+        <div className="p-2 bg-teal-100 rounded-lg text-teal-600">
+          <Users className="w-5 h-5" />
+        </div>
+        <h3 className="text-lg font-bold text-slate-800">Agent Group Contributions</h3>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-left">
+          <thead className="text-xs text-slate-500 uppercase bg-slate-50">
+            <tr>
+              <th className="px-6 py-3 font-semibold">Group</th>
+              <th className="px-3 py-3 font-semibold text-right">Agents</th>
+              <th className="px-3 py-3 font-semibold text-right">Rows / day</th>
+              <th className="px-3 py-3 font-semibold text-right">Row avg</th>
+              <th className="px-3 py-3 font-semibold text-right">Peak rows / s</th>
+              <th className="px-3 py-3 font-semibold text-right">Monthly</th>
+              <th className="px-6 py-3 font-semibold text-right">Yearly</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {results.groups.map(group => (
+              <tr key={group.id} className="hover:bg-slate-50">
+                <td className="px-6 py-3 font-medium text-slate-700">{group.name}</td>
+                <td className="px-3 py-3 text-right text-slate-600">{group.numAgents.toLocaleString()}</td>
+                <td className="px-3 py-3 text-right text-slate-600">
+                  {Math.floor(group.rowsPerDay).toLocaleString()}
+                  <div className="text-xs text-slate-400">{percent(rowShare(group.rowsPerDay))}</div>
+                </td>
+                <td className="px-3 py-3 text-right text-slate-600">{formatBytes(group.rowBytes)}</td>
+                <td className="px-3 py-3 text-right text-slate-600">
+                  {group.peakRowsPerSecond.toLocaleString(undefined, { maximumFractionDigits: 1 })}
+                </td>
+                <td className="px-3 py-3 text-right text-slate-600">{formatBytes(results.monthlySpace * group.storageShare)}</td>
+                <td className="px-6 py-3 text-right font-semibold text-slate-800">
+                  {formatBytes(results.yearlySpace * group.storageShare)}
+                  <div className="text-xs font-normal text-slate-400">{percent(group.storageShare)}</div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default GroupContributions;
@@ -0,0 +1,187 @@
+import React, { useState } from 'react';
+import { TrendingUp } from 'lucide-react';
+import { formatBytes } from '../lib/format.js';
+
+const WIDTH = 640;
+const HEIGHT = 260;
+const PAD = { top: 16, right: 16, bottom: 28, left: 64 };
+const PLOT_W = WIDTH - PAD.left - PAD.right;
+const PLOT_H = HEIGHT - PAD.top - PAD.bottom;
+
+const TABLE_COLORS = ['#3b82f6', '#6366f1', '#0ea5e9', '#8b5cf6', '#14b8a6', '#f59e0b'];
+const THRESHOLD_COLOR = '#ef4444';
+
+// Thresholds far above the projected peak would flatten the curve, so only
+// those within this factor of the peak are drawn
+const THRESHOLD_HEADROOM = 1.5;
+
+// Cumulative storage over the projection horizon, stacked per table, with
+// dashed capacity thresholds and markers where they are crossed
+const GrowthChart = ({ projection, tables, thresholds }) => {
+  const [hover, setHover] = useState(null);
+
+  if (!projection || projection.points.length < 2) return null;
+
+  const { points, crossings } = projection;
+  const horizonDays = points[points.length - 1].day;
+  const peak = Math.max(...points.map(point => point.totalBytes));
+  if (peak <= 0) return null;
+
+  const visibleThresholds = thresholds.filter(t => t.bytes > 0 && t.bytes <= peak * THRESHOLD_HEADROOM);
+  const maxY = Math.max(peak, ...visibleThresholds.map(t => t.bytes), 1) * 1.05;
+
+  const x = (day) => PAD.left + (day / horizonDays) * PLOT_W;
+  const y = (bytes) => PAD.top + PLOT_H - (bytes / maxY) * PLOT_H;
+
+  // Stacked bands: each table sits on top of the ones before it
+  const stacks = points.map(point => {
+    let base = 0;
+    return point.tables.map(bytes => {
+      const band = [base, base + bytes];
+      base += bytes;
+      return band;
+    });
+  });
+  const bandPath = (i) => {
+    const top = points.map((point, p) => `${x(point.day)},${y(stacks[p][i][1])}`);
+    const bottom = points.map((point, p) => `${x(point.day)},${y(stacks[p][i][0])}`).reverse();
+    return `M${top.join('L')}L${bottom.join('L')}Z`;
+  };
+  const totalLine = `M${points.map(point => `${x(point.day)},${y(point.totalBytes)}`).join('L')}`;
+
+  const yTicks = [0, 0.25, 0.5, 0.75, 1].map(f => f * maxY);
+  const xTicks = [0, 0.25, 0.5, 0.75, 1].map(f => Math.round(f * horizonDays));
+
+  const pointAt = (clientX, rect) => {
+    const day = ((clientX - rect.left) / rect.width * WIDTH - PAD.left) / PLOT_W * horizonDays;
+    let nearest = 0;
+    points.forEach((point, i) => {
+      if (Math.abs(point.day - day) < Math.abs(points[nearest].day - day)) nearest = i;
+    });
+    return nearest;
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowRight') setHover(h => Math.min(points.length - 1, (h ?? -1) + 1));
+    if (e.key === 'ArrowLeft') setHover(h => Math.max(0, (h ?? points.length) - 1));
+  };
+
+  const hovered = hover !== null ? points[hover] : null;
+  const crossingFor = (id) => crossings.find(c => c.id === id);
+
+  return (
+    <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-200">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2 text-xs font-semibold text-slate-500 uppercase tracking-wide">
+          <TrendingUp className="w-4 h-4 text-blue-500" />
+          Storage Growth
+        </div>
+        <span className="text-xs text-slate-400">
+          {formatBytes(points[points.length - 1].totalBytes)} by {points[points.length - 1].date}
+        </span>
+      </div>
+
+      <div className="relative">
+        <svg
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          className="w-full h-auto outline-none"
+          role="img"
+          aria-label="Projected database size over time"
+          tabIndex={0}
+          onMouseMove={(e) => setHover(pointAt(e.clientX, e.currentTarget.getBoundingClientRect()))}
+          onMouseLeave={() => setHover(null)}
+          onKeyDown={handleKeyDown}
+          onBlur={() => setHover(null)}
+        >
+          {yTicks.map(tick => (
+            <g key={tick}>
+              <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(tick)} y2={y(tick)} stroke="#e2e8f0" />
+              <text x={PAD.left - 6} y={y(tick) + 3} textAnchor="end" fontSize="10" fill="#94a3b8">
+                {formatBytes(tick, 0)}
+              </text>
+            </g>
+          ))}
+          {xTicks.map(tick => (
+            <text key={tick} x={x(tick)} y={HEIGHT - 8} textAnchor="middle" fontSize="10" fill="#94a3b8">
+              {tick === 0 ? 'Start' : `${Math.round(tick / 30)} mo`}
+            </text>
+          ))}
+
+          {tables.map((table, i) => (
+            <path key={table.id} d={bandPath(i)} fill={TABLE_COLORS[i % TABLE_COLORS.length]} fillOpacity="0.35" />
+          ))}
+          <path d={totalLine} fill="none" stroke="#1d4ed8" strokeWidth="2" />
+
+          {visibleThresholds.map(threshold => {
+            const crossing = crossingFor(threshold.id);
+            return (
+              <g key={threshold.id}>
+                <line
+                  x1={PAD.left} x2={WIDTH - PAD.right} y1={y(threshold.bytes)} y2={y(threshold.bytes)}
+                  stroke={THRESHOLD_COLOR} strokeDasharray="4 4"
+                />
+                <text x={WIDTH - PAD.right} y={y(threshold.bytes) - 4} textAnchor="end" fontSize="10" fill={THRESHOLD_COLOR}>
+                  {threshold.label}
+                </text>
+                {crossing && crossing.day !== null && (
+                  <circle cx={x(crossing.day)} cy={y(threshold.bytes)} r="4" fill={THRESHOLD_COLOR} />
+                )}
+              </g>
+            );
+          })}
+
+          {hovered && (
+            <g>
+              <line x1={x(hovered.day)} x2={x(hovered.day)} y1={PAD.top} y2={PAD.top + PLOT_H} stroke="#64748b" strokeDasharray="2 3" />
+              <circle cx={x(hovered.day)} cy={y(hovered.totalBytes)} r="4" fill="#1d4ed8" />
+            </g>
+          )}
+        </svg>
+
+        {hovered && (
+          <div
+            className="absolute top-2 pointer-events-none bg-slate-800 text-white text-xs rounded-lg px-3 py-2 shadow-lg"
+            style={x(hovered.day) > WIDTH / 2
+              ? { right: `${100 - (x(hovered.day) / WIDTH) * 100 + 2}%` }
+              : { left: `${(x(hovered.day) / WIDTH) * 100 + 2}%` }}
+          >
+            <div className="font-semibold">{hovered.date} · day {hovered.day}</div>
+            <div>{formatBytes(hovered.totalBytes)} total</div>
+            {tables.length > 1 && tables.map((table, i) => (
+              <div key={table.id} className="text-slate-300">{table.name}: {formatBytes(hovered.tables[i])}</div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {thresholds.length > 0 && (
+        <ul className="mt-4 space-y-1 text-xs">
+          {thresholds.map(threshold => {
+            const crossing = crossingFor(threshold.id);
+            return (
+              <li key={threshold.id} className="flex justify-between">
+                <span className="text-slate-500">{threshold.label} ({formatBytes(threshold.bytes)})</span>
+                {crossing && crossing.day !== null
+                  ? <span className="font-medium text-red-600">full on {crossing.date} (day {crossing.day})</span>
+                  : <span className="text-slate-400">not reached within horizon</span>}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {tables.length > 1 && (
+        <div className="flex flex-wrap justify-center gap-4 mt-4 text-[10px] text-slate-400 font-medium">
+          {tables.map((table, i) => (
+            <span key={table.id} className="flex items-center gap-1.5">
+              <div className="w-2 h-2 rounded-full" style={{ backgroundColor: TABLE_COLORS[i % TABLE_COLORS.length] }}></div>
+              {table.name}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GrowthChart;
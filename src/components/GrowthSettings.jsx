@@ -0,0 +1,185 @@
+import React from 'react';
+import { TrendingUp, Plus, Trash2, Gauge } from 'lucide-react';
+import { GROWTH_MODES } from '../lib/projection.js';
+
+const inputClass = "w-full p-2 text-sm border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none bg-white";
+
+const newId = (prefix) => `${prefix}_${Math.random().toString(36).slice(2, 8)}`;
+
+// Agent fleet growth model, projection horizon and disk capacity thresholds
+const GrowthSettings = ({
+  growth, onGrowthChange,
+  startDate, onStartDateChange,
+  horizonMonths, onHorizonChange,
+  thresholds, onThresholdsChange,
+}) => {
+  const updateGrowth = (field, value) => onGrowthChange({ ...growth, [field]: value });
+
+  const updateStep = (id, field, value) => {
+    updateGrowth('steps', growth.steps.map(step => (step.id === id ? { ...step, [field]: value } : step)));
+  };
+
+  const updateThreshold = (id, field, value) => {
+    onThresholdsChange(thresholds.map(t => (t.id === id ? { ...t, [field]: value } : t)));
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <h2 className="text-xl font-bold mb-6 flex items-center gap-2 text-slate-700">
+        <TrendingUp className="w-5 h-5 text-blue-500" />
+        Growth Projection
+      </h2>
+
+      <div className="grid grid-cols-2 gap-3 mb-5">
+        <div>
+          <label className="block text-xs text-slate-500 mb-1">Start date</label>
+          <input
+            type="date"
+            value={startDate}
+            onChange={(e) => onStartDateChange(e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-slate-500 mb-1">Horizon (months)</label>
+          <input
+            type="number"
+            min="1"
+            max="120"
+            value={horizonMonths}
+            onChange={(e) => onHorizonChange(Math.min(120, Math.max(1, parseInt(e.target.value) || 1)))}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <div className="mb-5">
+        <label className="block text-sm font-semibold text-slate-600 mb-2">Agent growth</label>
+        <select
+          value={growth.mode}
+          onChange={(e) => updateGrowth('mode', e.target.value)}
+          className={inputClass}
+        >
+          {Object.entries(GROWTH_MODES).map(([key, info]) => (
+            <option key={key} value={key}>{info.label}</option>
+          ))}
+        </select>
+
+        {growth.mode === 'linear' && (
+          <div className="flex items-center gap-2 mt-3">
+            <span className="text-xs text-slate-400 whitespace-nowrap">+ agents / month:</span>
+            <input
+              type="number"
+              value={growth.agentsPerMonth}
+              onChange={(e) => updateGrowth('agentsPerMonth', parseFloat(e.target.value) || 0)}
+              className={inputClass}
+            />
+          </div>
+        )}
+
+        {growth.mode === 'percent' && (
+          <div className="flex items-center gap-2 mt-3">
+            <span className="text-xs text-slate-400 whitespace-nowrap">% / month:</span>
+            <input
+              type="number"
+              step="0.5"
+              value={growth.percentPerMonth}
+              onChange={(e) => updateGrowth('percentPerMonth', parseFloat(e.target.value) || 0)}
+              className={inputClass}
+            />
+          </div>
+        )}
+
+        {growth.mode === 'steps' && (
+          <div className="space-y-2 mt-3">
+            {growth.steps.map(step => (
+              <div key={step.id} className="flex items-center gap-2">
+                <input
+                  type="date"
+                  value={step.date}
+                  onChange={(e) => updateStep(step.id, 'date', e.target.value)}
+                  className={inputClass}
+                  aria-label="Onboarding date"
+                />
+                <input
+                  type="number"
+                  value={step.agents}
+                  onChange={(e) => updateStep(step.id, 'agents', parseInt(e.target.value) || 0)}
+                  className={`${inputClass} w-28`}
+                  aria-label="Agents added"
+                />
+                <button
+                  type="button"
+                  onClick={() => updateGrowth('steps', growth.steps.filter(s => s.id !== step.id))}
+                  className="p-2 text-slate-400 hover:text-red-500 transition-colors"
+                  aria-label="Remove onboarding step"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => updateGrowth('steps', [...growth.steps, { id: newId('step'), date: startDate, agents: 100 }])}
+              className="inline-flex items-center gap-1 px-2 py-1 text-xs font-medium text-blue-600 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors"
+            >
+              <Plus className="w-3 h-3" /> Add onboarding date
+            </button>
+          </div>
+        )}
+        <p className="text-xs text-slate-400 mt-2">Applied to every table's agent count.</p>
+      </div>
+
+      <div className="border-t border-slate-100 pt-5">
+        <div className="flex items-center justify-between mb-3">
+          <label className="flex items-center gap-2 text-sm font-semibold text-slate-600">
+            <Gauge className="w-4 h-4 text-blue-500" />
+            Capacity thresholds
+          </label>
+          <button
+            type="button"
+            onClick={() => onThresholdsChange([...thresholds, { id: newId('cap'), label: 'Volume', gb: 1000 }])}
+            className="inline-flex items-center gap-1 px-2 py-1 text-xs font-medium text-blue-600 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors"
+          >
+            <Plus className="w-3 h-3" /> Add
+          </button>
+        </div>
+        <div className="space-y-2">
+          {thresholds.map(threshold => (
+            <div key={threshold.id} className="flex items-center gap-2">
+              <input
+                type="text"
+                value={threshold.label}
+                onChange={(e) => updateThreshold(threshold.id, 'label', e.target.value)}
+                className={inputClass}
+                aria-label="Threshold label"
+              />
+              <input
+                type="number"
+                min="1"
+                value={threshold.gb}
+                onChange={(e) => updateThreshold(threshold.id, 'gb', Math.max(0, parseFloat(e.target.value) || 0))}
+                className={`${inputClass} w-28`}
+                aria-label="Threshold size in GB"
+              />
+              <span className="text-xs text-slate-400">GB</span>
+              <button
+                type="button"
+                onClick={() => onThresholdsChange(thresholds.filter(t => t.id !== threshold.id))}
+                className="p-2 text-slate-400 hover:text-red-500 transition-colors"
+                aria-label={`Remove threshold ${threshold.label}`}
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+          {thresholds.length === 0 && (
+            <p className="text-xs text-slate-400">No thresholds. Add your volume sizes to see when they fill up.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GrowthSettings;
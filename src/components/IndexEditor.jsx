@@ -0,0 +1,143 @@
+import React from 'react';
+import { Plus, Trash2, X, KeyRound } from 'lucide-react';
+import { INDEX_KINDS, PRIMARY_KEY_INDEX, columnRefOptions } from '../lib/indexModel.js';
+
+const newIndexId = () => `idx_${Math.random().toString(36).slice(2, 8)}`;
+
+// Chip list of referenced columns with a select to append another one
+const ColumnRefList = ({ label, refs, options, onChange }) => {
+  const available = options.filter(opt => !refs.includes(opt.ref));
+  const labelFor = (ref) => (options.find(opt => opt.ref === ref) || { label: ref }).label;
+
+  return (
+    <div className="flex flex-wrap items-center gap-1.5">
+      <span className="text-xs text-slate-400 whitespace-nowrap">{label}:</span>
+      {refs.map(ref => (
+        <span key={ref} className="inline-flex items-center gap-1 px-2 py-0.5 text-xs bg-blue-50 text-blue-700 rounded-md border border-blue-100">
+          {labelFor(ref)}
+          <button
+            type="button"
+            onClick={() => onChange(refs.filter(r => r !== ref))}
+            className="text-blue-400 hover:text-blue-700"
+            aria-label={`Remove ${labelFor(ref)}`}
+          >
+            <X className="w-3 h-3" />
+          </button>
+        </span>
+      ))}
+      {available.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => e.target.value && onChange([...refs, e.target.value])}
+          className="text-xs p-1 bg-white border border-slate-200 rounded-md focus:ring-1 focus:ring-blue-500 outline-none text-slate-500"
+        >
+          <option value="">+ column</option>
+          {available.map(opt => (
+            <option key={opt.ref} value={opt.ref}>{opt.label}</option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+};
+
+const IndexEditor = ({ indexes, onChange, columns, engineInfo }) => {
+  const options = columnRefOptions(columns);
+
+  const addIndex = () => {
+    onChange([...indexes, {
+      id: newIndexId(),
+      name: `idx_${indexes.length + 1}`,
+      kind: 'btree',
+      columns: ['sys:agent_id', 'sys:created_at'],
+      include: [],
+    }]);
+  };
+
+  const updateIndex = (id, field, value) => {
+    onChange(indexes.map(index => (index.id === id ? { ...index, [field]: value } : index)));
+  };
+
+  const removeIndex = (id) => {
+    onChange(indexes.filter(index => index.id !== id));
+  };
+
+  return (
+    <div className="border-t border-slate-100 pt-6 mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <label className="block text-sm font-semibold text-slate-600">
+          Indexes
+        </label>
+        <button
+          type="button"
+          onClick={addIndex}
+          className="inline-flex items-center gap-1 px-2 py-1 text-xs font-medium text-blue-600 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors"
+        >
+          <Plus className="w-3 h-3" /> Add Index
+        </button>
+      </div>
+
+      <div className="space-y-3">
+        <div className="p-3 bg-slate-50 rounded-xl border border-slate-100 flex items-center gap-2 text-sm text-slate-500">
+          <KeyRound className="w-4 h-4 text-amber-500" />
+          {PRIMARY_KEY_INDEX.name} (id) — {INDEX_KINDS.btree.label}
+          {engineInfo.index.clusteredPrimaryKey && <span className="text-xs text-slate-400">clustered</span>}
+        </div>
+
+        {indexes.map(index => (
+          <div key={index.id} className="p-3 bg-slate-50 rounded-xl border border-slate-100 space-y-2 animate-fadeIn">
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={index.name}
+                onChange={(e) => updateIndex(index.id, 'name', e.target.value)}
+                className="flex-1 min-w-0 text-sm p-2 bg-white border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none text-slate-700"
+                placeholder="Index name"
+              />
+              <select
+                value={index.kind}
+                onChange={(e) => updateIndex(index.id, 'kind', e.target.value)}
+                className="text-sm p-2 bg-white border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none text-slate-700"
+              >
+                {Object.entries(INDEX_KINDS).map(([key, info]) => (
+                  <option key={key} value={key}>
+                    {info.label}{engineInfo.index.kinds.includes(key) ? '' : ' (unsupported)'}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => removeIndex(index.id)}
+                className="p-2 text-slate-400 hover:text-red-500 transition-colors"
+                aria-label={`Remove index ${index.name}`}
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+
+            <ColumnRefList
+              label="Key"
+              refs={index.columns}
+              options={options}
+              onChange={(refs) => updateIndex(index.id, 'columns', refs)}
+            />
+            {index.kind === 'btree' && (
+              <ColumnRefList
+                label="Include"
+                refs={index.include}
+                options={options.filter(opt => !index.columns.includes(opt.ref))}
+                onChange={(refs) => updateIndex(index.id, 'include', refs)}
+              />
+            )}
+          </div>
+        ))}
+
+        {indexes.length === 0 && (
+          <p className="text-xs text-slate-400">No secondary indexes. Add one to size composite, covering, hash or BRIN indexes.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default IndexEditor;
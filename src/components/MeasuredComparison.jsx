@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { FlaskConical, Upload, X } from 'lucide-react';
+import { ENGINES } from '../lib/engines.js';
+import { formatBytes, formatSignedPercent } from '../lib/format.js';
+import { MEASURED_PARTS, compareMeasurement, normalizeMeasurement } from '../lib/measure.js';
+
+const buttonClass = "inline-flex items-center gap-1 px-2 py-1 text-xs font-medium rounded-lg transition-colors";
+
+// Within 10% is good, within 25% usable, anything further off is flagged
+const errorClass = (share) => {
+  if (share === null) return 'text-slate-400';
+  if (Math.abs(share) <= 0.1) return 'text-emerald-600';
+  if (Math.abs(share) <= 0.25) return 'text-amber-600';
+  return 'text-red-600';
+};
+
+// Sizes measured by bin/storage-measure.js next to the estimate for the same
+// rows under the measured engine, with the error of each part
+const MeasuredComparison = ({ tables, engine, measurement, onChange }) => {
+  const [error, setError] = useState('');
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text().then(text => {
+      onChange(normalizeMeasurement(JSON.parse(text)));
+      setError('');
+    }).catch(err => setError(`Could not import ${file.name}: ${err.message}`));
+  };
+
+  const comparison = measurement ? compareMeasurement(tables, measurement) : [];
+  const engineLabel = measurement && ENGINES[measurement.engine].label;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
+      <div className="p-6 border-b border-slate-100 bg-slate-50/50 flex items-center justify-between gap-3">
+        <div className="flex items-center gap-3">
+          <div className="p-2 bg-teal-100 rounded-lg text-teal-600">
+            <FlaskConical className="w-5 h-5" />
+          </div>
+          <div>
+            <h3 className="text-lg font-bold text-slate-800">Estimated vs Measured</h3>
+            <p className="text-xs text-slate-400">
+              {measurement ? `${measurement.server || engineLabel}${measurement.measuredAt ? `, ${measurement.measuredAt.slice(0, 10)}` : ''}` : 'No measurement loaded'}
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <label className={`${buttonClass} cursor-pointer text-blue-600 bg-blue-50 hover:bg-blue-100`}>
+            <Upload className="w-3 h-3" /> Import measurement
+            <input type="file" accept=".json,application/json" onChange={handleImport} className="sr-only" />
+          </label>
+          {measurement && (
+            <button
+              type="button"
+              onClick={() => onChange(null)}
+              className={`${buttonClass} text-slate-600 bg-slate-100 hover:bg-slate-200`}
+              title="Clear measurement"
+            >
+              <X className="w-3 h-3" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && <p className="px-6 pt-3 text-xs text-red-500">{error}</p>}
+
+      {measurement ? (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-left">
+            <thead className="text-xs text-slate-500 uppercase bg-slate-50">
+              <tr>
+                <th className="px-6 py-3 font-semibold">Table</th>
+                <th className="px-3 py-3 font-semibold">Part</th>
+                <th className="px-3 py-3 font-semibold text-right">Estimated</th>
+                <th className="px-3 py-3 font-semibold text-right">Measured</th>
+                <th className="px-6 py-3 font-semibold text-right">Error</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {comparison.flatMap(entry => MEASURED_PARTS.map((part, idx) => (
+                <tr key={`${entry.name}-${part.key}`} className={part.key === 'totalBytes' ? 'bg-slate-50/50' : 'hover:bg-slate-50'}>
+                  {idx === 0 && (
+                    <td rowSpan={MEASURED_PARTS.length} className="px-6 py-2 align-top">
+                      <span className="font-medium text-slate-700">{entry.name}</span>
+                      <span className="block text-xs text-slate-400">{entry.rows.toLocaleString()} rows</span>
+                    </td>
+                  )}
+                  <td className="px-3 py-2 text-slate-600">{part.label}</td>
+                  <td className="px-3 py-2 text-right text-slate-600">
+                    {entry.estimated ? formatBytes(entry.estimated[part.key]) : '—'}
+                  </td>
+                  <td className="px-3 py-2 text-right text-slate-600">{formatBytes(entry.measured[part.key])}</td>
+                  <td className={`px-6 py-2 text-right font-semibold ${errorClass(entry.errors && entry.errors[part.key])}`}>
+                    {entry.errors ? formatSignedPercent(entry.errors[part.key]) : 'not in scenario'}
+                  </td>
+                </tr>
+              )))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="px-6 py-4 text-sm text-slate-500 space-y-2">
+          <p>Load the scenario's tables into a real database and compare what it reports with the estimate:</p>
+          <pre className="p-3 bg-slate-900 text-slate-100 rounded-lg text-xs overflow-x-auto">
+            npm run measure -- scenario.json --engine sqlite --output measurement.json
+          </pre>
+          <p className="text-xs text-slate-400">
+            Export the scenario as JSON first. SQLite runs in-process; PostgreSQL and MySQL take a connection URL with --url.
+          </p>
+        </div>
+      )}
+
+      {measurement && (
+        <p className="px-6 py-3 text-xs text-slate-400 border-t border-slate-100">
+          Estimates are for the measured row count under {engineLabel}
+          {measurement.engine !== engine ? ' (not the engine selected above), ' : ', '}
+          at the default fill factor and without compression. Positive errors mean the estimate is too high.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default MeasuredComparison;
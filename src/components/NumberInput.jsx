@@ -0,0 +1,53 @@
+import React, { useEffect, useId, useState } from 'react';
+import { numberError } from '../lib/validation.js';
+
+// Number field that keeps what is typed and only passes valid values on;
+// anything out of range stays in the field with a message below it, while
+// the estimate keeps using the last valid value
+const NumberInput = ({
+  value, onChange, min, max, integer = false, icon: Icon, className, wrapperClassName = '', ...props
+}) => {
+  const [draft, setDraft] = useState(String(value));
+  const errorId = useId();
+  const error = numberError(draft, { min, max, integer });
+
+  // Follow changes made elsewhere, e.g. a loaded scenario
+  useEffect(() => {
+    if (Number(draft) !== Number(value)) setDraft(String(value));
+  }, [value]);
+
+  const handleChange = (e) => {
+    setDraft(e.target.value);
+    if (!numberError(e.target.value, { min, max, integer })) onChange(Number(e.target.value));
+  };
+
+  const input = (
+    <input
+      type="number"
+      inputMode={integer ? 'numeric' : 'decimal'}
+      min={min}
+      max={max}
+      step={integer ? 1 : 'any'}
+      value={draft}
+      onChange={handleChange}
+      aria-invalid={Boolean(error)}
+      aria-describedby={error ? errorId : undefined}
+      className={`${className} aria-[invalid=true]:border-red-300 aria-[invalid=true]:focus:ring-red-200`}
+      {...props}
+    />
+  );
+
+  return (
+    <div className={wrapperClassName}>
+      {Icon ? (
+        <div className="relative">
+          <Icon className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-slate-400" />
+          {input}
+        </div>
+      ) : input}
+      {error && <p id={errorId} className="text-xs text-red-500 mt-1 ml-1">{error}</p>}
+    </div>
+  );
+};
+
+export default NumberInput;
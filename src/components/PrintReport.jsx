@@ -0,0 +1,151 @@
+import React from 'react';
+import { ENGINES } from '../lib/engines.js';
+import { formatBytes } from '../lib/format.js';
+import { describeColumn, describeTableSettings } from '../lib/compare.js';
+import {
+  REPORT_PERIODS, clusterLines, costLines, describeCluster, describeIndexes, periodRows, rowAssumptions,
+} from '../lib/report.js';
+
+const cellClass = "py-1 pr-4 border-b border-slate-200";
+
+// Report laid out for paper: only shown when printing, in place of the
+// calculator. Spells out the inputs and assumptions behind every figure.
+const PrintReport = ({ estimate }) => {
+  const { scenario, tables, totals, cluster, projection, cost } = estimate;
+  const engine = ENGINES[scenario.engine];
+  const periods = periodRows(estimate);
+  const horizon = projection && projection.points[projection.points.length - 1];
+
+  return (
+    <div className="hidden print:block text-sm text-slate-800">
+      <h1 className="text-2xl font-bold mb-1">Storage estimate</h1>
+      <p className="text-slate-500 mb-6">
+        {engine.label} · start date {scenario.startDate} · printed {new Date().toISOString().slice(0, 10)}
+      </p>
+
+      <h2 className="text-lg font-bold mb-2">Results</h2>
+      <table className="w-full text-left mb-2">
+        <thead>
+          <tr>
+            <th className={cellClass}>Table</th>
+            <th className={cellClass}>Row avg</th>
+            <th className={cellClass}>Rows / day</th>
+            {REPORT_PERIODS.map(period => <th key={period.key} className={cellClass}>{period.label}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {[...tables, { id: 'total', name: 'Total', results: totals }].map(entry => (
+            <tr key={entry.id}>
+              <td className={`${cellClass} font-medium`}>{entry.name}</td>
+              <td className={cellClass}>{entry.id === 'total' ? '' : `${entry.results.rowSize} B`}</td>
+              <td className={cellClass}>{entry.results.rowsPerDay.toLocaleString()}</td>
+              {REPORT_PERIODS.map(period => (
+                <td key={period.key} className={cellClass}>{formatBytes(entry.results[`${period.key}Space`])}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {horizon && (
+        <p className="mb-6">Projected {formatBytes(horizon.totalBytes)} by {horizon.date}.</p>
+      )}
+
+      {tables.map(({ id, error, results }, idx) => {
+        // Results can lag an edit by one render; skip tables they don't cover yet
+        const table = scenario.tables.find(other => other.id === id);
+        if (!table) return null;
+        return (
+          <section key={id} className="mt-6 break-inside-avoid">
+            <h2 className="text-lg font-bold mb-2">{table.name}</h2>
+            {error && <p className="text-red-600 mb-2">Input error: {error}</p>}
+            <dl className="grid grid-cols-[max-content_1fr] gap-x-4 mb-3">
+              {describeTableSettings(table).map(({ label, value }) => (
+                <React.Fragment key={label}>
+                  <dt className="text-slate-500">{label}</dt>
+                  <dd>{value}</dd>
+                </React.Fragment>
+              ))}
+            </dl>
+
+            <table className="w-full text-left mb-3">
+              <thead>
+                <tr><th className={cellClass}>Column</th><th className={cellClass}>Definition</th></tr>
+              </thead>
+              <tbody>
+                {table.columns.map((col, i) => (
+                  <tr key={i}>
+                    <td className={cellClass}>{col.name || `col_${i + 1}`}</td>
+                    <td className={cellClass}>{describeColumn(col)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <table className="w-full text-left mb-3">
+              <thead>
+                <tr>
+                  <th className={cellClass}>Period</th>
+                  <th className={cellClass}>Days</th>
+                  <th className={cellClass}>Table</th>
+                  <th className={cellClass}>Indexes</th>
+                  <th className={cellClass}>Archive</th>
+                  <th className={cellClass}>Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {periods.slice(idx * REPORT_PERIODS.length, (idx + 1) * REPORT_PERIODS.length).map(row => (
+                  <tr key={row.period}>
+                    <td className={cellClass}>{row.period}</td>
+                    <td className={cellClass}>{row.days}</td>
+                    <td className={cellClass}>{formatBytes(row.tableBytes)}</td>
+                    <td className={cellClass}>{formatBytes(row.indexBytes)}</td>
+                    <td className={cellClass}>{formatBytes(row.archiveBytes)}</td>
+                    <td className={`${cellClass} font-medium`}>{formatBytes(row.totalBytes)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <h3 className="font-semibold">Indexes</h3>
+            <ul className="list-disc pl-5 mb-3">
+              {describeIndexes(results).map(line => <li key={line}>{line}</li>)}
+            </ul>
+
+            <h3 className="font-semibold">Row layout</h3>
+            <ul className="list-disc pl-5">
+              {rowAssumptions(results).map(({ label, value }) => <li key={label}>{label}: {value}</li>)}
+            </ul>
+          </section>
+        );
+      })}
+
+      {cluster && (
+        <section className="mt-6 break-inside-avoid">
+          <h2 className="text-lg font-bold mb-2">Cluster storage</h2>
+          <p className="mb-1">{describeCluster(cluster)}</p>
+          <ul className="list-disc pl-5">
+            {clusterLines(cluster, engine).map(line => <li key={line}>{line}</li>)}
+          </ul>
+        </section>
+      )}
+
+      {cost && (
+        <section className="mt-6 break-inside-avoid">
+          <h2 className="text-lg font-bold mb-2">Cost on {cost.profile.label}</h2>
+          <ul className="list-disc pl-5">
+            {costLines(cost).map(line => <li key={line}>{line}</li>)}
+          </ul>
+        </section>
+      )}
+
+      <section className="mt-6 break-inside-avoid">
+        <h2 className="text-lg font-bold mb-2">{engine.label} assumptions</h2>
+        <ul className="list-disc pl-5">
+          {engine.assumptions.map(line => <li key={line}>{line}</li>)}
+        </ul>
+      </section>
+    </div>
+  );
+};
+
+export default PrintReport;
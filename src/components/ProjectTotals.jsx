@@ -0,0 +1,81 @@
+import React from 'react';
+import { Sigma, AlertTriangle } from 'lucide-react';
+import { formatBytes } from '../lib/format.js';
+import RetentionSummary from './RetentionSummary.jsx';
+
+// Per-table breakdown and grand total across every table of the project
+const ProjectTotals = ({ project, activeTableId, onSelect }) => {
+  const { tables, totals } = project;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
+      <div className="p-6 border-b border-slate-100 bg-slate-50/50 flex justify-between items-center">
+        <h3 className="text-lg font-bold text-slate-800 flex items-center gap-2">
+          <Sigma className="w-5 h-5 text-blue-500" />
+          Database Total
+        </h3>
+        <span className="text-xs font-medium px-2 py-1 bg-blue-100 text-blue-700 rounded-md">
+          {tables.length} {tables.length === 1 ? 'table' : 'tables'}
+        </span>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-xs text-slate-400 uppercase tracking-wide text-left">
+              <th className="px-6 py-3 font-semibold">Table</th>
+              <th className="px-3 py-3 font-semibold text-right">Row</th>
+              <th className="px-3 py-3 font-semibold text-right">Rows / Day</th>
+              <th className="px-3 py-3 font-semibold text-right">Daily</th>
+              <th className="px-3 py-3 font-semibold text-right">Monthly</th>
+              <th className="px-6 py-3 font-semibold text-right">Yearly</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {tables.map(({ id, name, error, results }) => (
+              <tr
+                key={id}
+                onClick={() => onSelect(id)}
+                className={`cursor-pointer transition-colors ${id === activeTableId ? 'bg-blue-50/50' : 'hover:bg-slate-50'}`}
+              >
+                <td className="px-6 py-3 font-medium text-slate-700">
+                  <span className="flex items-center gap-1.5">
+                    {name || 'untitled'}
+                    {error && (
+                      <span title={error}>
+                        <AlertTriangle className="w-3.5 h-3.5 text-red-500" />
+                      </span>
+                    )}
+                  </span>
+                </td>
+                <td className="px-3 py-3 text-right text-slate-600">{results.rowSize} B</td>
+                <td className="px-3 py-3 text-right text-slate-600">{results.rowsPerDay.toLocaleString()}</td>
+                <td className="px-3 py-3 text-right text-slate-600">{formatBytes(results.dailySpace)}</td>
+                <td className="px-3 py-3 text-right text-slate-600">{formatBytes(results.monthlySpace)}</td>
+                <td className="px-6 py-3 text-right text-slate-600">{formatBytes(results.yearlySpace)}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr className="border-t-2 border-slate-200 font-bold text-slate-800">
+              <td className="px-6 py-3">Total</td>
+              <td className="px-3 py-3" />
+              <td className="px-3 py-3 text-right">{totals.rowsPerDay.toLocaleString()}</td>
+              <td className="px-3 py-3 text-right">{formatBytes(totals.dailySpace)}</td>
+              <td className="px-3 py-3 text-right text-blue-700">{formatBytes(totals.monthlySpace)}</td>
+              <td className="px-6 py-3 text-right text-indigo-600">{formatBytes(totals.yearlySpace)}</td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+
+      {totals.retention && (
+        <div className="border-t border-slate-100">
+          <RetentionSummary retention={totals.retention} title="Database steady state (peaks summed)" embedded />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProjectTotals;
@@ -0,0 +1,88 @@
+import React from 'react';
+import { History, Archive } from 'lucide-react';
+import { PARTITION_GRANULARITIES } from '../lib/retention.js';
+
+const inputClass = "w-full p-2 text-sm border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none bg-white";
+
+// Retention window, partition granularity and archive tier of one table
+const RetentionSettings = ({ table, onChange }) => {
+  const toInt = (value) => Math.max(0, parseInt(value) || 0);
+
+  return (
+    <div className="mb-6 bg-slate-50 p-4 rounded-xl border border-slate-100">
+      <label className="flex items-center gap-2 text-sm font-semibold text-slate-600 mb-3">
+        <History className="w-4 h-4 text-blue-500" />
+        Retention
+      </label>
+
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs text-slate-500 mb-1">Keep for (days)</label>
+          <input
+            type="number"
+            min="0"
+            value={table.retentionDays}
+            onChange={(e) => onChange('retentionDays', toInt(e.target.value))}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-slate-500 mb-1">Partitioning</label>
+          <select
+            value={table.partitionBy}
+            onChange={(e) => onChange('partitionBy', e.target.value)}
+            className={inputClass}
+          >
+            {Object.entries(PARTITION_GRANULARITIES).map(([key, info]) => (
+              <option key={key} value={key}>{info.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <p className="text-xs text-slate-400 mt-2">
+        {table.retentionDays > 0
+          ? `Data older than ${table.retentionDays} days is dropped ${table.partitionBy === 'none' ? 'by a daily delete job' : 'one whole partition at a time'}.`
+          : 'Set to 0 to keep data forever.'}
+      </p>
+
+      <label className="flex items-center gap-2 text-xs font-semibold text-slate-600 mt-4 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={table.archiveEnabled}
+          onChange={(e) => onChange('archiveEnabled', e.target.checked)}
+          className="rounded border-slate-300 text-blue-600 focus:ring-blue-500"
+        />
+        <Archive className="w-3.5 h-3.5 text-slate-400" />
+        Move aged data to an archive tier
+      </label>
+
+      {table.archiveEnabled && (
+        <div className="grid grid-cols-2 gap-3 mt-3 animate-fadeIn">
+          <div>
+            <label className="block text-xs text-slate-500 mb-1">Archive after (days)</label>
+            <input
+              type="number"
+              min="1"
+              value={table.archiveAfterDays}
+              onChange={(e) => onChange('archiveAfterDays', Math.max(1, toInt(e.target.value)))}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-slate-500 mb-1">Compression ratio (x:1)</label>
+            <input
+              type="number"
+              min="1"
+              step="0.5"
+              value={table.archiveCompression}
+              onChange={(e) => onChange('archiveCompression', Math.max(1, parseFloat(e.target.value) || 1))}
+              className={inputClass}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RetentionSettings;
@@ -0,0 +1,35 @@
+import React from 'react';
+import { History } from 'lucide-react';
+import { formatBytes } from '../lib/format.js';
+
+// Steady-state, ramp-up time and pre-drop peak for a retention window
+const RetentionSummary = ({ retention, title, embedded = false }) => {
+  if (!retention) return null;
+
+  return (
+    <div className={embedded ? 'p-6' : 'bg-white p-6 rounded-2xl shadow-sm border border-slate-200'}>
+      <div className="flex items-center gap-3 mb-4">
+        <div className="p-2 bg-rose-100 rounded-lg text-rose-600">
+          <History className="w-5 h-5" />
+        </div>
+        <span className="text-sm font-semibold text-slate-500">{title}</span>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <div className="text-xl font-bold text-slate-800">{formatBytes(retention.steadyStateBytes)}</div>
+          <p className="text-xs text-slate-400">Steady-state size (average)</p>
+        </div>
+        <div>
+          <div className="text-xl font-bold text-slate-800">{retention.steadyStateDays.toLocaleString()} days</div>
+          <p className="text-xs text-slate-400">Until the first purge</p>
+        </div>
+        <div>
+          <div className="text-xl font-bold text-rose-600">{formatBytes(retention.peakBytes)}</div>
+          <p className="text-xs text-slate-400">Peak, just before a purge</p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RetentionSummary;
@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import { Bookmark, Link, Save, Copy, Pencil, Trash2, FolderOpen, Check } from 'lucide-react';
+import {
+  serializeScenario, restoreScenario, scenarioHash, loadSavedScenarios, storeSavedScenarios, newScenarioId,
+} from '../lib/scenario.js';
+
+const buttonClass = "inline-flex items-center gap-1 px-2 py-1 text-xs font-medium rounded-lg transition-colors";
+const iconButton = "p-1.5 text-slate-400 rounded-md hover:bg-slate-100 transition-colors";
+
+// Share link for the current configuration and named scenarios saved in this browser
+const ScenarioManager = ({ scenario, onLoad, linkError }) => {
+  const [saved, setSaved] = useState(loadSavedScenarios);
+  const [name, setName] = useState('');
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  const [copied, setCopied] = useState(false);
+  const [shareUrl, setShareUrl] = useState('');
+  const [error, setError] = useState('');
+
+  const persist = (list) => {
+    setSaved(list);
+    setError(storeSavedScenarios(list));
+  };
+
+  const handleSave = () => {
+    const entry = {
+      id: newScenarioId(),
+      name: name.trim() || `Scenario ${saved.length + 1}`,
+      savedAt: new Date().toISOString(),
+      data: serializeScenario(scenario),
+    };
+    persist([...saved, entry]);
+    setName('');
+  };
+
+  const handleLoad = (entry) => {
+    try {
+      onLoad(restoreScenario(entry.data));
+      setError('');
+    } catch (e) {
+      setError(`Could not load "${entry.name}": ${e.message}`);
+    }
+  };
+
+  const handleRename = (id) => {
+    const trimmed = renameValue.trim();
+    if (trimmed) persist(saved.map(entry => (entry.id === id ? { ...entry, name: trimmed } : entry)));
+    setRenamingId(null);
+  };
+
+  const handleDuplicate = (entry) => {
+    const copy = { ...entry, id: newScenarioId(), name: `${entry.name} (copy)`, savedAt: new Date().toISOString() };
+    persist([...saved, copy]);
+  };
+
+  // Clipboard access can be blocked (non-HTTPS, permissions); fall back to showing the link
+  const handleCopyLink = () => {
+    const url = `${window.location.origin}${window.location.pathname}${scenarioHash(scenario)}`;
+    setShareUrl(url);
+    if (!navigator.clipboard) return;
+    navigator.clipboard.writeText(url).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    }, () => {});
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold flex items-center gap-2 text-slate-700">
+          <Bookmark className="w-5 h-5 text-blue-500" />
+          Scenarios
+        </h2>
+        <button
+          type="button"
+          onClick={handleCopyLink}
+          className={`${buttonClass} text-blue-600 bg-blue-50 hover:bg-blue-100`}
+        >
+          {copied ? <Check className="w-3 h-3" /> : <Link className="w-3 h-3" />}
+          {copied ? 'Link copied' : 'Copy share link'}
+        </button>
+      </div>
+
+      {shareUrl && !copied && (
+        <input
+          type="text"
+          readOnly
+          value={shareUrl}
+          onFocus={(e) => e.target.select()}
+          className="w-full mb-3 p-2 text-xs font-mono text-slate-500 bg-slate-50 border border-slate-200 rounded-lg outline-none"
+          aria-label="Share link"
+        />
+      )}
+
+      {(linkError || error) && <p className="text-xs text-red-500 mb-3">{linkError || error}</p>}
+
+      <div className="flex gap-2 mb-4">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+          placeholder="Scenario name"
+          className="flex-1 p-2 text-sm border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none"
+        />
+        <button
+          type="button"
+          onClick={handleSave}
+          className={`${buttonClass} text-white bg-blue-600 hover:bg-blue-700`}
+        >
+          <Save className="w-3 h-3" /> Save
+        </button>
+      </div>
+
+      <ul className="space-y-2">
+        {saved.map(entry => (
+          <li key={entry.id} className="flex items-center gap-2 p-2 bg-slate-50 rounded-lg border border-slate-100">
+            {renamingId === entry.id ? (
+              <input
+                type="text"
+                autoFocus
+                value={renameValue}
+                onChange={(e) => setRenameValue(e.target.value)}
+                onBlur={() => handleRename(entry.id)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') handleRename(entry.id);
+                  if (e.key === 'Escape') setRenamingId(null);
+                }}
+                className="flex-1 p-1 text-sm border border-slate-200 rounded-md outline-none focus:ring-1 focus:ring-blue-500"
+                aria-label="Scenario name"
+              />
+            ) : (
+              <div className="flex-1 min-w-0">
+                <div className="text-sm font-medium text-slate-700 truncate">{entry.name}</div>
+                <div className="text-[10px] text-slate-400">{new Date(entry.savedAt).toLocaleString()}</div>
+              </div>
+            )}
+            <button type="button" onClick={() => handleLoad(entry)} className={`${iconButton} hover:text-blue-600`} aria-label={`Load ${entry.name}`} title="Load">
+              <FolderOpen className="w-4 h-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => { setRenamingId(entry.id); setRenameValue(entry.name); }}
+              className={`${iconButton} hover:text-slate-600`}
+              aria-label={`Rename ${entry.name}`}
+              title="Rename"
+            >
+              <Pencil className="w-4 h-4" />
+            </button>
+            <button type="button" onClick={() => handleDuplicate(entry)} className={`${iconButton} hover:text-slate-600`} aria-label={`Duplicate ${entry.name}`} title="Duplicate">
+              <Copy className="w-4 h-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => persist(saved.filter(other => other.id !== entry.id))}
+              className={`${iconButton} hover:text-red-500`}
+              aria-label={`Delete ${entry.name}`}
+              title="Delete"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </li>
+        ))}
+        {saved.length === 0 && (
+          <p className="text-xs text-slate-400">No saved scenarios. Saved scenarios stay in this browser.</p>
+        )}
+      </ul>
+    </div>
+  );
+};
+
+export default ScenarioManager;
@@ -0,0 +1,201 @@
+import React, { useId, useState } from 'react';
+import { Calendar, Globe, Plus, Trash2, Copy, CalendarX, Upload } from 'lucide-react';
+import { WEEKDAYS, DEFAULT_WINDOW, parseICalHolidays, timeZones } from '../lib/schedule.js';
+import ToggleSwitch from './ToggleSwitch.jsx';
+
+const inputClass = "w-full p-2 text-sm border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none bg-white";
+
+const WORKDAYS = ['tue', 'wed', 'thu', 'fri'];
+
+// Operating schedule of a group of agents: always on or weekly windows,
+// in a time zone, with holidays off
+const ScheduleEditor = ({ schedule, onChange, title = 'Operational Hours' }) => {
+  const [importMessage, setImportMessage] = useState('');
+  const switchId = useId();
+  const weekly = schedule.mode === 'weekly';
+
+  const update = (field, value) => onChange({ ...schedule, [field]: value });
+  const updateDay = (day, windows) => update('days', { ...schedule.days, [day]: windows });
+  const updateWindow = (day, idx, field, value) => updateDay(
+    day,
+    schedule.days[day].map((window, i) => (i === idx ? { ...window, [field]: value } : window)),
+  );
+  const copyMondayToWorkdays = () => update('days', {
+    ...schedule.days,
+    ...Object.fromEntries(WORKDAYS.map(day => [day, schedule.days.mon])),
+  });
+
+  const updateHoliday = (idx, field, value) => update(
+    'holidays',
+    schedule.holidays.map((holiday, i) => (i === idx ? { ...holiday, [field]: value } : holiday)),
+  );
+
+  // Merge holidays from an .ics file, skipping dates already listed
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text().then((text) => {
+      const known = new Set(schedule.holidays.map(holiday => holiday.date));
+      const imported = parseICalHolidays(text).filter(holiday => !known.has(holiday.date));
+      update('holidays', [...schedule.holidays, ...imported].sort((a, b) => a.date.localeCompare(b.date)));
+      setImportMessage(`Imported ${imported.length} new date${imported.length === 1 ? '' : 's'} from ${file.name}.`);
+    }, () => setImportMessage(`Could not read ${file.name}.`));
+  };
+
+  return (
+    <div className="mb-6 bg-slate-50 p-4 rounded-xl border border-slate-100">
+      <div className="flex items-center justify-between mb-3">
+        <label htmlFor={switchId} className="flex items-center gap-2 text-sm font-semibold text-slate-600 cursor-pointer">
+          <Calendar className="w-4 h-4 text-blue-500" />
+          {title}
+        </label>
+
+        <ToggleSwitch id={switchId} checked={weekly} onChange={(on) => update('mode', on ? 'weekly' : 'always')} />
+      </div>
+
+      <div className="mb-3">
+        <label className="block text-xs text-slate-500 mb-1 flex items-center gap-1">
+          <Globe className="w-3 h-3" /> Time zone
+        </label>
+        <select
+          value={schedule.timeZone}
+          onChange={(e) => update('timeZone', e.target.value)}
+          className={inputClass}
+        >
+          {timeZones().map(zone => <option key={zone} value={zone}>{zone}</option>)}
+        </select>
+      </div>
+
+      {weekly ? (
+        <div className="space-y-2 animate-fadeIn">
+          {WEEKDAYS.map(({ key, label }) => (
+            <div key={key} className="flex items-start gap-2">
+              <span className="w-9 pt-2 text-xs font-medium text-slate-500">{label}</span>
+              <div className="flex-1 space-y-1">
+                {schedule.days[key].length === 0 && (
+                  <p className="pt-2 text-xs text-slate-400">Off</p>
+                )}
+                {schedule.days[key].map((window, idx) => (
+                  <div key={idx} className="flex items-center gap-1">
+                    <input
+                      type="time"
+                      value={window.start}
+                      onChange={(e) => updateWindow(key, idx, 'start', e.target.value)}
+                      aria-label={`${label} window ${idx + 1} start`}
+                      className={inputClass}
+                    />
+                    <span className="text-xs text-slate-400">–</span>
+                    <input
+                      type="time"
+                      value={window.end}
+                      onChange={(e) => updateWindow(key, idx, 'end', e.target.value)}
+                      aria-label={`${label} window ${idx + 1} end`}
+                      className={inputClass}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => updateDay(key, schedule.days[key].filter((_, i) => i !== idx))}
+                      className="p-1.5 text-slate-400 hover:text-red-500"
+                      aria-label={`Remove ${label} window ${idx + 1}`}
+                    >
+                      <Trash2 className="w-3.5 h-3.5" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <button
+                type="button"
+                onClick={() => updateDay(key, [...schedule.days[key], DEFAULT_WINDOW])}
+                className="p-1.5 mt-0.5 text-slate-400 hover:text-blue-600"
+                aria-label={`Add ${label} window`}
+              >
+                <Plus className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={copyMondayToWorkdays}
+            className="flex items-center gap-1 text-xs font-medium text-blue-600 hover:text-blue-700"
+          >
+            <Copy className="w-3 h-3" /> Copy Monday to Tue–Fri
+          </button>
+          <p className="text-xs text-slate-400">
+            A window ending at or before its start runs past midnight; equal times are a full day.
+          </p>
+        </div>
+      ) : (
+        <p className="text-xs text-slate-400">Agents are active 24 hours a day.</p>
+      )}
+
+      {/* Holidays */}
+      <div className="mt-4 pt-3 border-t border-slate-200">
+        <div className="flex items-center justify-between mb-2">
+          <span className="flex items-center gap-1 text-xs font-semibold text-slate-600">
+            <CalendarX className="w-3.5 h-3.5 text-slate-400" />
+            Holidays ({schedule.holidays.length})
+          </span>
+          <div className="flex items-center gap-2">
+            <label className="flex items-center gap-1 text-xs font-medium text-blue-600 hover:text-blue-700 cursor-pointer">
+              <Upload className="w-3 h-3" /> Import .ics
+              <input type="file" accept=".ics,text/calendar" onChange={handleImport} className="hidden" />
+            </label>
+            <button
+              type="button"
+              onClick={() => update('holidays', [...schedule.holidays, { date: '', name: '', yearly: false }])}
+              className="flex items-center gap-1 text-xs font-medium text-blue-600 hover:text-blue-700"
+            >
+              <Plus className="w-3 h-3" /> Add
+            </button>
+          </div>
+        </div>
+        {importMessage && <p className="text-xs text-slate-500 mb-2">{importMessage}</p>}
+
+        {schedule.holidays.length > 0 && (
+          <div className="space-y-1 max-h-48 overflow-y-auto">
+            {schedule.holidays.map((holiday, idx) => (
+              <div key={idx} className="flex items-center gap-1">
+                <input
+                  type="date"
+                  value={holiday.date}
+                  onChange={(e) => updateHoliday(idx, 'date', e.target.value)}
+                  aria-label={`Holiday ${idx + 1} date`}
+                  className={inputClass}
+                />
+                <input
+                  type="text"
+                  value={holiday.name}
+                  onChange={(e) => updateHoliday(idx, 'name', e.target.value)}
+                  placeholder="Name"
+                  aria-label={`Holiday ${idx + 1} name`}
+                  className={inputClass}
+                />
+                <label className="flex items-center gap-1 text-xs text-slate-500 whitespace-nowrap" title="Repeat every year">
+                  <input
+                    type="checkbox"
+                    checked={holiday.yearly}
+                    onChange={(e) => updateHoliday(idx, 'yearly', e.target.checked)}
+                    className="rounded border-slate-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  Yearly
+                </label>
+                <button
+                  type="button"
+                  onClick={() => update('holidays', schedule.holidays.filter((_, i) => i !== idx))}
+                  className="p-1.5 text-slate-400 hover:text-red-500"
+                  aria-label={`Remove holiday ${idx + 1}`}
+                >
+                  <Trash2 className="w-3.5 h-3.5" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+        <p className="text-xs text-slate-400 mt-2">No rows are written on holidays, in the schedule's time zone.</p>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduleEditor;
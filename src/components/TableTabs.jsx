@@ -0,0 +1,62 @@
+import React from 'react';
+import { Plus, Trash2, Table2 } from 'lucide-react';
+
+// Table switcher plus name editing for the active table
+const TableTabs = ({ tables, activeTableId, onSelect, onAdd, onRemove, onRename }) => {
+  const activeTable = tables.find(table => table.id === activeTableId) || tables[0];
+
+  return (
+    <div className="mb-6 bg-slate-50 p-4 rounded-xl border border-slate-100">
+      <div className="flex items-center justify-between mb-3">
+        <label className="flex items-center gap-2 text-sm font-semibold text-slate-600">
+          <Table2 className="w-4 h-4 text-blue-500" />
+          Tables
+        </label>
+        <button
+          type="button"
+          onClick={onAdd}
+          className="inline-flex items-center gap-1 px-2 py-1 text-xs font-medium text-blue-600 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors"
+        >
+          <Plus className="w-3 h-3" /> Add Table
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-1.5 mb-3" role="tablist">
+        {tables.map(table => (
+          <button
+            key={table.id}
+            type="button"
+            role="tab"
+            aria-selected={table.id === activeTable.id}
+            onClick={() => onSelect(table.id)}
+            className={`px-3 py-1 text-xs font-medium rounded-lg transition-colors ${table.id === activeTable.id ? 'bg-blue-600 text-white' : 'bg-white text-slate-500 border border-slate-200 hover:bg-slate-100'}`}
+          >
+            {table.name || 'untitled'}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={activeTable.name}
+          onChange={(e) => onRename(e.target.value)}
+          placeholder="Table name"
+          className="flex-1 min-w-0 text-sm p-2 bg-white border border-slate-200 rounded-lg focus:ring-1 focus:ring-blue-500 outline-none text-slate-700"
+        />
+        {tables.length > 1 && (
+          <button
+            type="button"
+            onClick={() => onRemove(activeTable.id)}
+            className="p-2 text-slate-400 hover:text-red-500 transition-colors"
+            aria-label={`Remove table ${activeTable.name}`}
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TableTabs;
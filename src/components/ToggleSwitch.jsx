@@ -0,0 +1,19 @@
+import React from 'react';
+
+// On/off switch: a button announced as a switch, toggled with a click, Space
+// or Enter. Give it an id and point a <label htmlFor> at it, or pass `label`.
+const ToggleSwitch = ({ id, checked, onChange, label }) => (
+  <button
+    id={id}
+    type="button"
+    role="switch"
+    aria-checked={checked}
+    aria-label={label}
+    onClick={() => onChange(!checked)}
+    className={`relative w-11 h-6 rounded-full transition-colors flex-shrink-0 outline-none focus-visible:ring-2 focus-visible:ring-blue-500 focus-visible:ring-offset-2 ${checked ? 'bg-blue-600' : 'bg-slate-300'}`}
+  >
+    <span className={`absolute top-1 left-1 bg-white w-4 h-4 rounded-full transition-transform ${checked ? 'translate-x-5' : 'translate-x-0'}`} />
+  </button>
+);
+
+export default ToggleSwitch;
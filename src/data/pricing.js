@@ -0,0 +1,143 @@
+// Storage price list for the cost projection. This is plain data kept in the
+// repository, never fetched: edit the numbers or add profiles here. Prices can
+// also be overridden per scenario (cost.prices, see src/lib/cost.js).
+//
+// Figures are approximate on-demand list prices for a US region, in
+// PRICE_CURRENCY. Check your provider's price page for your region and
+// discounts before relying on them.
+//
+// Each profile:
+//   label
+//   kind               'database' (managed database), 'block' or 'object' storage
+//   storagePerGbMonth  price of one GB stored for a month
+//   backupPerGbMonth   price of one GB of backups or snapshots for a month
+//   backupIncluded     backup storage included for free, as a share of the
+//                      database size (1 = as much as the database itself)
+//   sharedStorage      replicas read the primary's storage instead of keeping
+//                      their own copy (Aurora-style clusters)
+//   iopsTiers          [{ label, perMonth }]: monthly charge for provisioned
+//                      IOPS or I/O, per instance; the first tier is the default
+
+export const PRICE_CURRENCY = 'USD';
+
+export const PRICING_PROFILES = {
+  'aws-rds-gp3': {
+    label: 'AWS RDS (gp3)',
+    kind: 'database',
+    storagePerGbMonth: 0.115,
+    backupPerGbMonth: 0.095,
+    backupIncluded: 1,
+    iopsTiers: [
+      { label: '3,000 IOPS (included)', perMonth: 0 },
+      { label: '12,000 IOPS', perMonth: 180 },
+      { label: '20,000 IOPS', perMonth: 340 },
+    ],
+  },
+  'aws-rds-io1': {
+    label: 'AWS RDS (io1)',
+    kind: 'database',
+    storagePerGbMonth: 0.125,
+    backupPerGbMonth: 0.095,
+    backupIncluded: 1,
+    iopsTiers: [
+      { label: '3,000 IOPS', perMonth: 300 },
+      { label: '10,000 IOPS', perMonth: 1000 },
+      { label: '30,000 IOPS', perMonth: 3000 },
+    ],
+  },
+  'aws-aurora': {
+    label: 'AWS Aurora (standard)',
+    kind: 'database',
+    storagePerGbMonth: 0.10,
+    backupPerGbMonth: 0.021,
+    backupIncluded: 1,
+    sharedStorage: true,
+    iopsTiers: [
+      { label: 'Light I/O (~100M requests)', perMonth: 20 },
+      { label: 'Moderate I/O (~1B requests)', perMonth: 200 },
+      { label: 'Heavy I/O (~5B requests)', perMonth: 1000 },
+    ],
+  },
+  'gcp-cloudsql-ssd': {
+    label: 'Google Cloud SQL (SSD)',
+    kind: 'database',
+    storagePerGbMonth: 0.17,
+    backupPerGbMonth: 0.08,
+    backupIncluded: 0,
+    iopsTiers: [{ label: 'Scales with size (included)', perMonth: 0 }],
+  },
+  'azure-pg-flexible': {
+    label: 'Azure Database for PostgreSQL (Flexible)',
+    kind: 'database',
+    storagePerGbMonth: 0.115,
+    backupPerGbMonth: 0.095,
+    backupIncluded: 1,
+    iopsTiers: [
+      { label: 'Baseline for size (included)', perMonth: 0 },
+      { label: '+5,000 IOPS', perMonth: 250 },
+    ],
+  },
+  'aws-ebs-gp3': {
+    label: 'AWS EBS gp3 (self-managed)',
+    kind: 'block',
+    storagePerGbMonth: 0.08,
+    backupPerGbMonth: 0.05,
+    backupIncluded: 0,
+    iopsTiers: [
+      { label: '3,000 IOPS (included)', perMonth: 0 },
+      { label: '6,000 IOPS', perMonth: 15 },
+      { label: '16,000 IOPS', perMonth: 65 },
+    ],
+  },
+  'aws-ebs-io2': {
+    label: 'AWS EBS io2 (self-managed)',
+    kind: 'block',
+    storagePerGbMonth: 0.125,
+    backupPerGbMonth: 0.05,
+    backupIncluded: 0,
+    iopsTiers: [
+      { label: '10,000 IOPS', perMonth: 650 },
+      { label: '32,000 IOPS', perMonth: 2080 },
+    ],
+  },
+  'gcp-pd-ssd': {
+    label: 'Google Persistent Disk SSD',
+    kind: 'block',
+    storagePerGbMonth: 0.17,
+    backupPerGbMonth: 0.026,
+    backupIncluded: 0,
+    iopsTiers: [{ label: 'Scales with size (included)', perMonth: 0 }],
+  },
+  'aws-s3-standard': {
+    label: 'AWS S3 Standard',
+    kind: 'object',
+    storagePerGbMonth: 0.023,
+    backupPerGbMonth: 0,
+    backupIncluded: 0,
+    iopsTiers: [],
+  },
+  'aws-s3-ia': {
+    label: 'AWS S3 Standard-IA',
+    kind: 'object',
+    storagePerGbMonth: 0.0125,
+    backupPerGbMonth: 0,
+    backupIncluded: 0,
+    iopsTiers: [],
+  },
+  'gcp-storage-standard': {
+    label: 'Google Cloud Storage Standard',
+    kind: 'object',
+    storagePerGbMonth: 0.020,
+    backupPerGbMonth: 0,
+    backupIncluded: 0,
+    iopsTiers: [],
+  },
+  'azure-blob-hot': {
+    label: 'Azure Blob Storage (Hot, LRS)',
+    kind: 'object',
+    storagePerGbMonth: 0.018,
+    backupPerGbMonth: 0,
+    backupIncluded: 0,
+    iopsTiers: [],
+  },
+};
@@ -0,0 +1,98 @@
+// Cluster footprint: the storage a database needs beyond its live tables.
+//
+// - Replicas each hold a full copy of the primary.
+// - The write-ahead log (binlog, transaction log) grows with every insert and
+//   is kept for logRetentionDays for point-in-time recovery. Its size per row
+//   follows the engine's wal block (see engines.js).
+// - A full backup is taken every fullBackupIntervalDays and backupsRetained of
+//   them are kept. With incremental backups, each day between fulls adds a
+//   day's writes on top. Backups shrink by backupCompression.
+//
+// Footprints are taken on a given day of the projection: a full backup holds
+// the primary as it was on the day it was taken.
+
+export const DEFAULT_CLUSTER = {
+  replicas: 0,
+  logRetentionDays: 7,
+  fullBackupIntervalDays: 7,
+  backupsRetained: 4,
+  incrementalBackups: true,
+  backupCompression: 1,
+};
+
+export const FOOTPRINT_PARTS = [
+  { key: 'primary', label: 'Primary' },
+  { key: 'replicas', label: 'Replicas' },
+  { key: 'wal', label: 'WAL' },
+  { key: 'backups', label: 'Backups' },
+];
+
+const nonNegative = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+// Cluster settings with defaults filled in and out-of-range values replaced
+export const normalizeCluster = (raw = {}) => ({
+  replicas: Math.floor(nonNegative(raw.replicas, DEFAULT_CLUSTER.replicas)),
+  logRetentionDays: nonNegative(raw.logRetentionDays, DEFAULT_CLUSTER.logRetentionDays),
+  fullBackupIntervalDays: Math.max(1, nonNegative(raw.fullBackupIntervalDays, DEFAULT_CLUSTER.fullBackupIntervalDays)),
+  backupsRetained: Math.floor(nonNegative(raw.backupsRetained, DEFAULT_CLUSTER.backupsRetained)),
+  incrementalBackups: raw.incrementalBackups ?? DEFAULT_CLUSTER.incrementalBackups,
+  backupCompression: Math.max(1, nonNegative(raw.backupCompression, DEFAULT_CLUSTER.backupCompression)),
+});
+
+// Log bytes written per inserted row of `rowBytes`, given the sizes of the
+// table's indexes (computeIndexSizes entries) and the rows each transaction
+// (one agent report) inserts
+export const walBytesPerRow = (engine, rowBytes, indexSizes, rowsPerTransaction = 1) => {
+  const { wal } = engine;
+  const perTransaction = Math.max(1, rowsPerTransaction);
+  // A clustered primary key is the table itself and logs nothing extra
+  const logged = indexSizes.filter(index => !(index.primary && engine.index.clusteredPrimaryKey));
+
+  if (wal.pageImages) {
+    return (engine.page.size + wal.frameBytes) * (1 + logged.length) / perTransaction;
+  }
+  const indexBytes = wal.logsIndexes
+    ? logged.reduce((sum, index) => sum + wal.indexRecordBytes + index.entryBytes, 0)
+    : 0;
+  return wal.recordBytes + rowBytes + indexBytes + wal.transactionBytes / perTransaction;
+};
+
+// Log retained on `day`: logRetentionDays of writes, or the engine's cap for
+// logs that are checkpointed rather than archived
+export const retainedWalBytes = (engine, walBytesPerDay, day, settings) => {
+  if (engine.wal.maxBytes) return walBytesPerDay > 0 ? engine.wal.maxBytes : 0;
+  return walBytesPerDay * Math.min(day, settings.logRetentionDays);
+};
+
+// Backup storage on `day`: the retained full backups, each the size of the
+// primary on the day it was taken, plus incrementals since the oldest one
+export const backupBytes = (primaryAt, writeBytesPerDay, day, settings) => {
+  if (settings.backupsRetained <= 0) return 0;
+  const interval = settings.fullBackupIntervalDays;
+  const lastFull = Math.floor(day / interval) * interval;
+
+  let bytes = 0;
+  let oldest = lastFull;
+  for (let k = 0; k < settings.backupsRetained && lastFull - k * interval >= 0; k++) {
+    oldest = lastFull - k * interval;
+    bytes += primaryAt(oldest);
+  }
+  if (settings.incrementalBackups) bytes += writeBytesPerDay * (day - oldest);
+  return bytes / settings.backupCompression;
+};
+
+// Storage of the whole cluster on `day`, split into FOOTPRINT_PARTS.
+// rates: { walBytesPerDay, writeBytesPerDay }
+export const clusterFootprint = (engine, primaryAt, rates, settings, day) => {
+  const primary = primaryAt(day);
+  const footprint = {
+    primary,
+    replicas: primary * settings.replicas,
+    wal: retainedWalBytes(engine, rates.walBytesPerDay, day, settings),
+    backups: backupBytes(primaryAt, rates.writeBytesPerDay, day, settings),
+  };
+  return { ...footprint, total: FOOTPRINT_PARTS.reduce((sum, part) => sum + footprint[part.key], 0) };
+};
@@ -0,0 +1,96 @@
+// Per-column value statistics: how often a column is NULL and how the length
+// of a variable-length value is distributed.
+//
+// A column keeps its average length in `length`. An optional `distribution`
+// refines it:
+//   { mode: 'range', min, max }            min / avg / max, avg = length
+//   { mode: 'buckets', buckets: [{ percentile, length }] }
+// Both are turned into a piecewise-linear quantile function, so a value at
+// percentile u is interpolated between the surrounding knots.
+
+export const LENGTH_DISTRIBUTIONS = {
+  fixed: { label: 'Average only' },
+  range: { label: 'Min / avg / max' },
+  buckets: { label: 'Percentile buckets' },
+};
+
+const toLength = (value) => Math.max(0, parseFloat(value) || 0);
+
+// Share of rows where the column is NULL, 0..1
+export const nullShare = (col) => Math.min(100, Math.max(0, parseFloat(col.nullPercent) || 0)) / 100;
+
+export const distributionMode = (col) => (
+  col.distribution && LENGTH_DISTRIBUTIONS[col.distribution.mode] ? col.distribution.mode : 'fixed'
+);
+
+// Quantile knots [[u, length], ...] with u running from 0 to 1
+const lengthKnots = (col) => {
+  const avg = toLength(col.length);
+
+  switch (distributionMode(col)) {
+    case 'range': {
+      const min = Math.min(avg, toLength(col.distribution.min));
+      const max = Math.max(avg, toLength(col.distribution.max));
+      if (max === min) return [[0, avg], [1, avg]];
+      // Two uniform segments around the average, weighted so the mean is avg
+      const below = (max - avg) / (max - min);
+      return [[0, min], [below, avg], [1, max]];
+    }
+    case 'buckets': {
+      const knots = (col.distribution.buckets || [])
+        .map(b => [Math.min(100, Math.max(0, parseFloat(b.percentile) || 0)) / 100, toLength(b.length)])
+        .sort((a, b) => a[0] - b[0]);
+      if (knots.length === 0) return [[0, avg], [1, avg]];
+      // Values below the first bucket and above the last one are flat
+      if (knots[0][0] > 0) knots.unshift([0, knots[0][1]]);
+      if (knots[knots.length - 1][0] < 1) knots.push([1, knots[knots.length - 1][1]]);
+      return knots;
+    }
+    default:
+      return [[0, avg], [1, avg]];
+  }
+};
+
+// Length of the value at percentile u (0..1) among non-null rows
+export const lengthAt = (col, u) => {
+  const knots = lengthKnots(col);
+  for (let i = 1; i < knots.length; i++) {
+    const [u0, l0] = knots[i - 1];
+    const [u1, l1] = knots[i];
+    if (u <= u1) return u1 === u0 ? l1 : l0 + (l1 - l0) * (u - u0) / (u1 - u0);
+  }
+  return knots[knots.length - 1][1];
+};
+
+// Mean length of non-null values: the area under the quantile function
+export const meanLength = (col) => {
+  const knots = lengthKnots(col);
+  let area = 0;
+  for (let i = 1; i < knots.length; i++) {
+    area += (knots[i][0] - knots[i - 1][0]) * (knots[i][1] + knots[i - 1][1]) / 2;
+  }
+  return area;
+};
+
+export const maxLength = (col) => Math.max(...lengthKnots(col).map(([, length]) => length));
+
+// Whether the column's size varies from row to row
+export const isVaried = (col) => nullShare(col) > 0 || distributionMode(col) !== 'fixed';
+
+// Default distribution settings when switching a column to `mode`
+export const defaultDistribution = (mode, col) => {
+  const avg = Math.max(1, toLength(col.length));
+  if (mode === 'range') return { mode, min: Math.round(avg / 2), max: avg * 4 };
+  if (mode === 'buckets') {
+    return {
+      mode,
+      buckets: [
+        { percentile: 0, length: Math.round(avg / 4) },
+        { percentile: 50, length: Math.round(avg / 2) },
+        { percentile: 95, length: avg * 3 },
+        { percentile: 100, length: avg * 10 },
+      ],
+    };
+  }
+  return null;
+};
@@ -0,0 +1,225 @@
+// Baseline vs current comparison: metric deltas and the configuration
+// changes behind them.
+//
+// Tables are matched by name and columns by name (unnamed columns by their
+// col_<n> position name). Each column change is applied to the baseline on
+// its own to attribute a share of the row size difference to it.
+
+import { ENGINES, DATA_TYPES, describeType } from './engines.js';
+import { computeMixedRowSizeStats, computeRowSizeStats } from './rowSize.js';
+import { distributionMode, meanLength, nullShare } from './columnStats.js';
+import { GROWTH_MODES } from './projection.js';
+import { describeSchedule } from './schedule.js';
+import { columnsForGroup } from './project.js';
+import { COMPRESSION_MODES } from './compression.js';
+
+// Project-wide metrics compared between baseline and current
+export const COMPARED_METRICS = [
+  { key: 'rowsPerDay', label: 'Rows / day', unit: 'rows' },
+  { key: 'dailySpace', label: 'Daily space', unit: 'bytes' },
+  { key: 'monthlySpace', label: 'Monthly space', unit: 'bytes' },
+  { key: 'yearlySpace', label: 'Yearly space', unit: 'bytes' },
+];
+
+const describeGroup = (group, columns) => {
+  const parts = [`${group.numAgents} every ${group.repeatTime}`];
+  if (group.rowsPerReport !== 1) parts.push(`${group.rowsPerReport} rows / report`);
+  if (group.jitterPercent > 0) parts.push(`±${group.jitterPercent}%`);
+  parts.push(describeSchedule(group.schedule));
+  const groupColumns = columnsForGroup(columns, group);
+  Object.keys(group.columnOverrides || {})
+    .filter(position => groupColumns[position])
+    .forEach(position => parts.push(`${columnKey(groupColumns[position], Number(position))}: ${describeColumn(groupColumns[position])}`));
+  return `${group.name} (${parts.join(', ')})`;
+};
+
+const describeGroups = (groups = [], table) => (groups.length === 0
+  ? 'none'
+  : groups.map(group => describeGroup(group, table.columns)).join('; '));
+
+const describeRatios = (ratios = {}) => {
+  const entries = Object.entries(ratios);
+  return entries.length === 0 ? 'defaults' : entries.map(([type, ratio]) => `${type} ${ratio}x`).join(', ');
+};
+
+// Table settings listed when their formatted values differ; formatters get
+// the value and its table, with a formatter for their value
+const TABLE_SETTINGS = [
+  { key: 'numAgents', label: 'Agents' },
+  { key: 'repeatTime', label: 'Repeat time' },
+  { key: 'rowsPerReport', label: 'Rows per report' },
+  { key: 'jitterPercent', label: 'Interval jitter', format: (pct) => `±${pct}%` },
+  { key: 'schedule', label: 'Schedule', format: describeSchedule },
+  { key: 'agentGroups', label: 'Agent groups', format: describeGroups },
+  { key: 'fillFactor', label: 'Fill factor', format: (ff) => `${ff}%` },
+  { key: 'retentionDays', label: 'Retention', format: (days) => (days > 0 ? `${days} days` : 'forever') },
+  { key: 'partitionBy', label: 'Partitioning' },
+  { key: 'archiveEnabled', label: 'Archive tier', format: (on) => (on ? 'on' : 'off') },
+  { key: 'archiveAfterDays', label: 'Archive after', format: (days) => `${days} days` },
+  { key: 'archiveCompression', label: 'Archive compression', format: (ratio) => `${ratio}x` },
+  { key: 'compression', label: 'Compression', format: (mode = 'none') => (COMPRESSION_MODES[mode] || COMPRESSION_MODES.none).label },
+  { key: 'compressAfterDays', label: 'Compress after', format: (days, table) => (COMPRESSION_MODES[table.compression]?.delayed ? `${days} days` : 'n/a') },
+  { key: 'compressionRatios', label: 'Compression ratios', format: describeRatios },
+];
+
+export const delta = (base, current) => ({
+  absolute: current - base,
+  percent: base !== 0 ? ((current - base) / Math.abs(base)) * 100 : null,
+});
+
+const columnKey = (col, idx) => col.name || `col_${idx + 1}`;
+
+// Average row size of a table under `engine`, with its agent groups' row
+// shapes mixed in the proportions they write (`groupResults` from the
+// table's estimate), as the estimate itself averages them
+const mixedRowBytes = (engine, table, groupResults) => computeMixedRowSizeStats(
+  engine,
+  [{ columnOverrides: {} }, ...(table.agentGroups || [])].map((group, idx) => ({
+    columns: columnsForGroup(table.columns, group),
+    weight: groupResults[idx] ? groupResults[idx].rowsPerDay : 0,
+  })),
+).rowBytes;
+
+const isVariableType = (col) => (col.type === 'custom'
+  ? Boolean(col.customType && col.customType.sizing === 'variable')
+  : Boolean(DATA_TYPES[col.type] && DATA_TYPES[col.type].variable));
+
+// Short description of a column's definition, for before/after display
+export const describeColumn = (col) => {
+  const parts = [describeType(col)];
+  if (isVariableType(col)) {
+    parts.push(distributionMode(col) === 'fixed' ? `len ${col.length}` : `len ~${Math.round(meanLength(col))} (${distributionMode(col)})`);
+  }
+  if (nullShare(col) > 0) parts.push(`${col.nullPercent}% null`);
+  if (col.cardinality > 0) parts.push(`${col.cardinality} distinct`);
+  return parts.join(', ');
+};
+
+const describeGrowth = (growth) => {
+  switch (growth.mode) {
+    case 'linear': return `+${growth.agentsPerMonth} agents / month`;
+    case 'percent': return `+${growth.percentPerMonth}% / month`;
+    case 'steps': return `${growth.steps.length} onboarding dates`;
+    default: return GROWTH_MODES.none.label;
+  }
+};
+
+const sameColumn = (a, b) => JSON.stringify({ ...a, id: undefined, name: undefined })
+  === JSON.stringify({ ...b, id: undefined, name: undefined });
+
+// Column-level changes between two tables, each with the row size change it
+// causes when applied alone to the baseline columns under `engine`
+const diffColumns = (engine, baseColumns, columns) => {
+  const baseBytes = computeRowSizeStats(engine, baseColumns).rowBytes;
+  const impact = (modified) => computeRowSizeStats(engine, modified).rowBytes - baseBytes;
+
+  const baseByKey = new Map(baseColumns.map((col, idx) => [columnKey(col, idx), idx]));
+  const currentKeys = new Set(columns.map(columnKey));
+  const changes = [];
+
+  columns.forEach((col, idx) => {
+    const key = columnKey(col, idx);
+    if (!baseByKey.has(key)) {
+      changes.push({ kind: 'added', name: key, after: describeColumn(col), rowBytes: impact([...baseColumns, col]) });
+      return;
+    }
+    const baseIdx = baseByKey.get(key);
+    const baseCol = baseColumns[baseIdx];
+    if (!sameColumn(baseCol, col)) {
+      const modified = baseColumns.map((other, i) => (i === baseIdx ? col : other));
+      changes.push({
+        kind: 'changed', name: key, before: describeColumn(baseCol), after: describeColumn(col), rowBytes: impact(modified),
+      });
+    }
+  });
+
+  baseColumns.forEach((col, idx) => {
+    const key = columnKey(col, idx);
+    if (!currentKeys.has(key)) {
+      changes.push({
+        kind: 'removed', name: key, before: describeColumn(col), rowBytes: impact(baseColumns.filter((_, i) => i !== idx)),
+      });
+    }
+  });
+
+  return changes;
+};
+
+// Every table setting with its formatted value, for reports
+export const describeTableSettings = (table) => TABLE_SETTINGS
+  .map(({ key, label, format = String }) => ({ label, value: format(table[key], table) }));
+
+const settingChanges = (baseTable, table) => TABLE_SETTINGS
+  .map(({ key, label, format = String }) => ({
+    label, before: format(baseTable[key], baseTable), after: format(table[key], table),
+  }))
+  .filter(change => change.before !== change.after);
+
+const indexSummary = (indexes) => (indexes.length === 0
+  ? 'none'
+  : indexes.map(index => `${index.name || index.id} (${index.columns.join(', ')})`).join('; '));
+
+// Full comparison of a pinned baseline against the current configuration.
+// Both sides are { scenario, project } with project from estimateProject.
+export const compareScenarios = (baseline, current) => {
+  const metrics = COMPARED_METRICS.map(metric => ({
+    ...metric,
+    base: baseline.project.totals[metric.key],
+    current: current.project.totals[metric.key],
+    ...delta(baseline.project.totals[metric.key], current.project.totals[metric.key]),
+  }));
+
+  const projectChanges = [];
+  const baseEngine = baseline.scenario.engine;
+  const engine = current.scenario.engine;
+  if (baseEngine !== engine) {
+    projectChanges.push({ label: 'Engine', before: ENGINES[baseEngine].label, after: ENGINES[engine].label });
+  }
+  const baseGrowth = baseline.scenario.growth;
+  const growth = current.scenario.growth;
+  if (JSON.stringify(baseGrowth) !== JSON.stringify(growth)) {
+    projectChanges.push({ label: 'Agent growth', before: describeGrowth(baseGrowth), after: describeGrowth(growth) });
+  }
+
+  const baseTables = baseline.scenario.tables;
+  const usedBase = new Set();
+  // Estimates are looked up by id since they can lag a render behind the tables
+  const estimates = current.scenario.tables
+    .map(table => [table, current.project.tables.find(entry => entry.id === table.id)])
+    .filter(([, estimate]) => estimate);
+
+  const tables = estimates.map(([table, estimate]) => {
+    const baseIdx = baseTables.findIndex((other, i) => other.name === table.name && !usedBase.has(i));
+    if (baseIdx === -1) return { name: table.name, status: 'added', current: estimate.results.rowSize };
+    usedBase.add(baseIdx);
+
+    const baseTable = baseTables[baseIdx];
+    const base = baseline.project.tables[baseIdx].results;
+    const changes = settingChanges(baseTable, table);
+    if (JSON.stringify(baseTable.indexes) !== JSON.stringify(table.indexes)) {
+      changes.push({ label: 'Indexes', before: indexSummary(baseTable.indexes), after: indexSummary(table.indexes) });
+    }
+
+    return {
+      name: table.name,
+      status: 'matched',
+      base: base.rowSize,
+      current: estimate.results.rowSize,
+      ...delta(base.rowSize, estimate.results.rowSize),
+      // Row size change from the engine alone, on the baseline columns and group mix
+      engineRowBytes: baseEngine !== engine
+        ? mixedRowBytes(engine, baseTable, base.groups) - mixedRowBytes(baseEngine, baseTable, base.groups)
+        : 0,
+      columns: diffColumns(engine, baseTable.columns, table.columns),
+      settings: changes,
+    };
+  });
+
+  baseTables.forEach((table, idx) => {
+    if (!usedBase.has(idx)) {
+      tables.push({ name: table.name, status: 'removed', base: baseline.project.tables[idx].results.rowSize });
+    }
+  });
+
+  return { metrics, projectChanges, tables };
+};
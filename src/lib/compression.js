@@ -0,0 +1,198 @@
+// Table compression: how much smaller rows get under a compression mode.
+//
+// Each mode encodes every column with the mode's encoding for its type, at a
+// default ratio (uncompressed bytes / compressed bytes) that a table can
+// override per type. When a column's cardinality (distinct values) is known,
+// dictionary encoding is used instead if it comes out smaller: each value is
+// stored as a ceil(log2(cardinality))-bit code plus its share of a dictionary
+// kept once per segment of `segmentRows` rows.
+//
+// Columnar modes store values column by column in segments, so per-row
+// headers, bitmaps and padding are paid once per segment instead of once per
+// row. Page modes compress rows inside ordinary pages and keep the row
+// overhead. Secondary indexes are estimated uncompressed in every mode.
+
+import { SYSTEM_COLUMNS, DATA_TYPES, resolveType, lengthBytes } from './engines.js';
+import { meanLength, nullShare } from './columnStats.js';
+import { getEngine } from './rowSize.js';
+
+export const COMPRESSION_MODES = {
+  none: {
+    label: 'No compression',
+    engines: ['generic', 'postgres', 'mysql', 'sqlserver', 'sqlite'],
+  },
+  timescale: {
+    label: 'TimescaleDB native compression',
+    engines: ['generic', 'postgres'],
+    columnar: true,
+    segmentRows: 1000,
+    // Chunks are compressed by a policy once they are older than compressAfterDays
+    delayed: true,
+    note: 'Chunks older than the compression delay are rewritten into columnar segments of up to 1,000 rows per segment.',
+    encodings: {
+      int: ['delta + Simple-8b', 4],
+      bigint: ['delta + Simple-8b', 8],
+      float: ['Gorilla XOR', 2],
+      double: ['Gorilla XOR', 3],
+      uuid: ['LZ', 1.1],
+      datetime: ['delta-of-delta', 12],
+      date: ['delta-of-delta', 10],
+      boolean: ['RLE bit-packing', 8],
+      varchar: ['LZ', 3],
+      text: ['LZ', 2.5],
+    },
+  },
+  sqlserver_page: {
+    label: 'SQL Server PAGE compression',
+    engines: ['generic', 'sqlserver'],
+    columnar: false,
+    segmentRows: 100,
+    note: 'Row compression stores fixed-width values in the bytes they need; prefix and dictionary compression then work per page.',
+    encodings: {
+      int: ['row compression', 1.7],
+      bigint: ['row compression', 2.5],
+      float: ['row compression', 1.1],
+      double: ['row compression', 1.2],
+      uuid: ['none', 1],
+      datetime: ['row + prefix', 1.6],
+      date: ['row compression', 1.2],
+      boolean: ['none', 1],
+      varchar: ['prefix + page dictionary', 2],
+      text: ['prefix + page dictionary', 1.5],
+    },
+  },
+  sqlserver_columnstore: {
+    label: 'SQL Server clustered columnstore',
+    engines: ['generic', 'sqlserver'],
+    columnar: true,
+    segmentRows: 1048576,
+    note: 'Rows are compressed in row groups of up to 1,048,576 rows with value encoding, run-length encoding and bit-packing.',
+    encodings: {
+      int: ['value encoding + bit-packing', 4],
+      bigint: ['value encoding + bit-packing', 6],
+      float: ['value encoding', 2],
+      double: ['value encoding', 2.5],
+      uuid: ['dictionary', 1.5],
+      datetime: ['value encoding + RLE', 8],
+      date: ['value encoding + RLE', 8],
+      boolean: ['RLE', 8],
+      varchar: ['dictionary', 4],
+      text: ['dictionary', 3],
+    },
+  },
+  innodb_compressed: {
+    label: 'InnoDB ROW_FORMAT=COMPRESSED',
+    engines: ['generic', 'mysql'],
+    columnar: false,
+    segmentRows: 100,
+    // KEY_BLOCK_SIZE=8 stores each 16 KB page in an 8 KB block at best
+    maxRatio: 2,
+    overheadRatio: 1.5,
+    note: 'Pages are zlib-compressed into 8 KB blocks (KEY_BLOCK_SIZE=8), so a page shrinks by at most 2x.',
+    encodings: {
+      int: ['zlib', 1.8],
+      bigint: ['zlib', 2],
+      float: ['zlib', 1.3],
+      double: ['zlib', 1.3],
+      uuid: ['zlib', 1.1],
+      datetime: ['zlib', 2],
+      date: ['zlib', 2],
+      boolean: ['zlib', 2],
+      varchar: ['zlib', 2.5],
+      text: ['zlib', 2.5],
+    },
+  },
+};
+
+export const DEFAULT_COMPRESS_AFTER_DAYS = 7;
+
+// Modes offered for an engine
+export const compressionModesFor = (engineKey) => Object.entries(COMPRESSION_MODES)
+  .filter(([, mode]) => mode.engines.includes(engineKey))
+  .map(([key, mode]) => ({ key, ...mode }));
+
+// Encoding name and default ratio of a column type under a mode. Types
+// without an entry use their base type's (see DATA_TYPES), custom types the
+// string or integer encoding.
+export const typeEncoding = (mode, type, isVariable) => {
+  const base = DATA_TYPES[type] && DATA_TYPES[type].base;
+  const [name, ratio] = mode.encodings[type] || mode.encodings[base] || mode.encodings[isVariable ? 'varchar' : 'int'];
+  return { name, ratio };
+};
+
+// Compressed bytes per value with a dictionary of `cardinality` entries
+const dictionaryBytes = (cardinality, valueBytes, segmentRows) => (
+  Math.max(1, Math.ceil(Math.log2(cardinality))) / 8 + cardinality * valueBytes / segmentRows
+);
+
+// Per-column and per-row compression of a table under its compression mode.
+// `rowSize` is the table's average row ({ rowBytes }) and `agents` the agent
+// count, which is the cardinality of agent_id.
+// Returns null when the table is not compressed.
+export const estimateCompression = (engineKey, table, rowSize, agents) => {
+  const engine = getEngine(engineKey);
+  const key = table.compression || 'none';
+  const mode = COMPRESSION_MODES[key];
+  if (!mode || key === 'none') return null;
+
+  const overrides = table.compressionRatios || {};
+  const fields = [
+    ...SYSTEM_COLUMNS.map(col => ({
+      ...col,
+      bytes: resolveType(engine, col).size,
+      // id only grows, agent_id repeats within a segment
+      cardinality: col.name === 'agent_id' ? agents : 0,
+    })),
+    ...table.columns.map((col, idx) => {
+      const def = resolveType(engine, col);
+      return {
+        name: col.name || `col_${idx + 1}`,
+        type: col.type,
+        bytes: (1 - nullShare(col)) * (def.isVariable ? lengthBytes(def, meanLength(col)) : def.size),
+        cardinality: parseInt(col.cardinality) || 0,
+        isVariable: def.isVariable,
+      };
+    }),
+  ];
+
+  const columns = fields.map(field => {
+    const encoding = typeEncoding(mode, field.type, field.isVariable);
+    const typeRatio = Math.max(1, parseFloat(overrides[field.type]) || encoding.ratio);
+    let ratio = typeRatio;
+    let name = encoding.name;
+    if (field.cardinality > 0 && field.bytes > 0) {
+      const dictionaryRatio = field.bytes / dictionaryBytes(field.cardinality, field.bytes, mode.segmentRows);
+      if (dictionaryRatio > ratio) {
+        ratio = dictionaryRatio;
+        name = 'dictionary';
+      }
+    }
+    return {
+      name: field.name,
+      type: field.type,
+      encoding: name,
+      ratio,
+      bytes: field.bytes,
+      compressedBytes: field.bytes / ratio,
+    };
+  });
+
+  // Row framing (headers, null bitmaps, length prefixes, padding) is paid
+  // once per segment in columnar modes
+  const valueBytes = columns.reduce((sum, col) => sum + col.bytes, 0);
+  const framingBytes = Math.max(0, rowSize.rowBytes - valueBytes);
+  const compressedRowBytes = framingBytes / (mode.columnar ? mode.segmentRows : mode.overheadRatio || 1)
+    + columns.reduce((sum, col) => sum + col.compressedBytes, 0);
+
+  const ratio = Math.min(mode.maxRatio || Infinity, compressedRowBytes > 0 ? rowSize.rowBytes / compressedRowBytes : 1);
+
+  return {
+    mode: key,
+    label: mode.label,
+    columnar: Boolean(mode.columnar),
+    ratio: Math.max(1, ratio),
+    compressAfterDays: mode.delayed ? Math.max(0, parseInt(table.compressAfterDays) || 0) : 0,
+    columns,
+    note: mode.note,
+  };
+};
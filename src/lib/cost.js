@@ -0,0 +1,133 @@
+// Storage cost: what it takes per month to keep the estimated data on a
+// managed database or a block or object storage tier.
+//
+// Prices come from the local price list in src/data/pricing.js. A scenario's
+// cost settings pick a profile and may override its prices, or define new
+// profiles, through `prices: { [profileKey]: { storagePerGbMonth, ... } }`.
+//
+// Bills cover the cluster footprint (cluster.js): primary, replicas, retained
+// WAL and backups. A month is billed for the footprint at its end. Replicas
+// pay for storage and IOPS unless the profile shares storage. Managed
+// databases bill retained WAL as backup storage, as point-in-time recovery
+// archives; elsewhere it sits on the data volume. Backups are billed beyond
+// the profile's free allowance.
+
+import { PRICE_CURRENCY, PRICING_PROFILES } from '../data/pricing.js';
+import { addMonths, daysInMonths } from './projection.js';
+import { FOOTPRINT_PARTS } from './cluster.js';
+
+const GB = 1024 * 1024 * 1024;
+
+export const STORAGE_KINDS = {
+  database: { label: 'Managed databases' },
+  block: { label: 'Block storage' },
+  object: { label: 'Object storage' },
+};
+
+export const DEFAULT_COST = {
+  profile: 'aws-rds-gp3',
+  iopsTier: 0,
+  prices: {},
+};
+
+const PROFILE_DEFAULTS = {
+  kind: 'database',
+  storagePerGbMonth: 0,
+  backupPerGbMonth: 0,
+  backupIncluded: 0,
+  sharedStorage: false,
+  iopsTiers: [],
+};
+
+// Every profile of the price list with the scenario's overrides applied,
+// plus profiles defined only in the scenario
+export const pricingProfiles = (cost = DEFAULT_COST) => {
+  const prices = cost.prices || {};
+  const keys = [...new Set([...Object.keys(PRICING_PROFILES), ...Object.keys(prices)])];
+  return Object.fromEntries(keys.map(key => [key, {
+    ...PROFILE_DEFAULTS,
+    label: key,
+    ...PRICING_PROFILES[key],
+    ...prices[key],
+  }]));
+};
+
+// Cost settings with defaults filled in and an unknown profile replaced by
+// the default one
+export const normalizeCost = (raw = {}) => {
+  const cost = {
+    profile: raw.profile ?? DEFAULT_COST.profile,
+    iopsTier: Math.max(0, parseInt(raw.iopsTier) || 0),
+    prices: { ...raw.prices },
+  };
+  return pricingProfiles(cost)[cost.profile] ? cost : { ...cost, profile: DEFAULT_COST.profile };
+};
+
+// Monthly bill for a cluster footprint with `replicas` replicas
+export const monthlyCost = (profile, cost, footprint, replicas) => {
+  const walIsBackup = profile.kind === 'database';
+  const storedBytes = footprint.primary
+    + (profile.sharedStorage ? 0 : footprint.replicas)
+    + (walIsBackup ? 0 : footprint.wal);
+  const backupBytes = footprint.backups + (walIsBackup ? footprint.wal : 0);
+  const copies = profile.sharedStorage ? 1 : 1 + replicas;
+  const tier = profile.iopsTiers[cost.iopsTier] || profile.iopsTiers[0];
+
+  const storage = storedBytes / GB * profile.storagePerGbMonth;
+  const backup = Math.max(0, backupBytes - profile.backupIncluded * footprint.primary) / GB * profile.backupPerGbMonth;
+  const iops = tier ? tier.perMonth * copies : 0;
+  return { storage, backup, iops, total: storage + backup + iops };
+};
+
+// Cluster footprint on `day`, interpolated between projection samples
+const footprintOnDay = (points, day) => {
+  const next = points.findIndex(point => point.day >= day);
+  if (next === -1) return points[points.length - 1].cluster;
+  if (next === 0 || points[next].day === day) return points[next].cluster;
+  const prev = points[next - 1];
+  const share = (day - prev.day) / (points[next].day - prev.day);
+  return Object.fromEntries([...FOOTPRINT_PARTS.map(part => part.key), 'total'].map(key => [
+    key, prev.cluster[key] + share * (points[next].cluster[key] - prev.cluster[key]),
+  ]));
+};
+
+// Cost of a project estimate under the scenario's cost settings, or null
+// for an estimate without a cluster footprint:
+// - periods: the monthly bill after a day, a month and a year of data
+// - months: one bill per calendar month of the projection, with the running
+//   total; empty when the estimate has no projection
+export const estimateCost = (project, cost = DEFAULT_COST, startDate) => {
+  const { cluster } = project;
+  if (!cluster) return null;
+  const profiles = pricingProfiles(cost);
+  const key = profiles[cost.profile] ? cost.profile : DEFAULT_COST.profile;
+  const profile = profiles[key];
+  const { replicas } = cluster.settings;
+
+  const periods = ['daily', 'monthly', 'yearly'].map(period => ({
+    period,
+    bytes: cluster[period].total,
+    ...monthlyCost(profile, cost, cluster[period], replicas),
+  }));
+
+  const months = [];
+  const points = project.projection ? project.projection.points : [];
+  if (points.length > 0) {
+    const lastDay = points[points.length - 1].day;
+    let cumulative = 0;
+    for (let month = 1; daysInMonths(startDate, month) <= lastDay; month++) {
+      const footprint = footprintOnDay(points, daysInMonths(startDate, month));
+      const bill = monthlyCost(profile, cost, footprint, replicas);
+      cumulative += bill.total;
+      months.push({ month, date: addMonths(startDate, month), bytes: footprint.total, ...bill, cumulative });
+    }
+  }
+
+  return {
+    profile: { key, ...profile },
+    currency: PRICE_CURRENCY,
+    periods,
+    months,
+    cumulative: months.length > 0 ? months[months.length - 1].cumulative : 0,
+  };
+};
@@ -0,0 +1,406 @@
+import { ENGINES, SYSTEM_COLUMNS, DATA_TYPES, ARRAY_ELEMENT_TYPES, resolveType } from './engines.js';
+import { getEngine } from './rowSize.js';
+import { INDEX_KINDS } from './indexModel.js';
+import { nullShare, maxLength } from './columnStats.js';
+import { MAX_COLUMNS } from './validation.js';
+
+// Average length assumed for unbounded text types (TEXT, JSON, VARCHAR(MAX)...)
+const UNBOUNDED_TEXT_LENGTH = 255;
+
+// Declared SQL types that map directly onto a catalog key
+const TYPE_MAP = {
+  TINYINT: 'tinyint', INT1: 'tinyint',
+  SMALLINT: 'smallint', INT2: 'smallint', SMALLSERIAL: 'smallint', SERIAL2: 'smallint',
+  INT: 'int', INTEGER: 'int', INT4: 'int', SERIAL: 'int', SERIAL4: 'int',
+  BIGINT: 'bigint', INT8: 'bigint', BIGSERIAL: 'bigint', SERIAL8: 'bigint',
+  REAL: 'float', FLOAT4: 'float',
+  DOUBLE: 'double', 'DOUBLE PRECISION': 'double', FLOAT8: 'double',
+  UUID: 'uuid', UNIQUEIDENTIFIER: 'uuid',
+  DATE: 'date',
+  TIME: 'time', TIMETZ: 'time', 'TIME WITH TIME ZONE': 'time', 'TIME WITHOUT TIME ZONE': 'time',
+  TIMESTAMP: 'datetime', DATETIME: 'datetime', DATETIME2: 'datetime', SMALLDATETIME: 'datetime',
+  'TIMESTAMP WITHOUT TIME ZONE': 'datetime',
+  TIMESTAMPTZ: 'timestamptz', DATETIMEOFFSET: 'timestamptz', 'TIMESTAMP WITH TIME ZONE': 'timestamptz',
+  INTERVAL: 'interval',
+  BOOL: 'boolean', BOOLEAN: 'boolean', BIT: 'boolean',
+  JSON: 'json', JSONB: 'jsonb',
+  INET: 'inet', CIDR: 'inet',
+  BYTEA: 'blob', BLOB: 'blob', TINYBLOB: 'blob', MEDIUMBLOB: 'blob', LONGBLOB: 'blob', IMAGE: 'blob',
+};
+
+// Declared types whose precision (fractional seconds, float bits) is kept
+const PRECISION_TYPES = ['TIME', 'TIMESTAMP', 'TIMESTAMPTZ', 'DATETIME', 'DATETIME2', 'DATETIMEOFFSET'];
+
+// Declared types that map onto the nearest catalog key with a size caveat
+const APPROXIMATE_TYPES = {
+  MEDIUMINT: 'int', YEAR: 'smallint',
+};
+
+// Fixed-point money types as DECIMAL(precision, scale)
+const MONEY_TYPES = { MONEY: [19, 4], SMALLMONEY: [10, 4] };
+
+const STRING_TYPES = ['VARCHAR', 'CHARACTER VARYING', 'VARCHAR2'];
+const FIXED_STRING_TYPES = ['CHAR', 'CHARACTER', 'BPCHAR'];
+const WIDE_STRING_TYPES = ['NVARCHAR', 'NATIONAL CHARACTER VARYING', 'NVARCHAR2'];
+const WIDE_FIXED_STRING_TYPES = ['NCHAR', 'NATIONAL CHARACTER'];
+const TEXT_TYPES = ['TEXT', 'TINYTEXT', 'MEDIUMTEXT', 'LONGTEXT', 'CLOB', 'XML'];
+
+// Multi-word type names, matched before falling back to a single word
+const MULTI_WORD_TYPE = /^(double\s+precision|national\s+character\s+varying|national\s+character|character\s+varying|(?:timestamp|time)\s+with(?:out)?\s+time\s+zone)/i;
+
+// Body entries that are table constraints rather than columns
+const CONSTRAINT_ENTRY = /^(constraint|primary\s+key|unique|foreign\s+key|check|key|index|fulltext|spatial|exclude|period\s+for)\b/i;
+
+const SYSTEM_NAMES = SYSTEM_COLUMNS.map(col => col.name);
+
+export const DDL_DIALECTS = {
+  auto: 'Auto-detect',
+  postgres: 'PostgreSQL',
+  mysql: 'MySQL',
+  tsql: 'T-SQL',
+};
+
+// Index just past the string literal or quoted identifier starting at `i`,
+// or `i` itself when no quote starts there. Quotes inside are escaped by
+// doubling them, or in string literals with a backslash (MySQL).
+const skipQuoted = (sql, i) => {
+  const quote = sql[i];
+  if (quote !== "'" && quote !== '"' && quote !== '`') return i;
+  let end = i + 1;
+  while (end < sql.length) {
+    if (quote === "'" && sql[end] === '\\') {
+      end += 2;
+    } else if (sql[end] === quote) {
+      if (sql[end + 1] !== quote) return end + 1;
+      end += 2;
+    } else {
+      end++;
+    }
+  }
+  return sql.length;
+};
+
+// Replace comments with a space, leaving "--" and "/*" inside quotes alone
+const stripComments = (sql) => {
+  let out = '';
+  let i = 0;
+  while (i < sql.length) {
+    const quoted = skipQuoted(sql, i);
+    if (quoted > i) {
+      out += sql.slice(i, quoted);
+      i = quoted;
+    } else if (sql.startsWith('--', i)) {
+      const end = sql.indexOf('\n', i);
+      out += ' ';
+      i = end === -1 ? sql.length : end;
+    } else if (sql.startsWith('/*', i)) {
+      const end = sql.indexOf('*/', i + 2);
+      out += ' ';
+      i = end === -1 ? sql.length : end + 2;
+    } else {
+      out += sql[i++];
+    }
+  }
+  return out;
+};
+
+// Strip quoting ("x", `x`, [x]) and any schema prefix from an identifier
+const cleanIdentifier = (raw) => {
+  const parts = raw.trim().split('.');
+  return parts[parts.length - 1].replace(/^["`[]|["`\]]$/g, '');
+};
+
+// Guess the dialect from syntax only one of them uses
+export const detectDialect = (sql) => {
+  if (/\[\w+\]|\bIDENTITY\s*\(|\bNVARCHAR\b|^\s*GO\s*$/im.test(sql)) return 'tsql';
+  if (/`|\bAUTO_INCREMENT\b|\bENGINE\s*=/i.test(sql)) return 'mysql';
+  return 'postgres';
+};
+
+// Split on commas that are not nested inside parentheses or quotes
+const splitTopLevel = (body) => {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  let i = 0;
+  while (i < body.length) {
+    const quoted = skipQuoted(body, i);
+    if (quoted > i) {
+      current += body.slice(i, quoted);
+      i = quoted;
+      continue;
+    }
+    const ch = body[i++];
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (ch === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+};
+
+// Read the column name off the front of a column definition
+const takeIdentifier = (def) => {
+  const match = def.match(/^("[^"]+"|`[^`]+`|\[[^\]]+\]|[^\s(]+)\s*/);
+  return match ? [cleanIdentifier(match[1]), def.slice(match[0].length)] : [null, def];
+};
+
+// Read the declared type (name, parameters, array suffix) off a column definition
+const takeType = (rest) => {
+  const unbracketed = rest.replace(/^\[([^\]]+)\]/, '$1');
+  const words = unbracketed.match(MULTI_WORD_TYPE) || unbracketed.match(/^(\w+)/);
+  if (!words) return null;
+
+  const after = unbracketed.slice(words[0].length);
+  const params = after.match(/^\s*\(([^)]*)\)/);
+  const tail = params ? after.slice(params[0].length) : after;
+
+  return {
+    name: words[1].replace(/\s+/g, ' ').toUpperCase(),
+    params: params ? params[1].split(',').map(p => p.trim()) : [],
+    isArray: /^\s*\[\s*\d*\s*\]/.test(tail),
+    declared: (words[0] + (params ? params[0].trim() : '')).trim(),
+  };
+};
+
+// Map a declared type onto a catalog key. Returns { type, length, warning }
+// plus any type parameters (precision, scale, values, elementType), or null
+// when the type isn't recognised.
+export const mapDeclaredType = (declared, dialect) => {
+  const { name, params, isArray } = declared;
+  const size = parseInt(params[0], 10);
+  const isMax = /^max$/i.test(params[0] || '');
+
+  if (isArray) {
+    const element = mapDeclaredType({ ...declared, isArray: false }, dialect);
+    if (element && ARRAY_ELEMENT_TYPES.includes(element.type)) {
+      return { type: 'array', length: 10, elementType: element.type, warning: `${declared.declared}[] sized as 10 elements` };
+    }
+    return { type: 'text', length: UNBOUNDED_TEXT_LENGTH, warning: `${declared.declared}[] array sized as Text` };
+  }
+  if (PRECISION_TYPES.includes(name) && !isNaN(size)) return { type: TYPE_MAP[name], precision: size };
+  if (TYPE_MAP[name]) return { type: TYPE_MAP[name] };
+
+  // FLOAT is 4 bytes in MySQL but FLOAT(53), 8 bytes, in T-SQL; FLOAT(n) picks by precision
+  if (name === 'FLOAT') {
+    if (!isNaN(size)) return size <= 24 ? { type: 'float' } : { type: 'double' };
+    return { type: dialect === 'tsql' ? 'double' : 'float' };
+  }
+  if (name === 'NUMERIC' || name === 'DECIMAL' || name === 'NUMBER') {
+    if (isNaN(size)) {
+      return { type: 'decimal', warning: `${declared.declared} without a precision sized as DECIMAL(18,2)` };
+    }
+    return { type: 'decimal', precision: size, scale: parseInt(params[1], 10) || 0 };
+  }
+  if (MONEY_TYPES[name]) {
+    const [precision, scale] = MONEY_TYPES[name];
+    return { type: 'decimal', precision, scale };
+  }
+  if (name === 'ENUM') return { type: 'enum', values: Math.max(1, params.length) };
+  if (name === 'BINARY' && size === 16) return { type: 'uuid' };
+  if (name === 'BINARY') return { type: 'binary', length: isNaN(size) ? 1 : size };
+  if (name === 'VARBINARY') {
+    if (isMax) return { type: 'blob', length: UNBOUNDED_TEXT_LENGTH };
+    return { type: 'varbinary', length: isNaN(size) ? 1 : size };
+  }
+
+  if (APPROXIMATE_TYPES[name]) {
+    const type = APPROXIMATE_TYPES[name];
+    return { type, warning: `${declared.declared} approximated as ${ENGINES.generic.types[type].label}` };
+  }
+  if (STRING_TYPES.includes(name)) {
+    if (isMax) return { type: 'text', length: UNBOUNDED_TEXT_LENGTH };
+    // A bare VARCHAR (PostgreSQL) has no limit; only CHAR defaults to one character
+    return { type: 'varchar', length: isNaN(size) ? UNBOUNDED_TEXT_LENGTH : size };
+  }
+  if (FIXED_STRING_TYPES.includes(name)) return { type: 'char', length: isNaN(size) ? 1 : size };
+  if (WIDE_STRING_TYPES.includes(name)) {
+    return { type: 'nvarchar', length: isMax || isNaN(size) ? UNBOUNDED_TEXT_LENGTH : size };
+  }
+  if (WIDE_FIXED_STRING_TYPES.includes(name)) return { type: 'nchar', length: isNaN(size) ? 1 : size };
+  if (name === 'NTEXT') return { type: 'nvarchar', length: UNBOUNDED_TEXT_LENGTH };
+  if (TEXT_TYPES.includes(name)) return { type: 'text', length: UNBOUNDED_TEXT_LENGTH };
+
+  return null;
+};
+
+// Auto-generated integer keys stand in for the system id column
+const SURROGATE_KEY = /\b(identity|auto_increment|autoincrement|primary\s+key)\b/i;
+
+// Parse every CREATE TABLE statement in `sql` into column configurations.
+// System columns (id, agent_id, created_at) and auto-generated keys are
+// skipped because every row already carries them; unrecognised types fall
+// back to VARCHAR with a warning. With dialect 'auto' each statement is
+// detected on its own, so a paste can mix dialects.
+export const parseCreateTables = (sql, dialect = 'auto') => {
+  const source = stripComments(sql);
+  const tables = [];
+  const header = /create\s+(?:(?:global\s+|local\s+)?(?:temporary|temp)\s+|unlogged\s+)?table\s+(?:if\s+not\s+exists\s+)?((?:"[^"]+"|`[^`]+`|\[[^\]]+\]|[\w$]+)(?:\s*\.\s*(?:"[^"]+"|`[^`]+`|\[[^\]]+\]|[\w$]+))*)\s*\(/gi;
+
+  let match;
+  while ((match = header.exec(source)) !== null) {
+    // Find the parenthesis closing the column list
+    let depth = 1;
+    let end = header.lastIndex;
+    while (end < source.length && depth > 0) {
+      const quoted = skipQuoted(source, end);
+      if (quoted > end) {
+        end = quoted;
+        continue;
+      }
+      if (source[end] === '(') depth++;
+      if (source[end] === ')') depth--;
+      end++;
+    }
+
+    const body = source.slice(header.lastIndex, end - 1);
+    // Table options after the column list (ENGINE=..., GO) count towards detection
+    const trailing = source.slice(end).search(/;|\bcreate\s/i);
+    const statement = source.slice(match.index, trailing === -1 ? undefined : end + trailing);
+    const tableDialect = dialect === 'auto' ? detectDialect(statement) : dialect;
+    const table = {
+      name: cleanIdentifier(match[1].replace(/\s+/g, '')),
+      dialect: tableDialect,
+      columns: [],
+      warnings: [],
+    };
+
+    splitTopLevel(body).forEach(entry => {
+      if (CONSTRAINT_ENTRY.test(entry)) return;
+
+      const [columnName, rest] = takeIdentifier(entry);
+      if (!columnName) return;
+      if (SYSTEM_NAMES.includes(columnName.toLowerCase())) {
+        table.warnings.push(`${columnName}: skipped, already modelled as a system column`);
+        return;
+      }
+
+      const declared = takeType(rest);
+      const mapped = declared && mapDeclaredType(declared, tableDialect);
+      const isSerial = declared && /SERIAL/.test(declared.name);
+      if (mapped && ['int', 'bigint'].includes(mapped.type) && (isSerial || SURROGATE_KEY.test(rest))) {
+        table.warnings.push(`${columnName}: skipped, generated key modelled as the system id column`);
+        return;
+      }
+
+      if (!mapped) {
+        table.warnings.push(`${columnName}: unrecognised type "${declared ? declared.declared : rest}", sized as VARCHAR(50)`);
+        table.columns.push({ name: columnName, type: 'varchar', length: 50 });
+        return;
+      }
+
+      const { warning, length, ...typeFields } = mapped;
+      if (warning) table.warnings.push(`${columnName}: ${warning}`);
+      table.columns.push({ name: columnName, ...typeFields, length: length ?? 50 });
+    });
+    if (table.columns.length > MAX_COLUMNS) {
+      table.warnings.push(`Only the first ${MAX_COLUMNS} of ${table.columns.length} columns imported, the most a table can have`);
+      table.columns = table.columns.slice(0, MAX_COLUMNS);
+    }
+
+    tables.push(table);
+    header.lastIndex = end;
+  }
+
+  return tables;
+};
+
+// Identifier quoting per engine
+const QUOTES = {
+  generic: ['"', '"'],
+  postgres: ['"', '"'],
+  mysql: ['`', '`'],
+  sqlserver: ['[', ']'],
+  sqlite: ['"', '"'],
+};
+
+// An identifier, quoted when it is not a plain lowercase name; a closing
+// quote inside the name is doubled ("", ``, ]])
+export const quoteIdentifier = (engineKey, name) => {
+  const [open, close] = QUOTES[engineKey] || QUOTES.generic;
+  if (/^[a-z_][a-z0-9_]*$/.test(name)) return name;
+  return `${open}${name.split(close).join(close + close)}${close}`;
+};
+
+// Placeholder labels of an enum column, one per distinct value
+const enumLabels = (col) => Array.from(
+  { length: Math.max(1, parseInt(col.values) || DATA_TYPES.enum.params.values.default) },
+  (_, idx) => `'value_${idx + 1}'`,
+).join(', ');
+
+// Declared type for a column under the given engine. PostgreSQL enums are
+// named types created before the table (`enumTypes` maps column positions
+// to their names).
+const columnSqlType = (engine, col, enumType) => {
+  const def = resolveType(engine, col);
+  if (enumType) return enumType;
+  if (def.sqlType === 'ENUM') return `ENUM(${enumLabels(col)})`;
+  if (def.isVariable && /^N?VAR(CHAR|BINARY)$/.test(def.sqlType)) {
+    return `${def.sqlType}(${Math.max(1, Math.ceil(maxLength(col)))})`;
+  }
+  return def.sqlType;
+};
+
+// Primary key column declaration per engine
+const PRIMARY_KEY_SQL = {
+  generic: 'BIGINT PRIMARY KEY',
+  postgres: 'BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY',
+  mysql: 'BIGINT AUTO_INCREMENT PRIMARY KEY',
+  sqlserver: 'BIGINT IDENTITY(1,1) PRIMARY KEY',
+  sqlite: 'INTEGER PRIMARY KEY',
+};
+
+// Generate CREATE TABLE (and CREATE INDEX) statements for the current configuration
+export const generateCreateTable = (engineKey, tableName, columns, indexes = []) => {
+  const engine = getEngine(engineKey);
+  const colName = (col, idx) => col.name || `col_${idx + 1}`;
+  const enumTypes = engineKey === 'postgres'
+    ? Object.fromEntries(columns
+      .map((col, idx) => [idx, col])
+      .filter(([, col]) => col.type === 'enum')
+      .map(([idx, col]) => [idx, quoteIdentifier(engineKey, `${tableName}_${colName(col, idx)}`)]))
+    : {};
+
+  const lines = [
+    `  id ${PRIMARY_KEY_SQL[engineKey] || PRIMARY_KEY_SQL.generic}`,
+    `  agent_id ${engine.types.int.sqlType} NOT NULL`,
+    `  created_at ${engine.types.datetime.sqlType} NOT NULL`,
+    ...columns.map((col, idx) => (
+      `  ${quoteIdentifier(engineKey, colName(col, idx))} ${columnSqlType(engine, col, enumTypes[idx])}${nullShare(col) > 0 ? '' : ' NOT NULL'}`
+    )),
+  ];
+
+  const refName = (ref) => {
+    const [scope, key] = ref.split(':');
+    if (scope === 'sys') return key;
+    const idx = parseInt(key, 10);
+    return columns[idx] ? quoteIdentifier(engineKey, colName(columns[idx], idx)) : null;
+  };
+
+  const indexStatements = indexes
+    .filter(index => index.columns.some(refName))
+    .map(index => {
+      const keyCols = index.columns.map(refName).filter(Boolean).join(', ');
+      const includeCols = (index.include || []).map(refName).filter(Boolean).join(', ');
+      const name = quoteIdentifier(engineKey, index.name || index.id);
+      const table = quoteIdentifier(engineKey, tableName);
+
+      if (index.kind !== 'btree' && engineKey === 'postgres') {
+        return `CREATE INDEX ${name} ON ${table} USING ${index.kind} (${keyCols});`;
+      }
+      const include = includeCols && ['postgres', 'sqlserver'].includes(engineKey) ? ` INCLUDE (${includeCols})` : '';
+      const comment = index.kind !== 'btree' ? ` -- ${INDEX_KINDS[index.kind].label} requested` : '';
+      return `CREATE INDEX ${name} ON ${table} (${keyCols})${include};${comment}`;
+    });
+
+  return [
+    ...Object.entries(enumTypes).map(([idx, name]) => `CREATE TYPE ${name} AS ENUM (${enumLabels(columns[idx])});`),
+    `CREATE TABLE ${quoteIdentifier(engineKey, tableName)} (\n${lines.join(',\n')}\n);`,
+    ...indexStatements,
+  ].join('\n');
+};
@@ -0,0 +1,57 @@
+// Report intervals as typed by users: clock notation (HH:MM:SS, MM:SS or SS,
+// fractions allowed) or numbers with units ("30s", "5m", "1h 30m", "250ms").
+
+const UNIT_SECONDS = {
+  ms: 0.001,
+  s: 1, sec: 1, secs: 1, second: 1, seconds: 1,
+  m: 60, min: 60, mins: 60, minute: 60, minutes: 60,
+  h: 3600, hr: 3600, hrs: 3600, hour: 3600, hours: 3600,
+  d: 86400, day: 86400, days: 86400,
+};
+
+// Common intervals offered by the duration picker
+export const DURATION_PRESETS = ['1s', '5s', '10s', '30s', '1m', '5m', '15m', '30m', '1h', '6h', '1d'];
+
+// Clock notation; empty parts count as zero ("00:01:" is one minute)
+const parseClock = (text) => {
+  const parts = text.split(':');
+  if (parts.length > 3) return null;
+  const values = parts.map(part => (part.trim() === '' ? 0 : Number(part)));
+  if (values.some(value => !Number.isFinite(value) || value < 0)) return null;
+  return values.reduce((total, value) => total * 60 + value, 0);
+};
+
+// Terms of a number and a unit, spaces allowed anywhere ("1h 30m", "5 min")
+const parseUnits = (text) => {
+  const compact = text.toLowerCase().replace(/\s+/g, '');
+  const term = /(\d+(?:\.\d+)?|\.\d+)([a-z]+)/y;
+  let seconds = 0;
+  while (term.lastIndex < compact.length) {
+    const match = term.exec(compact);
+    if (!match || !Object.hasOwn(UNIT_SECONDS, match[2])) return null;
+    seconds += Number(match[1]) * UNIT_SECONDS[match[2]];
+  }
+  return seconds;
+};
+
+// Seconds in a duration, or null when the text is neither notation
+export const parseDuration = (text) => {
+  const trimmed = String(text ?? '').trim();
+  if (trimmed === '') return null;
+  return /[a-z]/i.test(trimmed) ? parseUnits(trimmed) : parseClock(trimmed);
+};
+
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+// Short reading of a number of seconds, e.g. "1 h 30 min" or "0.5 s"
+export const formatDuration = (seconds) => {
+  if (!Number.isFinite(seconds) || seconds <= 0) return '0 s';
+  if (seconds < 60) return `${round3(seconds)} s`;
+  const parts = [
+    [Math.floor(seconds / 86400), 'd'],
+    [Math.floor((seconds % 86400) / 3600), 'h'],
+    [Math.floor((seconds % 3600) / 60), 'min'],
+    [round3(seconds % 60), 's'],
+  ];
+  return parts.filter(([value]) => value > 0).map(([value, unit]) => `${value} ${unit}`).join(' ');
+};
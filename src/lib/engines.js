@@ -0,0 +1,647 @@
+// Storage engine models.
+//
+// Every engine exposes the same column type keys so a column configuration can
+// be re-evaluated under any engine. What changes per engine is the SQL type the
+// key maps to, its stored size and alignment, and how the row header, null
+// bitmap and length prefixes are laid out around the column data.
+
+// Columns every row carries in addition to the configured data columns
+export const SYSTEM_COLUMNS = [
+  { name: 'id', type: 'bigint' },
+  { name: 'agent_id', type: 'int' },
+  { name: 'created_at', type: 'datetime' },
+];
+
+// Engine-independent column types. `group` sorts them in the type picker,
+// `variable` types are sized by the column's length in `lengthUnit`,
+// `fixedLength` types by a declared length (CHAR(n), BINARY(n)), and
+// `character` types by the column's character set. `params` are further
+// column fields the size depends on, with their defaults (none means the
+// engine's default). `base` is the closest of the original ten types, used
+// where a model only knows those (compression encodings, DDL approximations).
+export const DATA_TYPES = {
+  boolean: { label: 'Boolean', group: 'Numeric' },
+  tinyint: { label: 'Tiny Integer', group: 'Numeric', base: 'int' },
+  smallint: { label: 'Small Integer', group: 'Numeric', base: 'int' },
+  int: { label: 'Integer', group: 'Numeric' },
+  bigint: { label: 'Big Integer', group: 'Numeric' },
+  float: {
+    label: 'Float', group: 'Numeric',
+    params: { precision: { label: 'Precision (bits)', min: 1, max: 53, default: 24 } },
+  },
+  double: { label: 'Double', group: 'Numeric' },
+  decimal: {
+    label: 'Decimal', group: 'Numeric', base: 'bigint',
+    params: {
+      precision: { label: 'Precision', min: 1, max: 38, default: 18 },
+      scale: { label: 'Scale', min: 0, max: 38, default: 2 },
+    },
+  },
+  date: { label: 'Date', group: 'Date & time' },
+  time: {
+    label: 'Time', group: 'Date & time', base: 'datetime',
+    params: { precision: { label: 'Fractional digits', min: 0, max: 7 } },
+  },
+  datetime: {
+    label: 'DateTime', group: 'Date & time',
+    params: { precision: { label: 'Fractional digits', min: 0, max: 7 } },
+  },
+  timestamptz: {
+    label: 'DateTime with time zone', group: 'Date & time', base: 'datetime',
+    params: { precision: { label: 'Fractional digits', min: 0, max: 7 } },
+  },
+  interval: { label: 'Interval', group: 'Date & time', base: 'bigint' },
+  char: { label: 'Fixed String', group: 'Text', base: 'varchar', fixedLength: true, character: true },
+  varchar: { label: 'String', group: 'Text', variable: true, lengthUnit: 'chars', character: true },
+  nchar: { label: 'Fixed National String', group: 'Text', base: 'varchar', fixedLength: true, character: true, national: true },
+  nvarchar: { label: 'National String', group: 'Text', base: 'varchar', variable: true, lengthUnit: 'chars', character: true, national: true },
+  text: { label: 'Text', group: 'Text', variable: true, lengthUnit: 'chars', character: true },
+  enum: {
+    label: 'Enum', group: 'Text', base: 'int',
+    params: { values: { label: 'Labels', min: 1, max: 65535, default: 8 } },
+  },
+  binary: { label: 'Fixed Binary', group: 'Binary & structured', base: 'uuid', fixedLength: true },
+  varbinary: { label: 'Binary', group: 'Binary & structured', base: 'text', variable: true, lengthUnit: 'bytes' },
+  blob: { label: 'Large Binary', group: 'Binary & structured', base: 'text', variable: true, lengthUnit: 'bytes' },
+  json: { label: 'JSON', group: 'Binary & structured', base: 'text', variable: true, lengthUnit: 'chars of JSON text' },
+  jsonb: { label: 'Binary JSON', group: 'Binary & structured', base: 'text', variable: true, lengthUnit: 'chars of JSON text' },
+  uuid: { label: 'UUID', group: 'Binary & structured' },
+  inet: {
+    label: 'IP Address', group: 'Binary & structured', base: 'int',
+    params: { ipVersion: { label: 'IP version', options: [4, 6], default: 4 } },
+  },
+  array: {
+    label: 'Array', group: 'Binary & structured', base: 'text', variable: true, lengthUnit: 'elements',
+    params: { elementType: { label: 'Element type', default: 'int' } },
+  },
+};
+
+// Types an array can hold: fixed-size scalars
+export const ARRAY_ELEMENT_TYPES = ['smallint', 'int', 'bigint', 'float', 'double', 'boolean', 'date', 'datetime', 'uuid'];
+
+// Character sets of character types, as average bytes per character
+export const CHARSETS = {
+  ascii: { label: 'Single-byte (ASCII, Latin-1)', bytesPerChar: 1 },
+  utf8: { label: 'UTF-8, mostly Latin text', bytesPerChar: 1.1 },
+  utf8_wide: { label: 'UTF-8, CJK text', bytesPerChar: 3 },
+  utf16: { label: 'UTF-16', bytesPerChar: 2 },
+};
+
+// Builds a type catalog from { key: [sqlType, size, align, extra] } entries.
+// A size of null marks a variable-length type sized by the column's length;
+// `extra` may give its bytesPerUnit and a fixed valueOverhead per value.
+// Entries that depend on the column's parameters are functions of them.
+const typeDef = (key, [sqlType, size, align = 1, extra = {}]) => ({
+  label: `${DATA_TYPES[key].label} (${sqlType})`,
+  sqlType,
+  size: size ?? 0,
+  align,
+  isVariable: size === null,
+  bytesPerUnit: 1,
+  valueOverhead: 0,
+  ...extra,
+});
+
+const defaultParams = (key) => ({
+  ...Object.fromEntries(Object.entries(DATA_TYPES[key].params || {}).map(([name, spec]) => [name, spec.default])),
+  length: 1,
+  bytesPerChar: 1,
+  element: { sqlType: 'INTEGER', size: 4, align: 4 },
+});
+
+const catalog = (entries) => Object.fromEntries(
+  Object.entries(entries).map(([key, entry]) => {
+    if (typeof entry !== 'function') return [key, typeDef(key, entry)];
+    // Labels leave out the parameters: NUMERIC(18,2) is listed as NUMERIC
+    const resolve = (params) => {
+      const def = typeDef(key, entry(params));
+      return { ...def, label: def.label.replace(/\(\d[^)]*\)\)$/, ')') };
+    };
+    return [key, { ...resolve(defaultParams(key)), resolve }];
+  })
+);
+
+// SQL type with an optional precision suffix, e.g. TIME(3)
+const withPrecision = (sqlType, precision) => (precision === undefined ? sqlType : `${sqlType}(${precision})`);
+
+// Bytes of a value `length` characters long in the given character set
+const charBytes = ({ length, bytesPerChar }) => Math.ceil(length * bytesPerChar);
+
+// Engines without array types store arrays as JSON text: each element as
+// roughly twice its binary width in digits plus a separator, inside [].
+const jsonArray = (sqlType, charBytesPerUnit = 1) => ({ element }) => [sqlType, null, 1, {
+  bytesPerUnit: (element.size * 2 + 1) * charBytesPerUnit,
+  valueOverhead: 2 * charBytesPerUnit,
+}];
+
+const alignTo = (offset, align) => Math.ceil(offset / align) * align;
+
+// MySQL packs 9 decimal digits into 4 bytes, leftover digits into 1-4 bytes
+const mysqlDecimalBytes = (digits) => Math.floor(digits / 9) * 4 + [0, 1, 1, 2, 2, 3, 3, 4, 4, 4][digits % 9];
+
+const sqlServerDecimalBytes = (precision) => {
+  if (precision <= 9) return 5;
+  if (precision <= 19) return 9;
+  if (precision <= 28) return 13;
+  return 17;
+};
+
+const sqlServerTimeBytes = (precision = 7) => {
+  if (precision <= 2) return 3;
+  if (precision <= 4) return 4;
+  return 5;
+};
+
+// Number of bytes SQLite needs to store n as a varint
+const varintSize = (n) => {
+  let bytes = 1;
+  while (n >= 128 && bytes < 9) {
+    n = Math.floor(n / 128);
+    bytes++;
+  }
+  return bytes;
+};
+
+// A user-defined type: { id, name, sizing: 'fixed', size } or
+// { id, name, sizing: 'variable', bytesPerUnit, overhead }, where a variable
+// value `length` units long takes length × bytesPerUnit + overhead bytes
+export const customTypeDef = (custom = {}) => {
+  const name = custom.name || 'custom';
+  const base = { label: `${name} (custom)`, sqlType: name, align: 1, bytesPerUnit: 1, valueOverhead: 0 };
+  if (custom.sizing === 'variable') {
+    return {
+      ...base,
+      size: 0,
+      isVariable: true,
+      bytesPerUnit: Math.max(0, parseFloat(custom.bytesPerUnit) || 0),
+      valueOverhead: Math.max(0, parseFloat(custom.overhead) || 0),
+    };
+  }
+  return { ...base, size: Math.max(0, parseFloat(custom.size) || 0), isVariable: false };
+};
+
+const bytesPerChar = (engine, col) => {
+  const charset = DATA_TYPES[col.type].national && engine.nationalCharset ? engine.nationalCharset : col.charset;
+  return (CHARSETS[charset] || CHARSETS.ascii).bytesPerChar;
+};
+
+// The engine's type for a column: SQL type, size and alignment for the
+// column's parameters and character set. Unknown types resolve to VARCHAR.
+export const resolveType = (engine, col) => {
+  if (col.type === 'custom') return customTypeDef(col.customType);
+  const key = DATA_TYPES[col.type] ? col.type : 'varchar';
+  const def = engine.types[key];
+  const type = DATA_TYPES[key];
+  const perChar = type.character ? bytesPerChar(engine, { ...col, type: key }) : 1;
+  if (!def.resolve && perChar === 1) return def;
+
+  const params = {
+    ...Object.fromEntries(Object.entries(type.params || {}).map(([name, spec]) => [name, col[name] ?? spec.default])),
+    length: Math.max(0, parseInt(col.length) || 0),
+    bytesPerChar: perChar,
+  };
+  if (key === 'array') {
+    const elementType = ARRAY_ELEMENT_TYPES.includes(params.elementType) ? params.elementType : 'int';
+    params.element = resolveType(engine, { type: elementType });
+  }
+  const resolved = def.resolve ? def.resolve(params) : def;
+  return type.character && resolved.isVariable
+    ? { ...resolved, bytesPerUnit: resolved.bytesPerUnit * perChar }
+    : resolved;
+};
+
+// Bytes of a variable-length value `units` long (characters, bytes or
+// array elements, see DATA_TYPES lengthUnit)
+export const lengthBytes = (def, units) => Math.ceil(units * def.bytesPerUnit) + def.valueOverhead;
+
+// Short engine-independent description of a column's type, e.g. decimal(10,2)
+export const describeType = (col) => {
+  if (col.type === 'custom') return (col.customType && col.customType.name) || 'custom';
+  const type = DATA_TYPES[col.type];
+  if (!type) return String(col.type);
+  const given = Object.keys(type.params || {}).map(name => col[name]).filter(value => value !== undefined);
+  if (type.fixedLength) given.unshift(col.length);
+  let text = given.length > 0 ? `${col.type}(${given.join(',')})` : col.type;
+  if (type.character && col.charset && col.charset !== 'ascii') text += ` ${col.charset}`;
+  return text;
+};
+
+// Bytes a single value occupies, before any engine-specific framing.
+// NULL values store nothing unless the engine says otherwise.
+export const storedBytes = (field) => {
+  if (field.isNull) return 0;
+  return field.def.isVariable ? field.length : field.def.size;
+};
+
+// Each engine also describes its data pages: page size, fixed page header,
+// the per-row pointer stored in the page (line pointer, slot or cell pointer)
+// and the default fill factor used when rows are inserted. The index block
+// does the same for index pages, plus the per-entry header and row locator,
+// whether the primary key is clustered with the table and which index kinds
+// the engine supports. The wal block describes the log every insert writes
+// (see cluster.js): a record header per row, per secondary index entry when
+// the log covers indexes, and a transaction record per report; page-image
+// logs instead write each changed page whole and are capped by checkpoints.
+export const ENGINES = {
+  generic: {
+    label: 'Generic',
+    description: 'Engine-agnostic estimate: fixed type sizes, no headers or alignment.',
+    page: {
+      size: 8192, header: 0, itemPointer: 0, defaultFillFactor: 100,
+      note: '8 KB pages with no header or per-row pointer; only fill factor and tail waste apply.',
+    },
+    index: {
+      pageSize: 8192, pageHeader: 0, itemPointer: 0, align: 1,
+      leafEntryOverhead: 8, innerEntryOverhead: 8, perColumnOverhead: 0, varPrefix: 2,
+      defaultFillFactor: 100, innerFillFactor: 100,
+      clusteredPrimaryKey: false, metaPages: 0,
+      kinds: ['btree', 'hash', 'brin'],
+      note: 'Index entries are key bytes plus an 8-byte row locator, packed into 8 KB pages.',
+    },
+    wal: {
+      label: 'Transaction log', recordBytes: 24, indexRecordBytes: 24, transactionBytes: 32, logsIndexes: true,
+      note: 'One 24-byte log record header per row and per index entry, plus a commit record per report.',
+    },
+    types: catalog({
+      boolean: ['BOOLEAN', 1],
+      tinyint: ['TINYINT', 1],
+      smallint: ['SMALLINT', 2],
+      int: ['INT', 4],
+      bigint: ['BIGINT', 8],
+      float: ({ precision }) => (precision > 24 ? ['DOUBLE', 8] : ['FLOAT', 4]),
+      double: ['DOUBLE', 8],
+      // Packed decimal digits, two per byte, plus a sign
+      decimal: ({ precision, scale }) => [`DECIMAL(${precision},${scale})`, Math.floor(precision / 2) + 1],
+      date: ['DATE', 3],
+      time: ['TIME', 8],
+      datetime: ['DATETIME', 8],
+      timestamptz: ['TIMESTAMPTZ', 8],
+      interval: ['INTERVAL', 16],
+      char: (params) => [`CHAR(${params.length})`, charBytes(params)],
+      varchar: ['VARCHAR', null],
+      nchar: (params) => [`NCHAR(${params.length})`, charBytes(params)],
+      nvarchar: ['NVARCHAR', null],
+      text: ['TEXT', null],
+      enum: ({ values }) => ['ENUM', values > 255 ? 2 : 1],
+      binary: ({ length }) => [`BINARY(${length})`, length],
+      varbinary: ['VARBINARY', null],
+      blob: ['BLOB', null],
+      json: ['JSON', null],
+      jsonb: ['JSONB', null],
+      uuid: ['UUID', 16],
+      inet: ({ ipVersion }) => ['INET', ipVersion === 6 ? 16 : 4],
+      array: ({ element }) => [`${element.sqlType}[]`, null, 1, { bytesPerUnit: element.size }],
+    }),
+    assumptions: [
+      'System columns: Primary Key (8) + Agent ID (4) + Timestamp (8) = 20 bytes.',
+      'Variable-length types add a 2-byte length prefix.',
+      'No row header, null bitmap or alignment padding.',
+      'NULL values take no space and no length prefix.',
+    ],
+    rowLayout: (fields) => ({
+      header: 0,
+      nullBitmap: 0,
+      lengthPrefixes: fields.filter(f => f.def.isVariable && !f.isNull).length * 2,
+      padding: 0,
+      data: fields.map(storedBytes),
+    }),
+  },
+
+  postgres: {
+    label: 'PostgreSQL',
+    description: 'Heap tuples with a 23-byte header, typalign padding and varlena headers.',
+    page: {
+      size: 8192, header: 24, itemPointer: 4, defaultFillFactor: 100,
+      note: '8 KB heap pages: 24-byte page header and a 4-byte line pointer per tuple.',
+    },
+    index: {
+      pageSize: 8192, pageHeader: 24 + 16, itemPointer: 4, align: 8,
+      leafEntryOverhead: 8, innerEntryOverhead: 8, perColumnOverhead: 0, varPrefix: 1,
+      defaultFillFactor: 90, innerFillFactor: 70,
+      clusteredPrimaryKey: false, metaPages: 1,
+      kinds: ['btree', 'hash', 'brin'],
+      note: 'nbtree pages: 24-byte header + 16-byte special space, 8-byte IndexTuple header (heap TID) MAXALIGNed, 4-byte line pointer. Leaf fillfactor 90, inner pages 70.',
+    },
+    wal: {
+      label: 'WAL', recordBytes: 30, indexRecordBytes: 50, transactionBytes: 40, logsIndexes: true,
+      note: 'Heap inserts log the tuple with a 24-byte XLogRecord and block reference; each index insert logs its IndexTuple the same way. Full-page images after checkpoints are not modelled.',
+    },
+    types: catalog({
+      boolean: ['BOOLEAN', 1, 1],
+      tinyint: ['SMALLINT', 2, 2],
+      smallint: ['SMALLINT', 2, 2],
+      int: ['INTEGER', 4, 4],
+      bigint: ['BIGINT', 8, 8],
+      float: ({ precision }) => (precision > 24 ? ['DOUBLE PRECISION', 8, 8] : ['REAL', 4, 4]),
+      double: ['DOUBLE PRECISION', 8, 8],
+      // Short varlena: 1-byte header, 2-byte numeric header and 2 bytes per
+      // group of 4 decimal digits on either side of the point
+      decimal: ({ precision, scale }) => [
+        `NUMERIC(${precision},${scale})`,
+        1 + 2 + 2 * (Math.ceil(Math.max(0, precision - scale) / 4) + Math.ceil(scale / 4)),
+        1,
+      ],
+      date: ['DATE', 4, 4],
+      time: ({ precision }) => [withPrecision('TIME', precision), 8, 8],
+      datetime: ({ precision }) => [withPrecision('TIMESTAMP', precision), 8, 8],
+      timestamptz: ({ precision }) => [withPrecision('TIMESTAMPTZ', precision), 8, 8],
+      interval: ['INTERVAL', 16, 8],
+      // bpchar is a varlena padded to its declared length
+      char: (params) => {
+        const bytes = charBytes(params);
+        return [`CHAR(${params.length})`, bytes + (bytes <= 126 ? 1 : 4), bytes <= 126 ? 1 : 4];
+      },
+      varchar: ['VARCHAR', null, 4],
+      nchar: (params) => {
+        const bytes = charBytes(params);
+        return [`CHAR(${params.length})`, bytes + (bytes <= 126 ? 1 : 4), bytes <= 126 ? 1 : 4];
+      },
+      nvarchar: ['VARCHAR', null, 4],
+      text: ['TEXT', null, 4],
+      enum: ['ENUM', 4, 4],
+      binary: ({ length }) => ['BYTEA', length + (length <= 126 ? 1 : 4), length <= 126 ? 1 : 4],
+      varbinary: ['BYTEA', null, 4],
+      blob: ['BYTEA', null, 4],
+      json: ['JSON', null, 4],
+      // jsonb adds entry headers to the parsed document
+      jsonb: ['JSONB', null, 4, { bytesPerUnit: 1.1 }],
+      uuid: ['UUID', 16, 1],
+      // Short varlena with family, netmask bits and 4 or 16 address bytes
+      inet: ({ ipVersion }) => ['INET', ipVersion === 6 ? 19 : 7, 1],
+      // One-dimensional array: 20 bytes of array header after the varlena header
+      array: ({ element }) => [`${element.sqlType}[]`, null, 4, {
+        bytesPerUnit: alignTo(element.size, element.align),
+        valueOverhead: 20,
+      }],
+    }),
+    assumptions: [
+      '23-byte heap tuple header (HeapTupleHeaderData), data offset MAXALIGNed to 8.',
+      'Each column is aligned to its typalign (int4/date → 4, int8/float8/timestamp → 8).',
+      'Values up to 126 bytes use a 1-byte varlena header and are not aligned; longer values use a 4-byte header aligned to 4.',
+      'Tuple length is padded to a multiple of 8. Values over ~2 KB would be TOASTed (not modelled).',
+      'Rows containing a NULL carry a null bitmap of 1 bit per column; NULL values take no space.',
+    ],
+    rowLayout: (fields) => {
+      const header = 23;
+      // The null bitmap (one bit per column) is only stored when the row has a NULL
+      const nullBitmap = fields.some(f => f.isNull) ? Math.ceil(fields.length / 8) : 0;
+      let offset = alignTo(header + nullBitmap, 8);
+      let padding = offset - header - nullBitmap;
+      let lengthPrefixes = 0;
+
+      const pad = (align) => {
+        const aligned = alignTo(offset, align);
+        padding += aligned - offset;
+        offset = aligned;
+      };
+
+      fields.forEach(f => {
+        if (f.isNull) return;
+        if (f.def.isVariable) {
+          // Short varlena: 1-byte header, no alignment
+          const varlenaHeader = f.length <= 126 ? 1 : 4;
+          if (varlenaHeader === 4) pad(f.def.align);
+          lengthPrefixes += varlenaHeader;
+          offset += varlenaHeader + f.length;
+        } else {
+          pad(f.def.align);
+          offset += f.def.size;
+        }
+      });
+
+      pad(8);
+
+      return { header, nullBitmap, lengthPrefixes, padding, data: fields.map(storedBytes) };
+    },
+  },
+
+  mysql: {
+    label: 'MySQL / InnoDB',
+    description: 'DYNAMIC row format with hidden transaction columns and a variable-length header.',
+    page: {
+      size: 16384, header: 128, itemPointer: 0.5, defaultFillFactor: 94,
+      note: '16 KB pages: 128 bytes of FIL header/trailer, page header and infimum/supremum records, a 2-byte directory slot per 4–8 records, 1/16 of each page kept free on sequential inserts.',
+    },
+    index: {
+      pageSize: 16384, pageHeader: 128, itemPointer: 0.5, align: 1,
+      leafEntryOverhead: 5 + 8, innerEntryOverhead: 5 + 8 + 4, perColumnOverhead: 0, varPrefix: 1,
+      defaultFillFactor: 94, innerFillFactor: 94,
+      clusteredPrimaryKey: true, metaPages: 0,
+      kinds: ['btree'],
+      note: 'The clustered primary key is the table; its index cost is only the inner pages. Secondary entries carry a 5-byte record header and the 8-byte primary key.',
+    },
+    wal: {
+      label: 'Binary log (row format)', recordBytes: 0, indexRecordBytes: 0, transactionBytes: 264, logsIndexes: false,
+      note: 'Row-based binlog: the row image per insert plus GTID, BEGIN, table map and XID events per transaction. The InnoDB redo log is a fixed-size ring and not counted.',
+    },
+    types: catalog({
+      boolean: ['TINYINT(1)', 1],
+      tinyint: ['TINYINT', 1],
+      smallint: ['SMALLINT', 2],
+      int: ['INT', 4],
+      bigint: ['BIGINT', 8],
+      float: ({ precision }) => (precision > 24 ? ['DOUBLE', 8] : ['FLOAT', 4]),
+      double: ['DOUBLE', 8],
+      decimal: ({ precision, scale }) => [
+        `DECIMAL(${precision},${scale})`,
+        mysqlDecimalBytes(Math.max(0, precision - scale)) + mysqlDecimalBytes(scale),
+      ],
+      date: ['DATE', 3],
+      // Fractional seconds take 1 byte per 2 digits
+      time: ({ precision }) => [withPrecision('TIME', precision), 3 + Math.ceil((precision ?? 0) / 2)],
+      datetime: ({ precision }) => [withPrecision('DATETIME', precision), 5 + Math.ceil((precision ?? 0) / 2)],
+      timestamptz: ({ precision }) => [withPrecision('TIMESTAMP', precision), 4 + Math.ceil((precision ?? 0) / 2)],
+      interval: ['BIGINT', 8],
+      char: (params) => [`CHAR(${params.length})`, charBytes(params)],
+      varchar: ['VARCHAR', null],
+      nchar: (params) => [`NCHAR(${params.length})`, charBytes(params)],
+      nvarchar: ['NVARCHAR', null],
+      text: ['TEXT', null],
+      enum: ({ values }) => ['ENUM', values > 255 ? 2 : 1],
+      binary: ({ length }) => [`BINARY(${length})`, length],
+      varbinary: ['VARBINARY', null],
+      blob: ['BLOB', null],
+      json: ['JSON', null],
+      jsonb: ['JSON', null],
+      uuid: ['BINARY(16)', 16],
+      inet: ({ ipVersion }) => (ipVersion === 6 ? ['BINARY(16)', 16] : ['INT UNSIGNED', 4]),
+      array: jsonArray('JSON'),
+    }),
+    assumptions: [
+      '5-byte record header plus hidden DB_TRX_ID (6) and DB_ROLL_PTR (7) columns = 18 bytes.',
+      'Variable-length columns take 1 length byte up to 127 bytes, 2 bytes above that.',
+      'Strings take the bytes per character of their character set; values stored inline (no off-page overflow).',
+      'Null bitmap of 1 bit per nullable column (null % above 0); NULL values take no space. No alignment padding.',
+    ],
+    rowLayout: (fields) => ({
+      header: 5 + 6 + 7,
+      // One bit per nullable column, stored whether or not the value is NULL
+      nullBitmap: Math.ceil(fields.filter(f => f.nullable).length / 8),
+      lengthPrefixes: fields
+        .filter(f => f.def.isVariable && !f.isNull)
+        .reduce((sum, f) => sum + (f.length > 127 ? 2 : 1), 0),
+      padding: 0,
+      data: fields.map(storedBytes),
+    }),
+  },
+
+  sqlserver: {
+    label: 'SQL Server',
+    // Character set of NCHAR / NVARCHAR regardless of the column's
+    nationalCharset: 'utf16',
+    description: 'FixedVar row format with a null bitmap and a variable-column offset array.',
+    page: {
+      size: 8192, header: 96, itemPointer: 2, defaultFillFactor: 100,
+      note: '8 KB pages: 96-byte page header and a 2-byte slot array entry per row.',
+    },
+    index: {
+      pageSize: 8192, pageHeader: 96, itemPointer: 2, align: 1,
+      leafEntryOverhead: 1 + 8, innerEntryOverhead: 1 + 6, perColumnOverhead: 0, varPrefix: 2,
+      defaultFillFactor: 100, innerFillFactor: 100,
+      clusteredPrimaryKey: true, metaPages: 0,
+      kinds: ['btree'],
+      note: 'Clustered primary key: leaf level is the table. Nonclustered rows hold a status byte, the key and the 8-byte clustering key; inner rows a 6-byte page pointer.',
+    },
+    wal: {
+      label: 'Transaction log', recordBytes: 62, indexRecordBytes: 62, transactionBytes: 204, logsIndexes: true,
+      note: 'Full recovery model: LOP_INSERT_ROWS records for the row and each nonclustered index, plus begin and commit records, kept until the next log backup.',
+    },
+    types: catalog({
+      boolean: ['BIT', 1],
+      tinyint: ['TINYINT', 1],
+      smallint: ['SMALLINT', 2],
+      int: ['INT', 4],
+      bigint: ['BIGINT', 8],
+      float: ({ precision }) => (precision > 24 ? ['FLOAT', 8] : ['REAL', 4]),
+      double: ['FLOAT', 8],
+      decimal: ({ precision, scale }) => [`DECIMAL(${precision},${scale})`, sqlServerDecimalBytes(precision)],
+      date: ['DATE', 3],
+      // Fractional precision defaults to 7 digits
+      time: ({ precision }) => [withPrecision('TIME', precision), sqlServerTimeBytes(precision)],
+      datetime: ({ precision }) => [withPrecision('DATETIME2', precision), 3 + sqlServerTimeBytes(precision)],
+      timestamptz: ({ precision }) => [withPrecision('DATETIMEOFFSET', precision), 5 + sqlServerTimeBytes(precision)],
+      interval: ['BIGINT', 8],
+      char: (params) => [`CHAR(${params.length})`, charBytes(params)],
+      varchar: ['VARCHAR', null],
+      nchar: (params) => [`NCHAR(${params.length})`, charBytes(params)],
+      nvarchar: ['NVARCHAR', null],
+      text: ['VARCHAR(MAX)', null],
+      enum: ({ values }) => (values > 255 ? ['SMALLINT', 2] : ['TINYINT', 1]),
+      binary: ({ length }) => [`BINARY(${length})`, length],
+      varbinary: ['VARBINARY', null],
+      blob: ['VARBINARY(MAX)', null],
+      // JSON is stored as UTF-16 text
+      json: ['NVARCHAR(MAX)', null, 1, { bytesPerUnit: 2 }],
+      jsonb: ['NVARCHAR(MAX)', null, 1, { bytesPerUnit: 2 }],
+      uuid: ['UNIQUEIDENTIFIER', 16],
+      inet: ({ ipVersion }) => [ipVersion === 6 ? 'BINARY(16)' : 'BINARY(4)', ipVersion === 6 ? 16 : 4],
+      array: jsonArray('NVARCHAR(MAX)', 2),
+    }),
+    assumptions: [
+      '4-byte row header (status bits + fixed-data length) and a 2-byte column count.',
+      'Null bitmap of 1 bit per column, always present.',
+      'Variable columns add a 2-byte count plus a 2-byte end offset each.',
+      'Up to 8 BIT columns share a single byte. No alignment padding.',
+      'NULL fixed-length columns keep their width; trailing NULL variable columns drop out of the offset array.',
+      'NCHAR / NVARCHAR and JSON text are UTF-16, 2 bytes per character.',
+    ],
+    rowLayout: (fields) => {
+      // Trailing NULL variable columns are left out of the offset array
+      const varFields = fields.filter(f => f.def.isVariable);
+      let varCount = varFields.length;
+      while (varCount > 0 && varFields[varCount - 1].isNull) varCount--;
+      let bitsSeen = 0;
+
+      return {
+        header: 4 + 2,
+        nullBitmap: Math.ceil(fields.length / 8),
+        lengthPrefixes: varCount > 0 ? 2 + varCount * 2 : 0,
+        padding: 0,
+        data: fields.map(f => {
+          // Fixed-length columns keep their full width even when NULL
+          if (f.type !== 'boolean') return f.def.isVariable ? storedBytes(f) : f.def.size;
+          bitsSeen++;
+          return bitsSeen % 8 === 1 ? 1 : 0;
+        }),
+      };
+    },
+  },
+
+  sqlite: {
+    label: 'SQLite',
+    description: 'B-tree cells with varint headers and dynamically typed record values.',
+    page: {
+      size: 4096, header: 8, itemPointer: 2, defaultFillFactor: 100,
+      note: '4 KB table b-tree leaf pages: 8-byte page header and a 2-byte cell pointer per row.',
+    },
+    index: {
+      pageSize: 4096, pageHeader: 8, itemPointer: 2, align: 1,
+      leafEntryOverhead: 1 + 1 + 1 + 4, innerEntryOverhead: 4 + 1 + 1 + 1 + 4, perColumnOverhead: 1, varPrefix: 0,
+      defaultFillFactor: 100, innerFillFactor: 100,
+      clusteredPrimaryKey: true, metaPages: 0,
+      kinds: ['btree'],
+      note: 'The rowid table is the primary key b-tree. Index records hold the key, the rowid and a serial-type byte per column.',
+    },
+    wal: {
+      label: 'WAL', pageImages: true, frameBytes: 24, maxBytes: 1000 * (4096 + 24),
+      note: 'Each commit appends every changed page with a 24-byte frame header. Checkpoints reuse the file after about 1000 pages, so it does not grow with retention.',
+    },
+    types: catalog({
+      boolean: ['INTEGER', 0],
+      tinyint: ['INTEGER', 1],
+      smallint: ['INTEGER', 2],
+      int: ['INTEGER', 4],
+      bigint: ['INTEGER', 8],
+      float: ['REAL', 8],
+      double: ['REAL', 8],
+      // NUMERIC affinity stores values as 8-byte integers or reals
+      decimal: ({ precision, scale }) => [`NUMERIC(${precision},${scale})`, 8],
+      date: ['TEXT', 10],
+      // ISO-8601 text, with a '.' and the digits of any fractional seconds
+      time: ({ precision }) => ['TEXT', 8 + (precision > 0 ? precision + 1 : 0)],
+      datetime: ({ precision }) => ['TEXT', 19 + (precision > 0 ? precision + 1 : 0)],
+      timestamptz: ({ precision }) => ['TEXT', 25 + (precision > 0 ? precision + 1 : 0)],
+      interval: ['INTEGER', 8],
+      char: (params) => ['TEXT', charBytes(params)],
+      varchar: ['TEXT', null],
+      nchar: (params) => ['TEXT', charBytes(params)],
+      nvarchar: ['TEXT', null],
+      text: ['TEXT', null],
+      enum: ({ values }) => ['INTEGER', values > 255 ? 2 : 1],
+      binary: ({ length }) => ['BLOB', length],
+      varbinary: ['BLOB', null],
+      blob: ['BLOB', null],
+      json: ['TEXT', null],
+      jsonb: ['BLOB', null],
+      uuid: ['BLOB', 16],
+      inet: ({ ipVersion }) => ['BLOB', ipVersion === 6 ? 16 : 4],
+      array: jsonArray('TEXT'),
+    }),
+    assumptions: [
+      'Cell header: payload-size varint plus a rowid varint (4 bytes, rowids below 2^28).',
+      'id is an INTEGER PRIMARY KEY, so it is the rowid and takes no space in the record.',
+      'Record header: 1 serial-type varint per column; strings over 57 bytes need 2.',
+      'REAL is always 8 bytes, booleans 0/1 are encoded in the serial type, dates stored as ISO-8601 TEXT.',
+      'NULL is serial type 0: one header byte and no data.',
+    ],
+    rowLayout: (fields) => {
+      const data = fields.map(f => (f.system && f.name === 'id' ? 0 : storedBytes(f)));
+      // NULL is serial type 0: one header byte and no data
+      const serialTypes = fields.reduce((sum, f) => (
+        sum + (f.def.isVariable && !f.isNull ? varintSize(f.length * 2 + 13) : 1)
+      ), 0);
+      const recordHeader = serialTypes + varintSize(serialTypes + 1);
+      const payload = recordHeader + data.reduce((sum, b) => sum + b, 0);
+
+      return {
+        header: varintSize(payload) + 4,
+        nullBitmap: 0,
+        lengthPrefixes: recordHeader,
+        padding: 0,
+        data,
+      };
+    },
+  },
+};
+
+export const DEFAULT_ENGINE = 'generic';
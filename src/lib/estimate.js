@@ -0,0 +1,359 @@
+import { computeMixedRowSizeStats, getEngine } from './rowSize.js';
+import { columnsForGroup } from './project.js';
+import { COMPRESSION_MODES, estimateCompression } from './compression.js';
+import { computePageLayout, diskBytesForRows } from './pageModel.js';
+import { computeIndexSizes } from './indexModel.js';
+import { tierDaysAt, summarizeRetention } from './retention.js';
+import {
+  agentCurve, cumulativeRows, dateForDay, daysInMonths, projectStorage, todayIso,
+} from './projection.js';
+import { activeSecondsOn, normalizeSchedule, scheduleError, windowSpan } from './schedule.js';
+import { DEFAULT_CLUSTER, clusterFootprint, normalizeCluster, walBytesPerRow } from './cluster.js';
+import { parseDuration } from './duration.js';
+
+export const EMPTY_RESULTS = {
+  rowSize: 0,
+  rowSizeP95: 0,
+  rowSizeWorst: 0,
+  overheadBytes: 0,
+  breakdown: null,
+  rowsPerDay: 0,
+  dailySpace: 0,
+  monthlySpace: 0,
+  yearlySpace: 0,
+  dailyRawSpace: 0,
+  monthlyRawSpace: 0,
+  yearlyRawSpace: 0,
+  dailyTableSpace: 0,
+  monthlyTableSpace: 0,
+  yearlyTableSpace: 0,
+  dailyArchiveSpace: 0,
+  monthlyArchiveSpace: 0,
+  yearlyArchiveSpace: 0,
+  dailyUncompressedSpace: 0,
+  monthlyUncompressedSpace: 0,
+  yearlyUncompressedSpace: 0,
+  compression: null,
+  retention: null,
+  indexSizes: { daily: [], monthly: [], yearly: [] },
+  pageLayout: null,
+  pagesPerDay: 0,
+  walBytesPerRow: 0,
+  walBytesPerDay: 0,
+  activeHoursPerDay: 0,
+  periodDays: { monthly: 0, yearly: 0 },
+  groups: [],
+};
+
+// Parse a duration given as HH:MM:SS, MM:SS or SS, or with units ("30s",
+// "5m", "1h 30m"), into seconds. Empty clock parts count as zero ("00:01:" is
+// one minute); anything unparseable returns 0.
+export const parseTimeToSeconds = (timeStr) => parseDuration(timeStr) ?? 0;
+
+// Seconds per day agents are active for a single daily work window.
+// Returns 0 when the window's times are not valid clock times.
+export const activeSecondsPerDay = (useWorkHours, workStartTime, workEndTime) => {
+  if (!useWorkHours) return 86400; // Default 24 hours
+
+  // Overnight windows wrap past midnight; equal times are a full 24h cycle
+  const span = windowSpan({ start: workStartTime, end: workEndTime });
+  return span ? (span[1] - span[0]) * 60 : 0;
+};
+
+// Interval spread as a share of the interval, capped so the shortest
+// interval stays above zero
+const MAX_JITTER_PERCENT = 90;
+const jitterShare = (group) => Math.min(MAX_JITTER_PERCENT, Math.max(0, Number(group.jitterPercent) || 0)) / 100;
+
+// Agent groups of a table: the table's own agents, cadence and schedule,
+// followed by any extra groups with their own settings and column overrides.
+// Missing or partial schedules (library callers, older tables) are defaulted.
+export const tableGroups = (table) => [
+  {
+    id: 'default',
+    name: 'Default',
+    numAgents: table.numAgents,
+    repeatTime: table.repeatTime,
+    rowsPerReport: table.rowsPerReport,
+    jitterPercent: table.jitterPercent,
+    schedule: table.schedule,
+    columnOverrides: {},
+  },
+  ...(table.agentGroups || []),
+].map(group => ({ ...group, schedule: normalizeSchedule(group.schedule) }));
+
+// Full estimate for one table: row size, page layout, and table + index
+// size per period. Periods are read off the same day-by-day projection the
+// growth chart uses, so agent growth, schedules and retention apply to them
+// too.
+// Returns { error, results, storageAt } where error is a message for invalid
+// input, results falls back to EMPTY_RESULTS and storageAt(day) gives total
+// bytes present on a given day.
+const buildTableModel = (engine, input, options = {}) => {
+  // Tables from library callers may leave out any field (see index.js)
+  const table = { ...input, columns: input.columns || [], indexes: input.indexes || [] };
+  const invalidInput = (error) => ({ error, results: EMPTY_RESULTS, storageAt: () => 0 });
+
+  const groups = tableGroups(table).map(group => ({
+    ...group,
+    agents: Math.max(0, group.numAgents || 0),
+    seconds: parseTimeToSeconds(group.repeatTime),
+    burst: Math.max(0, Number(group.rowsPerReport ?? 1) || 0),
+  }));
+
+  const stalled = groups.find(group => group.seconds <= 0);
+  if (stalled) {
+    return invalidInput(stalled.id === 'default'
+      ? 'Repeat time must be greater than 0 seconds, e.g. 00:01:00 or 5m.'
+      : `${stalled.name}: repeat time must be greater than 0 seconds, e.g. 00:01:00 or 5m.`);
+  }
+  if (groups.some(group => scheduleError(group.schedule))) {
+    return invalidInput('Work hours must be valid HH:MM times.');
+  }
+  const compressionMode = COMPRESSION_MODES[table.compression || 'none'];
+  if (!compressionMode || !compressionMode.engines.includes(engine)) {
+    return invalidInput(`Compression mode "${table.compression}" is not available for this engine.`);
+  }
+
+  // --- Frequency Calculations ---
+  // Each agent group writes a burst of rows per interval while its schedule
+  // is active; fleet growth scales every group by the same factor
+  const startDate = options.startDate || todayIso();
+  const baseAgents = groups.reduce((sum, group) => sum + group.agents, 0);
+  const agentsOnDay = agentCurve(baseAgents, options.growth, startDate);
+  // Rows per active second of each group, per agent of the whole fleet; a
+  // table without agents grows into its default group
+  const rates = groups.map((group, idx) => (
+    (baseAgents > 0 ? group.agents / baseAgents : Number(idx === 0)) * group.burst / group.seconds
+  ));
+
+  // Rows written per day as the agent fleet grows
+  const rowsBefore = cumulativeRows(day => {
+    const date = dateForDay(startDate, day);
+    const perAgent = groups.reduce((sum, group, idx) => (
+      rates[idx] > 0 ? sum + rates[idx] * activeSecondsOn(group.schedule, date) : sum
+    ), 0);
+    return agentsOnDay(day) * perAgent;
+  });
+  const rowsBetween = (from, to) => rowsBefore(to) - rowsBefore(Math.max(0, from));
+
+  // Calendar periods from the start date: the same date next month and
+  // next year, so a month is 28-31 days and a year 365 or 366
+  const monthDays = daysInMonths(startDate, 1);
+  const yearDays = daysInMonths(startDate, 12);
+
+  // Weekends and holidays make days uneven, so per-day figures are the
+  // average over the coming year at today's fleet size
+  const activeSecondsByGroup = groups.map(group => {
+    let total = 0;
+    for (let day = 0; day < yearDays; day++) total += activeSecondsOn(group.schedule, dateForDay(startDate, day));
+    return total / yearDays;
+  });
+  const groupRowsPerDay = groups.map((group, idx) => group.agents * group.burst * activeSecondsByGroup[idx] / group.seconds);
+  const totalRowsPerDay = groupRowsPerDay.reduce((sum, rows) => sum + rows, 0);
+  const activeSeconds = baseAgents > 0
+    ? groups.reduce((sum, group, idx) => sum + group.agents * activeSecondsByGroup[idx], 0) / baseAgents
+    : 0;
+
+  // --- Calculate Row Size based on Columns ---
+  // Groups with column overrides write differently shaped rows; the average
+  // row over all groups drives storage, p95 and worst case are reported alongside
+  const rowSize = computeMixedRowSizeStats(engine, groups.map((group, idx) => ({
+    columns: columnsForGroup(table.columns, group),
+    weight: groupRowsPerDay[idx],
+  })));
+  const singleRowSizeBytes = rowSize.rowBytes;
+
+  // Each group's share of rows and of row bytes; jitter shortens some
+  // intervals, so the peak write rate is taken at the shortest one
+  const totalRowBytes = groupRowsPerDay.reduce((sum, rows, idx) => sum + rows * rowSize.shapeBytes[idx], 0);
+  const groupResults = groups.map((group, idx) => ({
+    id: group.id,
+    name: group.name,
+    numAgents: group.agents,
+    rowsPerDay: groupRowsPerDay[idx],
+    rowBytes: rowSize.shapeBytes[idx],
+    storageShare: totalRowBytes > 0 ? groupRowsPerDay[idx] * rowSize.shapeBytes[idx] / totalRowBytes : 0,
+    peakRowsPerSecond: group.agents * group.burst / (group.seconds * (1 - jitterShare(group))),
+  }));
+
+  // --- Page Layout ---
+  // Rows are stored in fixed-size pages, so on-disk size is counted in whole pages
+  const pageLayout = computePageLayout(engine, singleRowSizeBytes, table.fillFactor);
+
+  // --- Compression ---
+  // Rows younger than the compression delay stay uncompressed
+  const compression = estimateCompression(engine, table, rowSize, baseAgents);
+  const compressedTableBytes = (rows) => {
+    if (rows <= 0) return 0;
+    // Columnar segments have no page free space; compressed pages keep theirs
+    return compression.columnar
+      ? rows * singleRowSizeBytes / compression.ratio
+      : diskBytesForRows(pageLayout, rows) / compression.ratio;
+  };
+
+  // --- Table + Index Size per Period ---
+  // `compressedRows` of the rows are stored compressed; indexes are sized on
+  // the uncompressed pages
+  const sizeForRows = (rows, compressedRows = 0) => {
+    const uncompressedTableBytes = diskBytesForRows(pageLayout, rows);
+    const tableBytes = compressedRows > 0
+      ? diskBytesForRows(pageLayout, rows - compressedRows) + compressedTableBytes(compressedRows)
+      : uncompressedTableBytes;
+    const indexSizes = computeIndexSizes(engine, table.columns, table.indexes, rows, uncompressedTableBytes / pageLayout.pageSize);
+    const indexBytes = indexSizes.reduce((sum, index) => sum + index.totalBytes, 0);
+    return {
+      tableBytes,
+      indexSizes,
+      totalBytes: tableBytes + indexBytes,
+      uncompressedBytes: uncompressedTableBytes + indexBytes,
+    };
+  };
+
+  // --- Retention + Archive Tier ---
+  // Storage present on a given day: hot data keeps its indexes, archived
+  // data keeps only its table pages, shrunk by the archive compression ratio
+  const archiveRatio = Math.max(1, parseFloat(table.archiveCompression) || 1);
+  const storageFor = (rowsIn) => (days) => {
+    const { hotDays, archiveDays } = tierDaysAt(days, table);
+    const hotRows = rowsIn(days - hotDays, days);
+    const archiveRows = rowsIn(days - hotDays - archiveDays, days - hotDays);
+    const compressedRows = compression
+      ? rowsIn(days - hotDays, days - Math.min(hotDays, compression.compressAfterDays))
+      : 0;
+    const hot = sizeForRows(hotRows, compressedRows);
+    const archiveBytes = archiveRows > 0 ? diskBytesForRows(pageLayout, archiveRows) / archiveRatio : 0;
+    return {
+      ...hot,
+      archiveBytes,
+      rawBytes: (hotRows + archiveRows) * singleRowSizeBytes,
+      totalBytes: hot.totalBytes + archiveBytes,
+      uncompressedBytes: hot.uncompressedBytes + archiveBytes,
+    };
+  };
+  const storageAt = storageFor(rowsBetween);
+
+  // A day's figures are for an average day rather than the start date,
+  // which may be a weekend or holiday
+  const daily = storageFor((from, to) => totalRowsPerDay * Math.max(0, to - Math.max(0, from)))(1);
+  const monthly = storageAt(monthDays);
+  const yearly = storageAt(yearDays);
+
+  // --- Write-Ahead Log ---
+  // Each report is one transaction of its group's burst of rows
+  const reportsPerDay = groupRowsPerDay.reduce((sum, rows, idx) => (groups[idx].burst > 0 ? sum + rows / groups[idx].burst : sum), 0);
+  const walPerRow = walBytesPerRow(getEngine(engine), singleRowSizeBytes, daily.indexSizes, reportsPerDay > 0 ? totalRowsPerDay / reportsPerDay : 1);
+
+  return {
+    error: '',
+    storageAt: (days) => storageAt(days).totalBytes,
+    results: {
+      rowSize: singleRowSizeBytes,
+      rowSizeP95: rowSize.p95Bytes,
+      rowSizeWorst: rowSize.worstBytes,
+      overheadBytes: rowSize.overheadBytes,
+      breakdown: rowSize.breakdown,
+      rowsPerDay: Math.floor(totalRowsPerDay),
+      dailySpace: daily.totalBytes,
+      monthlySpace: monthly.totalBytes,
+      yearlySpace: yearly.totalBytes,
+      dailyRawSpace: daily.rawBytes,
+      monthlyRawSpace: monthly.rawBytes,
+      yearlyRawSpace: yearly.rawBytes,
+      dailyTableSpace: daily.tableBytes,
+      monthlyTableSpace: monthly.tableBytes,
+      yearlyTableSpace: yearly.tableBytes,
+      dailyArchiveSpace: daily.archiveBytes,
+      monthlyArchiveSpace: monthly.archiveBytes,
+      yearlyArchiveSpace: yearly.archiveBytes,
+      dailyUncompressedSpace: daily.uncompressedBytes,
+      monthlyUncompressedSpace: monthly.uncompressedBytes,
+      yearlyUncompressedSpace: yearly.uncompressedBytes,
+      compression,
+      retention: summarizeRetention(table, (days) => storageAt(days).totalBytes),
+      indexSizes: { daily: daily.indexSizes, monthly: monthly.indexSizes, yearly: yearly.indexSizes },
+      pageLayout,
+      pagesPerDay: pageLayout.rowsPerPage > 0 ? Math.ceil(totalRowsPerDay / pageLayout.rowsPerPage) : 0,
+      walBytesPerRow: walPerRow,
+      walBytesPerDay: totalRowsPerDay * walPerRow,
+      activeHoursPerDay: activeSeconds / 3600,
+      periodDays: { monthly: monthDays, yearly: yearDays },
+      groups: groupResults,
+    },
+  };
+};
+
+// Per-period figures summed into the database total
+const TOTAL_FIELDS = [
+  'rowsPerDay',
+  'dailySpace', 'monthlySpace', 'yearlySpace',
+  'dailyRawSpace', 'monthlyRawSpace', 'yearlyRawSpace',
+  'dailyTableSpace', 'monthlyTableSpace', 'yearlyTableSpace',
+  'dailyArchiveSpace', 'monthlyArchiveSpace', 'yearlyArchiveSpace',
+  'dailyUncompressedSpace', 'monthlyUncompressedSpace', 'yearlyUncompressedSpace',
+  'walBytesPerDay',
+];
+
+// Estimate for a single table, without the day-by-day storage function
+export const estimateTable = (engine, table, options = {}) => {
+  const { error, results } = buildTableModel(engine, table, options);
+  return { error, results };
+};
+
+// Estimate every table of a project and add them up into a database total.
+// options: { growth, startDate, horizonDays, thresholds, cluster } — when
+// horizonDays is set the result also carries the storage projection over that
+// horizon. `cluster` holds the replica, log and backup settings (cluster.js)
+// behind the cluster footprint, which projection points carry as well.
+export const estimateProject = (engine, tables, options = {}) => {
+  const models = tables.map(table => ({
+    id: table.id,
+    name: table.name,
+    ...buildTableModel(engine, table, options),
+  }));
+  const perTable = models.map(({ id, name, error, results }) => ({ id, name, error, results }));
+
+  const totals = Object.fromEntries(TOTAL_FIELDS.map(field => [
+    field,
+    perTable.reduce((sum, entry) => sum + entry.results[field], 0),
+  ]));
+
+  // Steady state only exists when every table has a retention window. Table
+  // peaks need not coincide, so their sum is an upper bound.
+  const retained = perTable.map(entry => entry.results.retention);
+  totals.retention = retained.length > 0 && retained.every(Boolean)
+    ? {
+      steadyStateBytes: retained.reduce((sum, r) => sum + r.steadyStateBytes, 0),
+      steadyStateDays: Math.max(...retained.map(r => r.steadyStateDays)),
+      peakBytes: retained.reduce((sum, r) => sum + r.peakBytes, 0),
+    }
+    : null;
+
+  // Replicas, retained log and backups on top of the tables, read off the
+  // same day-by-day storage as the projection
+  const startDate = options.startDate || todayIso();
+  const settings = normalizeCluster(options.cluster || DEFAULT_CLUSTER);
+  const primaryAt = (day) => models.reduce((sum, model) => sum + model.storageAt(day), 0);
+  const rates = { walBytesPerDay: totals.walBytesPerDay, writeBytesPerDay: totals.dailySpace };
+  const footprintOn = (day) => clusterFootprint(getEngine(engine), primaryAt, rates, settings, day);
+  // A day's figures are for an average day, as in each table's results
+  const averageDayAt = (day) => (day === 1 ? totals.dailySpace : primaryAt(day));
+  const cluster = {
+    settings,
+    ...rates,
+    daily: clusterFootprint(getEngine(engine), averageDayAt, rates, settings, 1),
+    monthly: footprintOn(daysInMonths(startDate, 1)),
+    yearly: footprintOn(daysInMonths(startDate, 12)),
+  };
+
+  const projection = options.horizonDays > 0
+    ? projectStorage(models, {
+      horizonDays: options.horizonDays,
+      startDate,
+      thresholds: options.thresholds,
+    })
+    : null;
+  if (projection) projection.points = projection.points.map(point => ({ ...point, cluster: footprintOn(point.day) }));
+
+  return { tables: perTable, totals, cluster, projection };
+};
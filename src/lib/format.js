@@ -0,0 +1,27 @@
+// Helper to format bytes into readable units
+export const formatBytes = (bytes, decimals = 2) => {
+  if (!Number.isFinite(bytes)) return '—';
+  if (bytes < 0) return `-${formatBytes(-bytes, decimals)}`;
+  const k = 1024;
+  const dm = decimals < 0 ? 0 : decimals;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB', 'PB'];
+  // Fractions of a byte (averages) stay in bytes; beyond PB stay in PB
+  const i = bytes < 1 ? 0 : Math.min(sizes.length - 1, Math.floor(Math.log(bytes) / Math.log(k)));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
+};
+
+// Money with cents for small amounts and whole units from 100 up
+export const formatCurrency = (amount, currency) => {
+  if (!Number.isFinite(amount)) return '—';
+  const digits = Math.abs(amount) < 100 ? 2 : 0;
+  return amount.toLocaleString('en-US', {
+    style: 'currency', currency, minimumFractionDigits: digits, maximumFractionDigits: digits,
+  });
+};
+
+// A signed share as a percentage, e.g. 0.034 → "+3.4%"
+export const formatSignedPercent = (share) => {
+  if (!Number.isFinite(share)) return '—';
+  const percent = Math.round(share * 1000) / 10;
+  return `${percent > 0 ? '+' : ''}${percent}%`;
+};
@@ -0,0 +1,133 @@
+// Public entry point of the estimation engine. Everything here is plain
+// JavaScript with no React or browser dependency, so it can be imported from
+// Node scripts as well as the calculator UI.
+//
+// Input: a scenario object (the same schema as saved scenarios and share
+// links, see scenario.js). Every field is optional and falls back to the
+// calculator's defaults:
+//
+//   {
+//     engine: 'generic' | 'postgres' | 'mysql' | 'sqlserver' | 'sqlite',
+//     tables: [{
+//       name, numAgents,
+//       repeatTime,                    // 'HH:MM:SS', 'MM:SS' or 'SS'; fractions allowed ('0.5');
+//                                      // or with units: '30s', '5m', '1h 30m', '250ms'
+//       rowsPerReport, jitterPercent,  // rows per report (burst size); ± spread of the interval
+//       schedule: {                    // when the table's agents are active
+//         mode: 'always' | 'weekly',
+//         timeZone,                    // IANA name, e.g. 'Europe/Berlin'; default 'UTC'
+//         days: { mon: [{ start, end }], ..., sun: [] },   // 'HH:MM'; equal times = 24 h
+//         holidays: [{ date: 'YYYY-MM-DD', name, yearly }],
+//       },
+//       agentGroups: [{                // extra agents with their own cadence and schedule
+//         name, numAgents, repeatTime, rowsPerReport, jitterPercent, schedule,
+//         columnOverrides: { <column position>: { length, nullPercent, distribution, ... } },
+//       }],
+//       fillFactor,                    // 10-100, engine default when omitted
+//       compression,                   // a key of COMPRESSION_MODES the engine supports
+//       compressionRatios: { <type>: ratio },   // overrides of the mode's per-type ratios
+//       compressAfterDays,             // delay of modes that compress older chunks
+//       columns: [{
+//         name, type,                  // type: a key of DATA_TYPES, or 'custom' with customType
+//         precision, scale,            // decimal digits, float bits, fractional seconds
+//         values, ipVersion, elementType,   // enum labels, 4 or 6, array element type
+//         charset,                     // a key of CHARSETS for character types
+//         customType,                  // { name, sizing: 'fixed', size }
+//                                      // { name, sizing: 'variable', bytesPerUnit, overhead }
+//         length,                      // average length of variable types (chars, bytes
+//                                      // or elements), declared length of CHAR(n) / BINARY(n)
+//         nullPercent,                 // 0-100
+//         distribution,                // { mode: 'range', min, max }
+//                                      // { mode: 'buckets', buckets: [{ percentile, length }] }
+//         cardinality,                 // distinct values; enables dictionary encoding
+//       }],
+//       indexes: [{ id, name, kind, columns: ['sys:<name>' | 'col:<position>'], include: [] }],
+//       retentionDays, partitionBy,    // partitionBy: none | day | week | month
+//       archiveEnabled, archiveAfterDays, archiveCompression,
+//     }],
+//     growth: { mode: 'none' | 'linear' | 'percent' | 'steps', agentsPerMonth, percentPerMonth,
+//               steps: [{ date: 'YYYY-MM-DD', agents }] },
+//     startDate: 'YYYY-MM-DD', horizonMonths,
+//     thresholds: [{ id, label, gb }],
+//     customTypes: [{ id, name, sizing, size, bytesPerUnit, overhead }],   // type library
+//     cluster: {                       // storage kept besides the live tables
+//       replicas, logRetentionDays,    // read replicas; days of WAL / binlog kept
+//       fullBackupIntervalDays, backupsRetained, incrementalBackups, backupCompression,
+//     },
+//     cost: {
+//       profile,                       // a key of the price list in src/data/pricing.js
+//       iopsTier,                      // position in the profile's iopsTiers
+//       prices: { <profile>: { storagePerGbMonth, backupPerGbMonth, ... } },   // overrides
+//     },
+//   }
+//
+// Output of estimateScenario:
+//
+//   {
+//     scenario,                        // the input with every default filled in
+//     tables: [{ id, name, error, results }],
+//     totals,                          // summed per-period fields, plus retention
+//     cluster: { settings, walBytesPerDay, writeBytesPerDay,
+//                daily, monthly, yearly },   // { primary, replicas, wal, backups, total }
+//     projection: { points: [{ day, date, tables: [bytes], totalBytes, cluster }],
+//                   crossings: [{ id, day, date }] },
+//     cost: { profile, currency, periods: [{ period, bytes, storage, backup, iops, total }],
+//             months: [{ month, date, bytes, storage, backup, iops, total, cumulative }],
+//             cumulative },
+//   }
+//
+// `error` is '' or a message for invalid input, in which case that table's
+// results are EMPTY_RESULTS. `results` holds rowSize / rowSizeP95 /
+// rowSizeWorst (bytes), rowsPerDay, daily/monthly/yearly Space (on disk),
+// RawSpace, TableSpace and ArchiveSpace, indexSizes, pageLayout, retention and
+// the row breakdown; see EMPTY_RESULTS in estimate.js for the full list.
+// Months and years are calendar periods from startDate (periodDays gives
+// their length); rowsPerDay and daily figures average the coming year.
+// results.groups lists each agent group's rowsPerDay, rowBytes,
+// storageShare (0-1) and peakRowsPerSecond. For compressed tables
+// results.compression holds the mode, overall ratio and per-column
+// encodings, and the UncompressedSpace fields the size without compression.
+
+import { restoreScenario, scenarioOptions } from './scenario.js';
+import { estimateProject } from './estimate.js';
+import { estimateCost } from './cost.js';
+
+export {
+  ENGINES, DEFAULT_ENGINE, SYSTEM_COLUMNS, DATA_TYPES, CHARSETS, resolveType, describeType,
+} from './engines.js';
+export {
+  EMPTY_RESULTS, parseTimeToSeconds, activeSecondsPerDay, estimateTable, estimateProject,
+} from './estimate.js';
+export {
+  createSchedule, activeSecondsOn, parseICalHolidays, describeSchedule, WEEKDAYS,
+} from './schedule.js';
+export { computeRowSize, computeRowSizeStats, computeMixedRowSizeStats } from './rowSize.js';
+export {
+  createTable, createAgentGroup, createCustomType, createColumn, columnsForGroup, withColumns, DEFAULT_COLUMN,
+} from './project.js';
+export { parseDuration, formatDuration, DURATION_PRESETS } from './duration.js';
+export { numberError, durationError, columnNameError, MAX_COLUMNS } from './validation.js';
+export { COMPRESSION_MODES, compressionModesFor, estimateCompression } from './compression.js';
+export { restoreScenario, serializeScenario, scenarioOptions, scenarioFromHash, SCENARIO_VERSION } from './scenario.js';
+export { formatBytes, formatCurrency, formatSignedPercent } from './format.js';
+export { DEFAULT_COST, pricingProfiles, monthlyCost, estimateCost } from './cost.js';
+export {
+  DEFAULT_CLUSTER, FOOTPRINT_PARTS, walBytesPerRow, clusterFootprint, backupBytes,
+} from './cluster.js';
+export {
+  toCsv, toTextTable, reportRows, REPORT_FIELDS, REPORT_PERIODS, periodRows, toPeriodCsv, toMarkdown, toJsonExport,
+  costLines, clusterLines, describeCluster, measurementLines,
+} from './report.js';
+export {
+  MEASURED_ENGINES, MEASURED_PARTS, normalizeMeasurement, estimateRows, estimateError, compareMeasurement,
+} from './measure.js';
+export { generateCreateTable, quoteIdentifier } from './ddl.js';
+export { nullShare, lengthAt } from './columnStats.js';
+
+// Estimate a scenario object end to end. Throws for scenarios from a newer
+// schema version; per-table input errors are reported in `tables[].error`.
+export const estimateScenario = (input = {}) => {
+  const scenario = restoreScenario(input);
+  const project = estimateProject(scenario.engine, scenario.tables, scenarioOptions(scenario));
+  return { scenario, ...project, cost: estimateCost(project, scenario.cost, scenario.startDate) };
+};
@@ -0,0 +1,166 @@
+import { SYSTEM_COLUMNS, resolveType, lengthBytes } from './engines.js';
+import { getEngine } from './rowSize.js';
+import { meanLength } from './columnStats.js';
+
+export const INDEX_KINDS = {
+  btree: { label: 'B-tree' },
+  hash: { label: 'Hash' },
+  brin: { label: 'BRIN' },
+};
+
+// Every table has a B-tree primary key on the system id column
+export const PRIMARY_KEY_INDEX = {
+  id: 'pk',
+  name: 'PRIMARY KEY',
+  kind: 'btree',
+  columns: ['sys:id'],
+  include: [],
+  primary: true,
+};
+
+// Heap pages summarised by one BRIN range (pages_per_range default)
+const BRIN_PAGES_PER_RANGE = 128;
+// Range map entries that fit on one BRIN revmap page
+const BRIN_REVMAP_ENTRIES_PER_PAGE = 1360;
+// Bytes of the hash code stored in a hash index entry
+const HASH_CODE_BYTES = 4;
+
+const alignTo = (offset, align) => Math.ceil(offset / align) * align;
+
+// Index columns are referenced as 'sys:<name>' for system columns and
+// 'col:<position>' for configured data columns
+export const columnRefOptions = (columns) => [
+  ...SYSTEM_COLUMNS.map(col => ({ ref: `sys:${col.name}`, label: col.name })),
+  ...columns.map((col, idx) => ({ ref: `col:${idx}`, label: col.name || `col_${idx + 1} (${col.type})` })),
+];
+
+const resolveRef = (columns, ref) => {
+  const [scope, key] = ref.split(':');
+  if (scope === 'sys') return SYSTEM_COLUMNS.find(col => col.name === key) || null;
+  if (scope === 'col') return columns[parseInt(key, 10)] || null;
+  return null;
+};
+
+// Bytes the referenced columns add to an index entry under the given engine
+const keyBytes = (engine, columns, refs) => refs.reduce((sum, ref) => {
+  const col = resolveRef(columns, ref);
+  if (!col) return sum;
+  const def = resolveType(engine, col);
+  const valueBytes = def.isVariable
+    ? lengthBytes(def, meanLength(col)) + engine.index.varPrefix
+    : def.size;
+  return sum + valueBytes + engine.index.perColumnOverhead;
+}, 0);
+
+// Entries that fit on one index page at the given fill factor
+const entriesPerPage = (model, entryBytes, fillFactor) => {
+  const usable = Math.floor((model.pageSize - model.pageHeader) * fillFactor / 100);
+  return Math.max(1, Math.floor(usable / entryBytes));
+};
+
+// Inner levels needed above a set of child pages, summed up to the root
+const innerPagesAbove = (childPages, fanout) => {
+  let level = childPages;
+  let pages = 0;
+  while (level > 1) {
+    level = Math.ceil(level / fanout);
+    pages += level;
+  }
+  return pages;
+};
+
+const sizeBtree = (engine, columns, index, rows, tablePages) => {
+  const model = engine.index;
+  const key = keyBytes(engine, columns, index.columns);
+  const include = keyBytes(engine, columns, index.include || []);
+  const innerEntry = alignTo(model.innerEntryOverhead + key, model.align) + model.itemPointer;
+  const fanout = Math.max(2, entriesPerPage(model, innerEntry, model.innerFillFactor));
+
+  // A clustered primary key's leaf level is the table itself
+  if (index.primary && model.clusteredPrimaryKey) {
+    return {
+      entryBytes: innerEntry,
+      leafPages: 0,
+      innerPages: innerPagesAbove(tablePages, fanout),
+      note: 'Leaf level is the table (clustered)',
+    };
+  }
+
+  const leafEntry = alignTo(model.leafEntryOverhead + key + include, model.align) + model.itemPointer;
+  const leafPages = rows > 0 ? Math.ceil(rows / entriesPerPage(model, leafEntry, model.defaultFillFactor)) : 0;
+
+  return {
+    entryBytes: leafEntry,
+    leafPages,
+    innerPages: leafPages > 0 ? innerPagesAbove(leafPages, fanout) + model.metaPages : 0,
+    note: null,
+  };
+};
+
+const sizeHash = (engine, rows) => {
+  const model = engine.index;
+  const entry = alignTo(model.leafEntryOverhead + HASH_CODE_BYTES, model.align) + model.itemPointer;
+  // Hash buckets split at 75% load
+  const bucketPages = rows > 0 ? Math.ceil(rows / entriesPerPage(model, entry, 75)) : 0;
+
+  return {
+    entryBytes: entry,
+    leafPages: bucketPages,
+    innerPages: bucketPages > 0 ? 1 : 0, // metapage
+    note: 'Stores 4-byte hash codes; buckets split at 75% load',
+  };
+};
+
+const sizeBrin = (engine, columns, index, tablePages) => {
+  const model = engine.index;
+  // A minmax summary stores the lowest and highest value of each column
+  const summary = alignTo(model.leafEntryOverhead + keyBytes(engine, columns, index.columns) * 2, model.align)
+    + model.itemPointer;
+  const ranges = Math.ceil(tablePages / BRIN_PAGES_PER_RANGE);
+  const summaryPages = ranges > 0 ? Math.ceil(ranges / entriesPerPage(model, summary, 100)) : 0;
+
+  return {
+    entryBytes: summary,
+    leafPages: summaryPages,
+    innerPages: ranges > 0 ? Math.ceil(ranges / BRIN_REVMAP_ENTRIES_PER_PAGE) + 1 : 0, // revmap + metapage
+    note: `One min/max summary per ${BRIN_PAGES_PER_RANGE} table pages`,
+  };
+};
+
+const unsupportedNote = (kind, engine) => (INDEX_KINDS[kind]
+  ? `${INDEX_KINDS[kind].label} not supported by ${engine.label}; sized as B-tree`
+  : `Unknown index kind "${kind}"; sized as B-tree`);
+
+// Estimated size of each index once the table holds `rows` rows stored in
+// `tablePages` data pages. The primary key index always comes first.
+export const computeIndexSizes = (engineKey, columns, indexes, rows, tablePages) => {
+  const engine = getEngine(engineKey);
+  const { pageSize, kinds } = engine.index;
+
+  return [PRIMARY_KEY_INDEX, ...indexes].map(index => {
+    const supported = kinds.includes(index.kind);
+    const kind = supported ? index.kind : 'btree';
+
+    let size;
+    if (kind === 'hash') size = sizeHash(engine, rows);
+    else if (kind === 'brin') size = sizeBrin(engine, columns, index, tablePages);
+    else size = sizeBtree(engine, columns, index, rows, tablePages);
+
+    const leafBytes = size.leafPages * pageSize;
+    const innerBytes = size.innerPages * pageSize;
+
+    return {
+      id: index.id,
+      name: index.name,
+      kind,
+      primary: !!index.primary,
+      entryBytes: size.entryBytes,
+      leafPages: size.leafPages,
+      innerPages: size.innerPages,
+      leafBytes,
+      innerBytes,
+      totalBytes: leafBytes + innerBytes,
+      note: supported ? size.note : unsupportedNote(index.kind, engine),
+    };
+  });
+};
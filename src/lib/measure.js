@@ -0,0 +1,91 @@
+// Estimated vs measured size of tables loaded by the measurement harness
+// (bin/storage-measure.js).
+//
+// The harness creates each table of a scenario in a real database, inserts
+// `rows` synthetic rows following its column types, lengths and NULL shares,
+// and records the sizes the database reports:
+//
+//   { engine, server, rows, measuredAt,
+//     tables: [{ name, rows, tableBytes, indexBytes }] }
+//
+// The matching estimate is for the same rows: the table's own columns (agent
+// group overrides aside), freshly loaded at the engine's default fill factor
+// and without compression. A clustered primary key counts as part of the
+// table on both sides, every other index as index bytes.
+
+import { computeRowSizeStats, getEngine } from './rowSize.js';
+import { computePageLayout, diskBytesForRows } from './pageModel.js';
+import { computeIndexSizes } from './indexModel.js';
+
+// Engines the harness can load: SQLite in-process, PostgreSQL and MySQL on a
+// local server
+export const MEASURED_ENGINES = ['sqlite', 'postgres', 'mysql'];
+
+export const MEASURED_PARTS = [
+  { key: 'tableBytes', label: 'Table' },
+  { key: 'indexBytes', label: 'Indexes' },
+  { key: 'totalBytes', label: 'Total' },
+];
+
+const byteCount = (value) => Math.max(0, Number(value) || 0);
+
+// A measurement file with its numbers checked. Throws when it isn't one.
+export const normalizeMeasurement = (raw) => {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.tables)) {
+    throw new Error('Not a measurement file: expected a "tables" list.');
+  }
+  if (!MEASURED_ENGINES.includes(raw.engine)) {
+    throw new Error(`Measurements for engine "${raw.engine}" are not supported.`);
+  }
+  return {
+    engine: raw.engine,
+    server: String(raw.server || ''),
+    measuredAt: String(raw.measuredAt || ''),
+    tables: raw.tables.map(table => {
+      const tableBytes = byteCount(table.tableBytes);
+      const indexBytes = byteCount(table.indexBytes);
+      return {
+        name: String(table.name || ''),
+        rows: Math.floor(byteCount(table.rows ?? raw.rows)),
+        tableBytes,
+        indexBytes,
+        totalBytes: tableBytes + indexBytes,
+      };
+    }),
+  };
+};
+
+// Estimated size of `rows` rows of a table, split like a measurement
+export const estimateRows = (engineKey, table, rows) => {
+  const engine = getEngine(engineKey);
+  const { rowBytes } = computeRowSizeStats(engineKey, table.columns);
+  const layout = computePageLayout(engineKey, rowBytes);
+  const heapBytes = diskBytesForRows(layout, rows);
+  const indexSizes = computeIndexSizes(engineKey, table.columns, table.indexes, rows, heapBytes / layout.pageSize);
+
+  const inTable = (index) => index.primary && engine.index.clusteredPrimaryKey;
+  const tableBytes = heapBytes + indexSizes.filter(inTable).reduce((sum, index) => sum + index.totalBytes, 0);
+  const indexBytes = indexSizes.filter(index => !inTable(index)).reduce((sum, index) => sum + index.totalBytes, 0);
+  return { rowBytes, tableBytes, indexBytes, totalBytes: tableBytes + indexBytes };
+};
+
+// How far the estimate is off, as a share of the measured size (0.05 = 5%
+// too high); null when nothing was measured
+export const estimateError = (estimated, measured) => (measured > 0 ? (estimated - measured) / measured : null);
+
+// Each measured table next to the estimate for the same rows under the
+// measured engine, matched to the scenario's tables by name. Tables no longer
+// in the scenario have no estimate.
+export const compareMeasurement = (tables, measurement) => measurement.tables.map(measured => {
+  const table = tables.find(candidate => candidate.name === measured.name);
+  if (!table) return { name: measured.name, rows: measured.rows, measured, estimated: null, errors: null };
+
+  const estimated = estimateRows(measurement.engine, table, measured.rows);
+  return {
+    name: measured.name,
+    rows: measured.rows,
+    measured,
+    estimated,
+    errors: Object.fromEntries(MEASURED_PARTS.map(({ key }) => [key, estimateError(estimated[key], measured[key])])),
+  };
+});
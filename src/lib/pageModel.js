@@ -0,0 +1,44 @@
+import { getEngine } from './rowSize.js';
+
+// Clamp a fill factor percentage to the 10–100 range engines accept
+export const clampFillFactor = (fillFactor) => Math.min(100, Math.max(10, parseInt(fillFactor) || 100));
+
+// How rows of a given size pack into the engine's data pages.
+// Rows that don't fit in a single page are spread over several pages, which
+// is reported as a fractional rowsPerPage (e.g. 0.5 = one row per two pages).
+export const computePageLayout = (engineKey, rowBytes, fillFactor) => {
+  const { page } = getEngine(engineKey);
+  const fill = clampFillFactor(fillFactor ?? page.defaultFillFactor);
+
+  const capacity = page.size - page.header;
+  const usableBytes = Math.floor(capacity * fill / 100);
+  const slotBytes = rowBytes + page.itemPointer;
+
+  let rowsPerPage;
+  if (slotBytes <= 0) {
+    rowsPerPage = 0;
+  } else if (slotBytes <= usableBytes) {
+    rowsPerPage = Math.floor(usableBytes / slotBytes);
+  } else {
+    rowsPerPage = 1 / Math.ceil(slotBytes / capacity);
+  }
+
+  const usedBytes = rowsPerPage >= 1 ? rowsPerPage * slotBytes : slotBytes * rowsPerPage;
+
+  return {
+    pageSize: page.size,
+    pageHeader: page.header,
+    itemPointer: page.itemPointer,
+    fillFactor: fill,
+    usableBytes,
+    rowsPerPage,
+    // Bytes per page left empty by the fill factor and by rows not packing evenly
+    wastedBytesPerPage: Math.max(0, Math.round(page.size - page.header - usedBytes)),
+  };
+};
+
+// On-disk size of a number of rows, in whole pages
+export const diskBytesForRows = (layout, rows) => {
+  if (rows <= 0 || layout.rowsPerPage <= 0) return 0;
+  return Math.ceil(rows / layout.rowsPerPage) * layout.pageSize;
+};
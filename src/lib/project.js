@@ -0,0 +1,163 @@
+import { ENGINES, DEFAULT_ENGINE } from './engines.js';
+import { createSchedule } from './schedule.js';
+import { DEFAULT_COMPRESS_AFTER_DAYS } from './compression.js';
+
+export const newTableId = () => `tbl_${Math.random().toString(36).slice(2, 8)}`;
+
+// Column added by default: an average 50-character string, always present
+export const DEFAULT_COLUMN = { type: 'varchar', length: 50 };
+
+export const newColumnId = () => `col_${Math.random().toString(36).slice(2, 8)}`;
+
+// A data column with a runtime id that follows it through reordering (not
+// saved in scenarios, which refer to columns by position)
+export const createColumn = (overrides = {}) => ({ ...DEFAULT_COLUMN, ...overrides, id: overrides.id || newColumnId() });
+
+// A table whose columns all carry ids
+const withColumnIds = (table) => (table.columns.every(col => col.id)
+  ? table
+  : { ...table, columns: table.columns.map(col => (col.id ? col : createColumn(col))) });
+
+// A table with the calculator's default schedule and six VARCHAR(50) columns
+export const createTable = (overrides = {}) => withColumnIds({
+  id: newTableId(),
+  name: 'agent_events',
+  numAgents: 100,
+  repeatTime: '00:01:00',
+  // Rows written per report (a burst) and the random spread of the interval
+  // in percent; jitter leaves the average rate alone but raises the peak
+  rowsPerReport: 1,
+  jitterPercent: 0,
+  // When the table's own agents are active (see schedule.js)
+  schedule: createSchedule(),
+  // Further groups of agents with their own count, cadence, schedule and row shape
+  agentGroups: [],
+  fillFactor: ENGINES[DEFAULT_ENGINE].page.defaultFillFactor,
+  // Compression mode (see compression.js), per-type ratio overrides and,
+  // for modes that compress by policy, the age at which data is compressed
+  compression: 'none',
+  compressionRatios: {},
+  compressAfterDays: DEFAULT_COMPRESS_AFTER_DAYS,
+  columns: Array.from({ length: 6 }, () => createColumn()),
+  // Secondary indexes; the primary key index is always implied
+  indexes: [],
+  // Retention window in days (0 keeps data forever) and purge granularity
+  retentionDays: 0,
+  partitionBy: 'none',
+  // Move data older than archiveAfterDays to a compressed archive tier
+  archiveEnabled: false,
+  archiveAfterDays: 30,
+  archiveCompression: 4,
+  ...overrides,
+});
+
+export const newGroupId = () => `grp_${Math.random().toString(36).slice(2, 8)}`;
+
+// An extra group of agents, e.g. gateways reporting more often or a region
+// in another time zone. columnOverrides maps a column position to the
+// column fields that differ for this group's rows (e.g. a longer payload).
+export const createAgentGroup = (overrides = {}) => ({
+  id: newGroupId(),
+  name: 'Group',
+  numAgents: 10,
+  repeatTime: '00:01:00',
+  rowsPerReport: 1,
+  jitterPercent: 0,
+  schedule: createSchedule(),
+  columnOverrides: {},
+  ...overrides,
+});
+
+export const newCustomTypeId = () => `typ_${Math.random().toString(36).slice(2, 8)}`;
+
+// A user-defined column type (see customTypeDef in engines.js). Columns
+// using it carry a copy as `customType`, so estimates need no type library.
+export const createCustomType = (overrides = {}) => ({
+  id: newCustomTypeId(),
+  name: 'custom_type',
+  sizing: 'fixed',
+  size: 8,
+  bytesPerUnit: 1,
+  overhead: 0,
+  ...overrides,
+});
+
+// Tables with every copy of `customType` replaced, in columns and in
+// agent group column overrides
+export const applyCustomType = (tables, customType) => {
+  const update = (col) => (col.customType && col.customType.id === customType.id ? { ...col, customType } : col);
+  return tables.map(table => ({
+    ...table,
+    columns: table.columns.map(update),
+    agentGroups: table.agentGroups.map(group => ({
+      ...group,
+      columnOverrides: Object.fromEntries(Object.entries(group.columnOverrides || {})
+        .map(([position, fields]) => [position, update(fields)])),
+    })),
+  }));
+};
+
+// A table's columns as written by one agent group
+export const columnsForGroup = (columns, group) => {
+  const overrides = group.columnOverrides || {};
+  return columns.map((col, idx) => (overrides[idx] ? { ...col, ...overrides[idx] } : col));
+};
+
+// Fields of `column` that differ from `base`, as stored in columnOverrides
+export const overrideFields = (base, column) => Object.fromEntries(
+  Object.entries(column).filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(base[key])),
+);
+
+// The table with its columns replaced by `nextColumns`. Columns are matched by
+// id, so index references and agent group overrides follow columns that
+// moved and are dropped for columns that were removed; columns without an id
+// are new.
+export const withColumns = (table, nextColumns) => {
+  const columns = nextColumns.map(col => (col.id ? col : createColumn(col)));
+  const positions = new Map(columns.map((col, idx) => [col.id, idx]));
+  // Old position -> new position, for columns that are still there
+  const moved = new Map();
+  table.columns.forEach((col, idx) => {
+    if (positions.has(col.id)) moved.set(idx, positions.get(col.id));
+  });
+
+  const remapRefs = (refs) => refs.flatMap(ref => {
+    if (!ref.startsWith('col:')) return [ref];
+    const position = moved.get(Number(ref.slice(4)));
+    return position === undefined ? [] : [`col:${position}`];
+  });
+
+  return {
+    ...table,
+    columns,
+    indexes: table.indexes.map(index => ({
+      ...index,
+      columns: remapRefs(index.columns),
+      include: remapRefs(index.include || []),
+    })),
+    agentGroups: table.agentGroups.map(group => ({
+      ...group,
+      columnOverrides: Object.fromEntries(Object.entries(group.columnOverrides || {})
+        .filter(([position]) => moved.has(Number(position)))
+        .map(([position, fields]) => [moved.get(Number(position)), fields])),
+    })),
+  };
+};
+
+// `base`, or "<base>_<n>" with the first free n, so a copied column doesn't
+// collide with another (unnamed columns count as col_<position>)
+export const uniqueColumnName = (columns, base) => {
+  const names = new Set(columns.map((col, idx) => (col.name || `col_${idx + 1}`).toLowerCase()));
+  if (!names.has(base.toLowerCase())) return base;
+  let n = 2;
+  while (names.has(`${base}_${n}`.toLowerCase())) n++;
+  return `${base}_${n}`;
+};
+
+// Next free "<base>_<n>" name so new tables don't collide
+export const uniqueTableName = (tables, base = 'table') => {
+  const names = new Set(tables.map(table => table.name));
+  let n = tables.length + 1;
+  while (names.has(`${base}_${n}`)) n++;
+  return `${base}_${n}`;
+};
@@ -0,0 +1,135 @@
+// Agent fleet growth and storage projection over time.
+//
+// Growth is applied to every table's agent count: linear adds a fixed number
+// of agents per month, percent compounds monthly, and steps add agents on
+// onboarding dates. Growth rates are per 30-day month; the forecast periods
+// themselves are calendar months and years from the start date.
+
+const DAY_MS = 86400000;
+const DAYS_PER_MONTH = 30;
+// Upper bound on projected points so long horizons stay cheap to render
+const MAX_POINTS = 240;
+
+export const GROWTH_MODES = {
+  none: { label: 'No growth' },
+  linear: { label: 'Linear (agents / month)' },
+  percent: { label: 'Percent per month' },
+  steps: { label: 'Stepwise onboarding' },
+};
+
+export const DEFAULT_GROWTH = {
+  mode: 'none',
+  agentsPerMonth: 10,
+  percentPerMonth: 5,
+  steps: [],
+};
+
+export const todayIso = () => new Date().toISOString().slice(0, 10);
+
+const parseIsoDate = (iso) => {
+  const time = Date.parse(`${iso}T00:00:00Z`);
+  return isNaN(time) ? null : time;
+};
+
+// ISO date of the day `day` days after startDate
+export const dateForDay = (startDate, day) => {
+  const start = parseIsoDate(startDate) ?? parseIsoDate(todayIso());
+  return new Date(start + day * DAY_MS).toISOString().slice(0, 10);
+};
+
+// Calendar date `months` months after startDate, clamped to the end of the
+// month (Jan 31 + 1 month is Feb 28 or 29)
+export const addMonths = (startDate, months) => {
+  const start = new Date(parseIsoDate(startDate) ?? parseIsoDate(todayIso()));
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay))).toISOString().slice(0, 10);
+};
+
+// Calendar days from startDate to the same date `months` months later
+export const daysInMonths = (startDate, months) => {
+  const start = parseIsoDate(startDate) ?? parseIsoDate(todayIso());
+  return Math.round((parseIsoDate(addMonths(startDate, months)) - start) / DAY_MS);
+};
+
+// Agent count as a function of the day since startDate. Onboarding steps dated
+// before startDate are assumed to be part of the current count already.
+export const agentCurve = (baseAgents, growth = DEFAULT_GROWTH, startDate = todayIso()) => {
+  const base = Math.max(0, baseAgents || 0);
+
+  switch (growth.mode) {
+    case 'linear':
+      return (day) => Math.max(0, base + (growth.agentsPerMonth || 0) * day / DAYS_PER_MONTH);
+    case 'percent':
+      return (day) => base * Math.pow(1 + (growth.percentPerMonth || 0) / 100, day / DAYS_PER_MONTH);
+    case 'steps': {
+      const start = parseIsoDate(startDate) ?? parseIsoDate(todayIso());
+      // Steps without a date (e.g. from a damaged saved scenario) are skipped
+      const steps = (Array.isArray(growth.steps) ? growth.steps : [])
+        .filter(step => step && typeof step.date === 'string')
+        .map(step => ({ day: (parseIsoDate(step.date) - start) / DAY_MS, agents: Number(step.agents) || 0 }))
+        .filter(step => !isNaN(step.day) && step.day >= 0);
+      return (day) => base + steps.reduce((sum, step) => (step.day <= day ? sum + step.agents : sum), 0);
+    }
+    default:
+      return () => base;
+  }
+};
+
+// Rows written before day t, for a daily row rate that may change over time.
+// Prefix sums are extended lazily as later days are requested.
+export const cumulativeRows = (rowsOnDay) => {
+  const prefix = [0];
+  return (t) => {
+    const day = Math.max(0, Math.floor(t));
+    while (prefix.length <= day) {
+      const d = prefix.length - 1;
+      prefix.push(prefix[d] + rowsOnDay(d));
+    }
+    return prefix[day];
+  };
+};
+
+// Project total storage over `horizonDays`. `models` are per-table
+// { id, name, storageAt } entries; returns sampled points plus the first day
+// each capacity threshold is crossed.
+export const projectStorage = (models, { horizonDays, startDate, thresholds = [] }) => {
+  const totalAt = (day) => models.reduce((sum, model) => sum + model.storageAt(day), 0);
+  const step = Math.max(1, Math.ceil(horizonDays / MAX_POINTS));
+
+  const points = [];
+  for (let day = 0; day <= horizonDays; day += step) {
+    points.push({
+      day,
+      date: dateForDay(startDate, day),
+      tables: models.map(model => model.storageAt(day)),
+      totalBytes: totalAt(day),
+    });
+  }
+  if (points[points.length - 1].day !== horizonDays) {
+    points.push({
+      day: horizonDays,
+      date: dateForDay(startDate, horizonDays),
+      tables: models.map(model => model.storageAt(horizonDays)),
+      totalBytes: totalAt(horizonDays),
+    });
+  }
+
+  const crossings = thresholds.map(threshold => {
+    const idx = points.findIndex(point => point.totalBytes >= threshold.bytes);
+    if (idx === -1) return { id: threshold.id, day: null, date: null };
+
+    // Refine to the exact day between the previous sample and this one
+    let day = points[idx].day;
+    for (let d = idx > 0 ? points[idx - 1].day + 1 : 0; d < points[idx].day; d++) {
+      if (totalAt(d) >= threshold.bytes) {
+        day = d;
+        break;
+      }
+    }
+    return { id: threshold.id, day, date: dateForDay(startDate, day) };
+  });
+
+  return { points, crossings };
+};
@@ -0,0 +1,276 @@
+// Renderings of a project estimate: a fixed-width table for terminals, CSV
+// for spreadsheets (one line per table, or per table and period), Markdown
+// for pull requests and a re-importable JSON export.
+//
+// Functions taking an `estimate` expect estimateScenario()'s shape:
+// { scenario, tables, totals, cluster, projection, cost }; cluster and cost
+// are optional.
+
+import { ENGINES } from './engines.js';
+import { formatBytes, formatCurrency, formatSignedPercent } from './format.js';
+import { serializeScenario } from './scenario.js';
+import { describeColumn, describeTableSettings } from './compare.js';
+import { INDEX_KINDS } from './indexModel.js';
+import { FOOTPRINT_PARTS } from './cluster.js';
+import { MEASURED_PARTS } from './measure.js';
+
+// Reported fields, in order. Byte fields are humanised in the text table and
+// left as raw numbers in CSV.
+export const REPORT_FIELDS = [
+  { key: 'name', label: 'Table' },
+  { key: 'rowSize', label: 'Row avg (B)' },
+  { key: 'rowSizeP95', label: 'Row p95 (B)' },
+  { key: 'rowSizeWorst', label: 'Row worst (B)' },
+  { key: 'rowsPerDay', label: 'Rows / day' },
+  { key: 'dailySpace', label: 'Daily', bytes: true },
+  { key: 'monthlySpace', label: 'Monthly', bytes: true },
+  { key: 'yearlySpace', label: 'Yearly', bytes: true },
+  { key: 'error', label: 'Error' },
+];
+
+// One record per table and a final TOTAL record. Row sizes don't add up
+// across tables, so the total leaves them empty.
+export const reportRows = (project) => [
+  ...project.tables.map(({ name, error, results }) => ({ ...results, name, error })),
+  {
+    ...project.totals,
+    name: 'TOTAL',
+    rowSize: '',
+    rowSizeP95: '',
+    rowSizeWorst: '',
+    error: '',
+  },
+];
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (project) => [
+  REPORT_FIELDS.map(field => field.key),
+  ...reportRows(project).map(row => REPORT_FIELDS.map(field => row[field.key])),
+].map(cells => cells.map(csvCell).join(',')).join('\n');
+
+const displayValue = (field, value) => {
+  if (value === '' || value === undefined || value === null) return '';
+  if (field.bytes) return formatBytes(value);
+  return typeof value === 'number' ? value.toLocaleString('en-US') : String(value);
+};
+
+// Fixed-width table; the error column is only shown when a table has one
+export const toTextTable = (project) => {
+  const rows = reportRows(project);
+  const fields = REPORT_FIELDS.filter(field => field.key !== 'error' || rows.some(row => row.error));
+  const cells = [
+    fields.map(field => field.label),
+    ...rows.map(row => fields.map(field => displayValue(field, row[field.key]))),
+  ];
+  const widths = fields.map((_, i) => Math.max(...cells.map(line => line[i].length)));
+  // Text columns are left-aligned, numbers right-aligned
+  const pad = (text, i) => (i === 0 || fields[i].key === 'error' ? text.padEnd(widths[i]) : text.padStart(widths[i]));
+
+  const lines = cells.map(line => line.map(pad).join('  ').trimEnd());
+  lines.splice(1, 0, widths.map(width => '-'.repeat(width)).join('  '));
+  lines.splice(lines.length - 1, 0, widths.map(width => '-'.repeat(width)).join('  '));
+  return lines.join('\n');
+};
+
+// Reported periods; monthly and yearly cover results.periodDays days
+export const REPORT_PERIODS = [
+  { key: 'daily', label: 'Daily' },
+  { key: 'monthly', label: 'Monthly' },
+  { key: 'yearly', label: 'Yearly' },
+];
+
+const periodDays = (results, period) => (period === 'daily' ? 1 : results.periodDays[period]);
+
+// One record per table and period, then the TOTAL for each period. Index
+// bytes are what the total holds beyond table pages and the archive tier.
+export const periodRows = (project) => {
+  const entries = [
+    ...project.tables.map(({ name, results }) => ({ name, results })),
+    // Every table counts periods from the same start date
+    { name: 'TOTAL', results: { ...project.totals, periodDays: project.tables[0]?.results.periodDays } },
+  ];
+  return entries.flatMap(({ name, results }) => REPORT_PERIODS.map(({ key }) => {
+    const total = results[`${key}Space`];
+    const table = results[`${key}TableSpace`];
+    const archive = results[`${key}ArchiveSpace`];
+    return {
+      table: name,
+      period: key,
+      days: results.periodDays ? periodDays(results, key) : '',
+      tableBytes: table,
+      indexBytes: total - table - archive,
+      archiveBytes: archive,
+      totalBytes: total,
+      uncompressedBytes: results[`${key}UncompressedSpace`],
+      rawBytes: results[`${key}RawSpace`],
+    };
+  }));
+};
+
+const PERIOD_COLUMNS = [
+  ['table', 'table'], ['period', 'period'], ['days', 'days'],
+  ['tableBytes', 'table_bytes'], ['indexBytes', 'index_bytes'], ['archiveBytes', 'archive_bytes'],
+  ['totalBytes', 'total_bytes'], ['uncompressedBytes', 'uncompressed_bytes'], ['rawBytes', 'raw_bytes'],
+];
+
+export const toPeriodCsv = (project) => [
+  PERIOD_COLUMNS.map(([, header]) => header),
+  ...periodRows(project).map(row => PERIOD_COLUMNS.map(([key]) => row[key])),
+].map(cells => cells.map(csvCell).join(',')).join('\n');
+
+// The scenario as saved and shared, plus the results it produced. Restoring
+// it ignores `exportedAt` and `results`, so the file imports like any scenario.
+export const toJsonExport = (estimate, exportedAt = new Date().toISOString()) => ({
+  ...serializeScenario(estimate.scenario),
+  exportedAt,
+  results: {
+    tables: estimate.tables,
+    totals: estimate.totals,
+    projection: estimate.projection,
+    ...(estimate.cluster && { cluster: estimate.cluster }),
+    ...(estimate.cost && { cost: estimate.cost }),
+  },
+});
+
+const PERIOD_AGES = { daily: 'After a day', monthly: 'After a month', yearly: 'After a year' };
+
+// One line per period: the cluster total and its FOOTPRINT_PARTS
+export const clusterLines = (cluster, engine) => ['daily', 'monthly', 'yearly'].map(period => {
+  const parts = FOOTPRINT_PARTS
+    .map(part => `${formatBytes(cluster[period][part.key])} ${part.key === 'wal' ? engine.wal.label : part.label.toLowerCase()}`)
+    .join(' + ');
+  return `${PERIOD_AGES[period]}: ${formatBytes(cluster[period].total)} = ${parts}`;
+});
+
+// Replica, log and backup settings in one sentence
+export const describeCluster = ({ settings }) => {
+  const backups = settings.backupsRetained > 0
+    ? `${settings.backupsRetained} full backups every ${settings.fullBackupIntervalDays} days${settings.incrementalBackups ? ' with daily incrementals' : ''}`
+    : 'no backups';
+  return `${settings.replicas} ${settings.replicas === 1 ? 'replica' : 'replicas'}, ${settings.logRetentionDays} days of log retention, ${backups}.`;
+};
+
+// One line per cost figure: the monthly bill after each period and, with a
+// projection, the first and last monthly bill and the total over the horizon
+export const costLines = (cost) => {
+  const money = (amount) => formatCurrency(amount, cost.currency);
+  const lines = cost.periods.map(({ period, bytes, total }) => (
+    `${PERIOD_AGES[period]} (${formatBytes(bytes)}): ${money(total)} / month`
+  ));
+  if (cost.months.length > 0) {
+    const first = cost.months[0];
+    const last = cost.months[cost.months.length - 1];
+    lines.push(
+      `Month 1 (${first.date}): ${money(first.total)}`,
+      `Month ${last.month} (${last.date}): ${money(last.total)}`,
+      `Total over ${last.month} months: ${money(cost.cumulative)}`,
+    );
+  }
+  return lines;
+};
+
+// One line per measured table and part: estimate, measurement and error
+export const measurementLines = (comparison) => comparison.flatMap(({ name, rows, measured, estimated, errors }) => {
+  const heading = `${name} (${rows.toLocaleString('en-US')} rows)`;
+  if (!estimated) return [`${heading}: not in this scenario, measured ${formatBytes(measured.totalBytes)}`];
+  return [
+    `${heading}:`,
+    ...MEASURED_PARTS.map(({ key, label }) => (
+      `  ${label}: estimated ${formatBytes(estimated[key])}, measured ${formatBytes(measured[key])} (${formatSignedPercent(errors[key])})`
+    )),
+  ];
+});
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Where the bytes of a table's average row go and the activity behind its
+// row count, as { label, value } lines
+export const rowAssumptions = (results) => {
+  const { breakdown } = results;
+  if (!breakdown) return [];
+  const base = round1(breakdown.header + breakdown.systemColumns);
+  return [
+    { label: 'Base row overhead', value: `${base} B (${round1(breakdown.header)} B header + ${round1(breakdown.systemColumns)} B system columns)` },
+    { label: 'Null bitmap', value: `${round1(breakdown.nullBitmap)} B` },
+    { label: 'Length prefixes', value: `${round1(breakdown.lengthPrefixes)} B` },
+    { label: 'Alignment padding', value: `${round1(breakdown.padding)} B` },
+    { label: 'Column data', value: `${round1(breakdown.dataColumns)} B` },
+    { label: 'Average row', value: `${results.rowSize} B (p95 ${results.rowSizeP95} B, worst ${results.rowSizeWorst} B)` },
+    { label: 'Rows per page', value: `${round1(results.pageLayout.rowsPerPage)} of ${results.pageLayout.pageSize} B pages` },
+    { label: 'Log per row', value: `${round1(results.walBytesPerRow)} B (${formatBytes(results.walBytesPerDay)} / day)` },
+    { label: 'Active hours per day', value: `${round1(results.activeHoursPerDay)} h (average over the coming year)` },
+  ];
+};
+
+// Indexes of a table with their yearly size, primary key first
+export const describeIndexes = (results) => (results.indexSizes ? results.indexSizes.yearly : [])
+  .map(index => `${index.name || 'index'} (${INDEX_KINDS[index.kind].label}${index.primary ? ', primary key' : ''}, ${formatBytes(index.totalBytes)} after a year)`);
+
+// Markdown table cells can't hold pipes or line breaks
+const mdCell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+// Columns after the first are right-aligned when `numeric` is set
+const mdTable = (headers, rows, numeric = false) => [
+  `| ${headers.map(mdCell).join(' | ')} |`,
+  `| ${headers.map((_, i) => (numeric && i > 0 ? '---:' : '---')).join(' | ')} |`,
+  ...rows.map(cells => `| ${cells.map(mdCell).join(' | ')} |`),
+].join('\n');
+
+// Full report for pasting into a pull request: results, each table's
+// configuration and the assumptions behind the numbers
+export const toMarkdown = (estimate, exportedAt = new Date().toISOString()) => {
+  const { scenario } = estimate;
+  const engine = ENGINES[scenario.engine];
+  const fields = REPORT_FIELDS.filter(field => field.key !== 'error');
+  const lines = [
+    '# Storage estimate',
+    '',
+    `Engine: ${engine.label} · start date ${scenario.startDate} · exported ${exportedAt.slice(0, 10)}`,
+    '',
+    '## Results',
+    '',
+    mdTable(fields.map(field => field.label), reportRows(estimate).map(row => fields.map(field => displayValue(field, row[field.key]))), true),
+  ];
+
+  const { projection } = estimate;
+  if (projection) {
+    const horizon = projection.points[projection.points.length - 1];
+    lines.push('', `Projected ${formatBytes(horizon.totalBytes)} by ${horizon.date}.`);
+    projection.crossings.forEach(crossing => {
+      const threshold = scenario.thresholds.find(t => t.id === crossing.id);
+      const label = threshold ? `${threshold.label} (${threshold.gb} GB)` : crossing.id;
+      lines.push(`- ${label}: ${crossing.day === null ? 'not reached' : `reached on ${crossing.date}`}`);
+    });
+  }
+
+  estimate.tables.forEach(({ id, error, results }) => {
+    const table = scenario.tables.find(other => other.id === id);
+    if (!table) return;
+    lines.push('', `## ${table.name}`, '');
+    if (error) lines.push(`> Input error: ${error}`, '');
+    describeTableSettings(table).forEach(({ label, value }) => lines.push(`- ${label}: ${value}`));
+    lines.push('', mdTable(['Column', 'Definition'], table.columns.map((col, i) => [col.name || `col_${i + 1}`, describeColumn(col)])));
+    const indexes = describeIndexes(results);
+    if (indexes.length > 0) lines.push('', 'Indexes:', ...indexes.map(index => `- ${index}`));
+    const assumptions = rowAssumptions(results);
+    if (assumptions.length > 0) lines.push('', 'Row layout:', ...assumptions.map(({ label, value }) => `- ${label}: ${value}`));
+  });
+
+  if (estimate.cluster) {
+    lines.push(
+      '', '## Cluster storage', '', describeCluster(estimate.cluster),
+      '', ...clusterLines(estimate.cluster, engine).map(line => `- ${line}`),
+    );
+  }
+
+  if (estimate.cost) {
+    lines.push('', `## Cost on ${estimate.cost.profile.label}`, '', ...costLines(estimate.cost).map(line => `- ${line}`));
+  }
+
+  lines.push('', `## ${engine.label} assumptions`, '', ...engine.assumptions.map(line => `- ${line}`));
+  return `${lines.join('\n')}\n`;
+};
@@ -0,0 +1,60 @@
+// Retention and archive tiering.
+//
+// Data is purged (or moved to the archive tier) one partition at a time, so
+// the amount kept oscillates: it reaches retention + partition length just
+// before a partition is dropped and falls back to the retention window right
+// after. Unpartitioned tables are purged by a daily delete job, which behaves
+// like one-day partitions.
+
+export const PARTITION_GRANULARITIES = {
+  none: { label: 'None (daily DELETE)', days: 1 },
+  day: { label: 'Daily partitions', days: 1 },
+  week: { label: 'Weekly partitions', days: 7 },
+  month: { label: 'Monthly partitions', days: 30 },
+};
+
+export const partitionDays = (partitionBy) => (PARTITION_GRANULARITIES[partitionBy] || PARTITION_GRANULARITIES.none).days;
+
+// Days of data still present at day t when data older than `windowDays` is
+// removed partition by partition. A window of 0 means nothing is removed.
+export const keptDaysAt = (t, windowDays, partitionLength) => {
+  if (!windowDays || windowDays <= 0 || t < windowDays + partitionLength) return t;
+  return windowDays + ((t - windowDays) % partitionLength);
+};
+
+// Hot and archived days of data present at day t
+export const tierDaysAt = (t, table) => {
+  const length = partitionDays(table.partitionBy);
+  const retained = keptDaysAt(t, table.retentionDays, length);
+
+  if (!table.archiveEnabled) return { hotDays: retained, archiveDays: 0 };
+
+  const hotDays = Math.min(retained, keptDaysAt(t, table.archiveAfterDays, length));
+  return { hotDays, archiveDays: retained - hotDays };
+};
+
+// Steady-state behaviour of a table with a retention window. `storageAt(t)`
+// returns total bytes present at day t. Returns null when data is kept
+// forever, because storage then never stops growing.
+export const summarizeRetention = (table, storageAt) => {
+  if (!table.retentionDays || table.retentionDays <= 0) return null;
+
+  const length = partitionDays(table.partitionBy);
+  const archiveAfter = table.archiveEnabled ? table.archiveAfterDays : 0;
+  // Both purges and archive moves repeat every partition length once the
+  // first partition has been dropped
+  const start = Math.max(table.retentionDays, archiveAfter) + length;
+
+  const samples = [];
+  for (let t = start; t < start + length; t++) samples.push(storageAt(t));
+  const peak = Math.max(...samples);
+  const trough = Math.min(...samples);
+
+  return {
+    steadyStateBytes: samples.reduce((sum, bytes) => sum + bytes, 0) / samples.length,
+    steadyStateDays: table.retentionDays + length,
+    peakBytes: peak,
+    troughBytes: trough,
+    partitionDays: length,
+  };
+};
@@ -0,0 +1,164 @@
+import { ENGINES, DEFAULT_ENGINE, SYSTEM_COLUMNS, resolveType, lengthBytes } from './engines.js';
+import { nullShare, lengthAt, maxLength, isVaried } from './columnStats.js';
+
+// Rows sampled when columns have NULLs or length distributions
+const SAMPLE_ROWS = 2000;
+
+export const getEngine = (engineKey) => ENGINES[engineKey] || ENGINES[DEFAULT_ENGINE];
+
+// Resolves system + configured columns against an engine's type catalog.
+// `values` optionally gives each configured column's { isNull, length } in one
+// particular row; by default every value is present at its average length.
+// Variable-length values get their length in bytes.
+const resolveFields = (engine, columns, values = []) => [
+  ...SYSTEM_COLUMNS.map(col => ({ ...col, system: true, nullable: false, isNull: false, def: resolveType(engine, col) })),
+  ...columns.map((col, idx) => {
+    const def = resolveType(engine, col);
+    const units = Math.max(0, parseInt(values[idx] ? values[idx].length : col.length) || 0);
+    return {
+      name: col.name || `col_${idx + 1}`,
+      type: col.type,
+      length: def.isVariable ? lengthBytes(def, units) : units,
+      system: false,
+      nullable: nullShare(col) > 0,
+      isNull: Boolean(values[idx] && values[idx].isNull),
+      def,
+    };
+  }),
+];
+
+// Size of one row under the given engine, with a breakdown of where the bytes go.
+// dataBytes covers only the configured columns' values; everything else
+// (headers, system columns, prefixes, padding) is reported as overheadBytes.
+export const computeRowSize = (engineKey, columns, values) => {
+  const engine = getEngine(engineKey);
+  const fields = resolveFields(engine, columns, values);
+  const layout = engine.rowLayout(fields);
+
+  let systemBytes = 0;
+  let dataBytes = 0;
+  layout.data.forEach((bytes, idx) => {
+    if (fields[idx].system) systemBytes += bytes;
+    else dataBytes += bytes;
+  });
+
+  const rowBytes = layout.header + layout.nullBitmap + layout.lengthPrefixes + layout.padding
+    + systemBytes + dataBytes;
+
+  return {
+    rowBytes,
+    dataBytes,
+    overheadBytes: rowBytes - dataBytes,
+    breakdown: {
+      header: layout.header,
+      nullBitmap: layout.nullBitmap,
+      lengthPrefixes: layout.lengthPrefixes,
+      padding: layout.padding,
+      systemColumns: systemBytes,
+      dataColumns: dataBytes,
+    },
+  };
+};
+
+// Small seeded PRNG (mulberry32) so sampled sizes are stable between renders
+const seededRandom = (seed) => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+const BREAKDOWN_KEYS = ['header', 'nullBitmap', 'lengthPrefixes', 'padding', 'systemColumns', 'dataColumns'];
+
+// Average row plus sorted sampled row sizes and the worst case
+const sampleRowSizes = (engineKey, columns) => {
+  if (!columns.some(isVaried)) {
+    const row = computeRowSize(engineKey, columns);
+    return { ...row, sizes: [row.rowBytes], worstBytes: row.rowBytes, sampled: false };
+  }
+
+  // Every value present at its maximum length
+  const worstRow = computeRowSize(engineKey, columns, columns.map(col => ({ isNull: false, length: maxLength(col) })));
+
+  const random = seededRandom(columns.length + 1);
+  const sizes = [];
+  let dataBytes = 0;
+  const breakdown = Object.fromEntries(BREAKDOWN_KEYS.map(key => [key, 0]));
+
+  for (let i = 0; i < SAMPLE_ROWS; i++) {
+    const values = columns.map(col => (
+      random() < nullShare(col)
+        ? { isNull: true, length: 0 }
+        : { isNull: false, length: Math.round(lengthAt(col, random())) }
+    ));
+    const row = computeRowSize(engineKey, columns, values);
+    sizes.push(row.rowBytes);
+    dataBytes += row.dataBytes;
+    BREAKDOWN_KEYS.forEach(key => { breakdown[key] += row.breakdown[key]; });
+  }
+
+  sizes.sort((a, b) => a - b);
+  const rowBytes = round1(sizes.reduce((sum, bytes) => sum + bytes, 0) / SAMPLE_ROWS);
+  const averageData = round1(dataBytes / SAMPLE_ROWS);
+
+  return {
+    rowBytes,
+    dataBytes: averageData,
+    overheadBytes: round1(rowBytes - averageData),
+    breakdown: Object.fromEntries(Object.entries(breakdown).map(([key, total]) => [key, round1(total / SAMPLE_ROWS)])),
+    sizes,
+    worstBytes: Math.max(sizes[SAMPLE_ROWS - 1], worstRow.rowBytes),
+    sampled: true,
+  };
+};
+
+// Average, 95th percentile and worst-case row size. When a column can be NULL
+// or has a length distribution, rows are sampled from those distributions;
+// the average row (bytes and breakdown) is what the page model stores.
+export const computeRowSizeStats = (engineKey, columns) => {
+  const { sizes, ...stats } = sampleRowSizes(engineKey, columns);
+  return { ...stats, p95Bytes: sizes[Math.ceil(sizes.length * 0.95) - 1] };
+};
+
+// Row size stats for rows that come in several shapes, e.g. agent groups
+// with column overrides. `shapes` are [{ columns, weight }] with weight the
+// relative number of rows of that shape; the result also lists each
+// shape's average row size as shapeBytes.
+export const computeMixedRowSizeStats = (engineKey, shapes) => {
+  const samples = shapes.map(shape => sampleRowSizes(engineKey, shape.columns));
+  const shapeBytes = samples.map(sample => sample.rowBytes);
+  const totalWeight = shapes.reduce((sum, shape) => sum + Math.max(0, shape.weight), 0);
+  const used = samples
+    .map((sample, idx) => ({ ...sample, share: totalWeight > 0 ? Math.max(0, shapes[idx].weight) / totalWeight : Number(idx === 0) }))
+    .filter(sample => sample.share > 0);
+
+  if (used.length === 1) {
+    const { sizes, share, ...stats } = used[0];
+    return { ...stats, p95Bytes: sizes[Math.ceil(sizes.length * 0.95) - 1], shapeBytes };
+  }
+
+  const mean = (pick) => round1(used.reduce((sum, sample) => sum + pick(sample) * sample.share, 0));
+  const rowBytes = mean(sample => sample.rowBytes);
+  const dataBytes = mean(sample => sample.dataBytes);
+
+  // 95th percentile of the mixture: every sampled size carries its shape's
+  // share split evenly over that shape's samples
+  const weighted = used
+    .flatMap(sample => sample.sizes.map(bytes => [bytes, sample.share / sample.sizes.length]))
+    .sort((a, b) => a[0] - b[0]);
+  let cumulative = 0;
+  const p95 = weighted.find(([, weight]) => (cumulative += weight) >= 0.95 - 1e-9);
+
+  return {
+    rowBytes,
+    dataBytes,
+    overheadBytes: round1(rowBytes - dataBytes),
+    breakdown: Object.fromEntries(BREAKDOWN_KEYS.map(key => [key, mean(sample => sample.breakdown[key])])),
+    p95Bytes: (p95 || weighted[weighted.length - 1])[0],
+    worstBytes: Math.max(...used.map(sample => sample.worstBytes)),
+    sampled: used.some(sample => sample.sampled),
+    shapeBytes,
+  };
+};
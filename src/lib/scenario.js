@@ -0,0 +1,278 @@
+// Scenarios: the full calculator configuration as one serialisable object,
+// shared through the URL and saved by name in localStorage.
+//
+// Schema (version 3):
+//   { v: 3, engine, active, tables: [table], growth, startDate, horizonMonths, thresholds, customTypes,
+//     cluster, cost }
+// where `active` is the index of the selected table and each table is a
+// createTable() object without its id (agent groups lose their ids too).
+// customTypes, the user-defined type library, is left out when empty;
+// columns keep their own copy of a custom type. cluster and cost keep only
+// the settings that differ from DEFAULT_CLUSTER (cluster.js) and DEFAULT_COST
+// (cost.js) and are left out when none do.
+// To keep links short, fields equal to their default are left out (table
+// fields against createTable(), column fields against DEFAULT_COLUMN). Changing one of those defaults, or the
+// meaning of a field, needs a version bump and a migration below so older
+// links keep restoring the same scenario.
+
+import { ENGINES, DEFAULT_ENGINE } from './engines.js';
+import { DEFAULT_COLUMN, createAgentGroup, createColumn, createCustomType, createTable, withColumns } from './project.js';
+import { MAX_COLUMNS } from './validation.js';
+import { INDEX_KINDS } from './indexModel.js';
+import { COMPRESSION_MODES } from './compression.js';
+import { DEFAULT_GROWTH, daysInMonths, todayIso } from './projection.js';
+import { DEFAULT_COST, normalizeCost } from './cost.js';
+import { DEFAULT_CLUSTER, normalizeCluster } from './cluster.js';
+import { createSchedule, dailyWindowSchedule, normalizeSchedule } from './schedule.js';
+
+export const SCENARIO_VERSION = 3;
+
+const URL_PARAM = 's';
+const STORAGE_KEY = 'sql-storage-estimator.scenarios';
+
+const GB = 1024 * 1024 * 1024;
+
+export const DEFAULT_HORIZON_MONTHS = 36;
+export const DEFAULT_THRESHOLDS = [{ id: 'cap_1', label: '1 TB volume', gb: 1024 }];
+
+// Upgrades from older schema versions, keyed by the version they upgrade
+// from; each returns the scenario in the next version's shape
+const MIGRATIONS = {
+  // v1 had one optional work window applied every day; v2 has a schedule
+  1: (data) => ({
+    ...data,
+    tables: Array.isArray(data.tables)
+      ? data.tables.map((saved) => {
+        if (!saved || typeof saved !== 'object') return saved;
+        const { useWorkHours, workStartTime = '09:00', workEndTime = '17:00', ...table } = saved;
+        return useWorkHours ? { ...table, schedule: dailyWindowSchedule(workStartTime, workEndTime) } : table;
+      })
+      : data.tables,
+  }),
+  // v2 agent groups reported at their table's interval; v3 groups have their own
+  2: (data) => ({
+    ...data,
+    tables: Array.isArray(data.tables)
+      ? data.tables.map(table => (table && Array.isArray(table.agentGroups)
+        ? {
+          ...table,
+          agentGroups: table.agentGroups.map(group => ({ repeatTime: table.repeatTime || '00:01:00', ...group })),
+        }
+        : table))
+      : data.tables,
+  }),
+};
+
+// Parts of the calculator state a scenario saves, as returned by
+// restoreScenario(); the calculator re-syncs its share link when any changes
+export const SCENARIO_FIELDS = [
+  'engine', 'tables', 'activeTableId', 'growth', 'startDate', 'horizonMonths', 'thresholds', 'customTypes', 'cluster', 'cost',
+];
+
+export const defaultScenario = () => {
+  const table = createTable();
+  return {
+    engine: DEFAULT_ENGINE,
+    tables: [table],
+    activeTableId: table.id,
+    growth: DEFAULT_GROWTH,
+    startDate: todayIso(),
+    horizonMonths: DEFAULT_HORIZON_MONTHS,
+    thresholds: DEFAULT_THRESHOLDS,
+    customTypes: [],
+    cluster: DEFAULT_CLUSTER,
+    cost: DEFAULT_COST,
+  };
+};
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Keep only the fields of `value` that differ from `defaults`
+const withoutDefaults = (value, defaults) => Object.fromEntries(
+  Object.entries(value).filter(([key, field]) => !isEqual(field, defaults[key]))
+);
+
+// Schedule fields and weekdays that differ from createSchedule()
+const compactSchedule = (schedule) => {
+  const defaults = createSchedule();
+  const compact = withoutDefaults(schedule, defaults);
+  if (compact.days) compact.days = withoutDefaults(schedule.days, defaults.days);
+  return compact;
+};
+
+// Column ids only live in the calculator; saved columns are known by position
+const withoutColumnIds = (table) => ({ ...table, columns: table.columns.map(({ id, ...col }) => col) });
+
+// Plain versioned object for a calculator state
+export const serializeScenario = ({
+  engine, tables, activeTableId, growth, startDate, horizonMonths, thresholds, customTypes = [],
+  cluster = DEFAULT_CLUSTER, cost = DEFAULT_COST,
+}) => {
+  const clusterChanges = withoutDefaults(cluster, DEFAULT_CLUSTER);
+  const costChanges = withoutDefaults(cost, DEFAULT_COST);
+  const tableDefaults = withoutColumnIds(createTable({ fillFactor: ENGINES[engine].page.defaultFillFactor }));
+  return {
+    v: SCENARIO_VERSION,
+    engine,
+    active: Math.max(0, tables.findIndex(table => table.id === activeTableId)),
+    tables: tables.map(({ id, ...tableWithIds }) => {
+      const table = withoutColumnIds(tableWithIds);
+      const compact = withoutDefaults(table, tableDefaults);
+      if (compact.columns) compact.columns = table.columns.map(col => withoutDefaults(col, DEFAULT_COLUMN));
+      if (compact.schedule) compact.schedule = compactSchedule(table.schedule);
+      if (compact.agentGroups) {
+        const groupDefaults = createAgentGroup();
+        compact.agentGroups = table.agentGroups.map(({ id: groupId, ...group }) => {
+          const compactGroup = withoutDefaults(group, groupDefaults);
+          if (compactGroup.schedule) compactGroup.schedule = compactSchedule(group.schedule);
+          return compactGroup;
+        });
+      }
+      return compact;
+    }),
+    growth: withoutDefaults(growth, DEFAULT_GROWTH),
+    startDate,
+    horizonMonths,
+    thresholds,
+    ...(customTypes.length > 0 && { customTypes }),
+    ...(Object.keys(clusterChanges).length > 0 && { cluster: clusterChanges }),
+    ...(Object.keys(costChanges).length > 0 && { cost: costChanges }),
+  };
+};
+
+// Entries of a saved list that have the expected shape; a list field holding
+// anything but an array (a hand-edited file, a damaged link) counts as empty
+const objectsIn = (value) => (Array.isArray(value) ? value.filter(item => item && typeof item === 'object') : []);
+const stringsIn = (value) => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+
+// Columns past MAX_COLUMNS are dropped, with the index references and group
+// overrides that point at them
+const withColumnLimit = (table) => (table.columns.length > MAX_COLUMNS
+  ? withColumns(table, table.columns.slice(0, MAX_COLUMNS))
+  : table);
+
+// Calculator state from a serialised scenario of any known version. Missing
+// fields fall back to their defaults. Throws on versions newer than this build.
+export const restoreScenario = (raw) => {
+  if (!raw || typeof raw !== 'object') throw new Error('Scenario is not an object.');
+
+  let data = raw;
+  let version = Number.isInteger(data.v) ? data.v : 1;
+  if (version > SCENARIO_VERSION) {
+    throw new Error(`Scenario was saved by a newer version (schema v${version}).`);
+  }
+  while (version < SCENARIO_VERSION) {
+    if (!MIGRATIONS[version]) throw new Error(`No migration from schema v${version}.`);
+    data = MIGRATIONS[version](data);
+    version++;
+  }
+
+  const engine = ENGINES[data.engine] ? data.engine : DEFAULT_ENGINE;
+  const fillFactor = ENGINES[engine].page.defaultFillFactor;
+  const savedTables = objectsIn(data.tables);
+  const tables = (savedTables.length > 0 ? savedTables : [{}]).map(({
+    id, columns, indexes, agentGroups, ...table
+  }) => withColumnLimit(createTable({
+    fillFactor,
+    ...table,
+    ...(Array.isArray(columns) && { columns: objectsIn(columns).map(({ id: columnId, ...col }) => createColumn(col)) }),
+    // Modes this engine lacks (or this build doesn't know) store uncompressed
+    compression: COMPRESSION_MODES[table.compression]?.engines.includes(engine) ? table.compression : 'none',
+    indexes: objectsIn(indexes).map(index => ({
+      ...index,
+      kind: INDEX_KINDS[index.kind] ? index.kind : 'btree',
+      columns: stringsIn(index.columns),
+      include: stringsIn(index.include),
+    })),
+    schedule: normalizeSchedule(table.schedule),
+    agentGroups: objectsIn(agentGroups).map(({ id: groupId, ...group }) => createAgentGroup({
+      ...group,
+      schedule: normalizeSchedule(group.schedule),
+      columnOverrides: group.columnOverrides && typeof group.columnOverrides === 'object' ? group.columnOverrides : {},
+    })),
+  })));
+  const active = tables[data.active] || tables[0];
+
+  return {
+    engine,
+    tables,
+    activeTableId: active.id,
+    growth: { ...DEFAULT_GROWTH, ...data.growth },
+    startDate: data.startDate || todayIso(),
+    horizonMonths: data.horizonMonths || DEFAULT_HORIZON_MONTHS,
+    thresholds: Array.isArray(data.thresholds)
+      ? objectsIn(data.thresholds).filter(threshold => typeof threshold.gb === 'number')
+      : DEFAULT_THRESHOLDS,
+    customTypes: objectsIn(data.customTypes).map(type => createCustomType(type)),
+    cluster: normalizeCluster(data.cluster),
+    cost: normalizeCost(data.cost),
+  };
+};
+
+// estimateProject options for a scenario: horizon in calendar days and
+// capacity thresholds in bytes (thresholds without a size are ignored)
+export const scenarioOptions = ({ growth, startDate, horizonMonths, thresholds, cluster }) => ({
+  growth,
+  startDate,
+  cluster,
+  horizonDays: daysInMonths(startDate, horizonMonths),
+  thresholds: thresholds
+    .filter(threshold => threshold.gb > 0)
+    .map(threshold => ({ id: threshold.id, label: threshold.label, bytes: threshold.gb * GB })),
+});
+
+// --- URL sharing ---
+
+// JSON as base64url, which survives URLs and chat clients unescaped
+const encodePayload = (data) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(data));
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const decodePayload = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  return JSON.parse(new TextDecoder().decode(bytes));
+};
+
+// URL fragment (#s=...) carrying the scenario; fragments never reach the server
+export const scenarioHash = (state) => `#${URL_PARAM}=${encodePayload(serializeScenario(state))}`;
+
+// Scenario from a URL fragment, or null when there is none.
+// Returns { scenario, error } so a broken link can be reported.
+export const scenarioFromHash = (hash) => {
+  const match = new RegExp(`[#&]${URL_PARAM}=([^&]+)`).exec(hash || '');
+  if (!match) return null;
+  try {
+    return { scenario: restoreScenario(decodePayload(match[1])), error: '' };
+  } catch (e) {
+    return { scenario: null, error: `Could not open the shared scenario: ${e.message}` };
+  }
+};
+
+// --- Saved scenarios ---
+
+const storage = () => (typeof window !== 'undefined' && window.localStorage) || null;
+
+export const newScenarioId = () => `scn_${Math.random().toString(36).slice(2, 8)}`;
+
+// Saved scenarios: [{ id, name, savedAt, data }] with data a serialised scenario
+export const loadSavedScenarios = () => {
+  try {
+    const list = JSON.parse(storage()?.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+};
+
+export const storeSavedScenarios = (list) => {
+  try {
+    storage()?.setItem(STORAGE_KEY, JSON.stringify(list));
+    return '';
+  } catch (e) {
+    return `Could not save scenarios: ${e.message}`;
+  }
+};
@@ -0,0 +1,269 @@
+// Operating schedules: when agents are active, day by day.
+//
+// A schedule is either always on, or a weekly calendar with any number of
+// local-time windows per weekday. Holidays switch a whole local day off;
+// yearly holidays repeat on the same month and day. Windows are in the
+// schedule's time zone and are mapped onto UTC storage days, so a region
+// ahead of UTC contributes part of its Monday to Sunday's rows.
+//
+//   { mode: 'always' | 'weekly', timeZone,
+//     days: { mon: [{ start: 'HH:MM', end: 'HH:MM' }], ..., sun: [] },
+//     holidays: [{ date: 'YYYY-MM-DD', name, yearly }] }
+//
+// A window whose end is not after its start runs past midnight; equal start
+// and end is a full 24 hours.
+
+const DAY_MS = 86400000;
+const MINUTE_MS = 60000;
+
+// In Date.getUTCDay() order
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+export const WEEKDAYS = [
+  { key: 'mon', label: 'Mon' },
+  { key: 'tue', label: 'Tue' },
+  { key: 'wed', label: 'Wed' },
+  { key: 'thu', label: 'Thu' },
+  { key: 'fri', label: 'Fri' },
+  { key: 'sat', label: 'Sat' },
+  { key: 'sun', label: 'Sun' },
+];
+
+export const DEFAULT_WINDOW = { start: '09:00', end: '17:00' };
+
+export const createSchedule = (overrides = {}) => ({
+  mode: 'always',
+  timeZone: 'UTC',
+  days: {
+    mon: [DEFAULT_WINDOW], tue: [DEFAULT_WINDOW], wed: [DEFAULT_WINDOW], thu: [DEFAULT_WINDOW], fri: [DEFAULT_WINDOW],
+    sat: [], sun: [],
+  },
+  holidays: [],
+  ...overrides,
+});
+
+const isObject = (value) => Boolean(value) && typeof value === 'object';
+const isWindowList = (windows) => Array.isArray(windows) && windows.every(isObject);
+const isHolidayEntry = (holiday) => isObject(holiday) && typeof holiday.date === 'string';
+
+const isCompleteSchedule = (schedule) => isObject(schedule)
+  && typeof schedule.mode === 'string'
+  && typeof schedule.timeZone === 'string'
+  && isObject(schedule.days) && WEEKDAYS.every(({ key }) => isWindowList(schedule.days[key]))
+  && Array.isArray(schedule.holidays) && schedule.holidays.every(isHolidayEntry);
+
+// A schedule from partial or older data, with missing fields defaulted and
+// malformed days (no window list) and holidays (no date) dropped. Complete
+// schedules come back as they are, so per-schedule caches still hit.
+export const normalizeSchedule = (raw) => {
+  if (isCompleteSchedule(raw)) return raw;
+  const source = isObject(raw) ? raw : {};
+  const sourceDays = isObject(source.days) ? source.days : {};
+  const defaults = createSchedule();
+  return {
+    ...defaults,
+    ...source,
+    days: Object.fromEntries(WEEKDAYS.map(({ key }) => [
+      key,
+      Object.hasOwn(sourceDays, key)
+        ? (Array.isArray(sourceDays[key]) ? sourceDays[key].filter(isObject) : [])
+        : defaults.days[key],
+    ])),
+    holidays: Array.isArray(source.holidays) ? source.holidays.filter(isHolidayEntry) : [],
+  };
+};
+
+// Same window on every day of the week, as the single work-hours setting had
+export const dailyWindowSchedule = (start, end) => createSchedule({
+  mode: 'weekly',
+  days: Object.fromEntries(WEEKDAYS.map(({ key }) => [key, [{ start, end }]])),
+});
+
+// Minutes past midnight for an HH:MM (or HH:MM:SS) clock time, NaN if invalid
+export const parseClockMinutes = (timeStr) => {
+  const match = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(String(timeStr ?? '').trim());
+  if (!match) return NaN;
+  const [hours, minutes] = [Number(match[1]), Number(match[2])];
+  return hours < 24 && minutes < 60 ? hours * 60 + minutes : NaN;
+};
+
+// [startMinute, endMinute] of a window, end possibly past 1440 for windows
+// that run overnight; null when either time is invalid
+export const windowSpan = ({ start, end }) => {
+  const startMinutes = parseClockMinutes(start);
+  const endMinutes = parseClockMinutes(end);
+  if (isNaN(startMinutes) || isNaN(endMinutes)) return null;
+  return [startMinutes, endMinutes > startMinutes ? endMinutes : endMinutes + 1440];
+};
+
+// First invalid window in a schedule, as a message, or ''
+export const scheduleError = (schedule) => {
+  if (!schedule || schedule.mode !== 'weekly') return '';
+  const bad = WEEKDAYS.find(({ key }) => (schedule.days[key] || []).some(window => !windowSpan(window)));
+  return bad ? `${bad.label}: work hours must be valid HH:MM times.` : '';
+};
+
+// --- Calendar helpers ---
+
+const isoToUtc = (iso) => Date.parse(`${iso}T00:00:00Z`);
+const utcToIso = (time) => new Date(time).toISOString().slice(0, 10);
+
+const offsetFormatters = new Map();
+const offsetCache = new Map();
+
+// Offset of a time zone from UTC in minutes at a UTC instant (e.g. +60 for
+// Europe/Paris in winter). Unknown zones are treated as UTC.
+export const timeZoneOffset = (timeZone, time) => {
+  if (!timeZone || timeZone === 'UTC') return 0;
+  const key = `${timeZone}|${time}`;
+  if (offsetCache.has(key)) return offsetCache.get(key);
+
+  let formatter = offsetFormatters.get(timeZone);
+  if (!formatter) {
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric',
+      });
+    } catch {
+      formatter = null;
+    }
+    offsetFormatters.set(timeZone, formatter);
+  }
+  if (!formatter) return 0;
+
+  const parts = Object.fromEntries(formatter.formatToParts(new Date(time)).map(part => [part.type, part.value]));
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const offset = Math.round((local - time) / MINUTE_MS);
+  offsetCache.set(key, offset);
+  return offset;
+};
+
+export const isHoliday = (schedule, iso) => (schedule.holidays || []).some(holiday => (
+  holiday.date === iso || (holiday.yearly && holiday.date && holiday.date.slice(5) === iso.slice(5))
+));
+
+// Active [start, end) intervals, in UTC milliseconds, of one local date
+const localIntervals = (schedule, localIso) => {
+  if (isHoliday(schedule, localIso)) return [];
+  const midnight = isoToUtc(localIso);
+  // Offset at local midnight; a DST change inside a window is not modelled
+  const base = midnight - timeZoneOffset(schedule.timeZone, midnight) * MINUTE_MS;
+
+  if (schedule.mode !== 'weekly') return [[base, base + DAY_MS]];
+
+  const windows = schedule.days[DAY_KEYS[new Date(midnight).getUTCDay()]] || [];
+  return windows
+    .map(windowSpan)
+    .filter(Boolean)
+    .map(([start, end]) => [base + start * MINUTE_MS, base + end * MINUTE_MS]);
+};
+
+// Per-schedule results, so unchanged schedules are not recomputed on every
+// estimate; schedules are replaced, never mutated, when edited
+const secondsCache = new WeakMap();
+
+// Seconds the schedule is active during a UTC calendar day. Overlapping
+// windows are only counted once.
+export const activeSecondsOn = (schedule, utcIso) => {
+  if (!schedule || typeof schedule !== 'object') return computeActiveSeconds(normalizeSchedule(schedule), utcIso);
+  let cache = secondsCache.get(schedule);
+  if (!cache) {
+    cache = new Map();
+    secondsCache.set(schedule, cache);
+  }
+  if (!cache.has(utcIso)) cache.set(utcIso, computeActiveSeconds(schedule, utcIso));
+  return cache.get(utcIso);
+};
+
+const computeActiveSeconds = (schedule, utcIso) => {
+  const dayStart = isoToUtc(utcIso);
+  const dayEnd = dayStart + DAY_MS;
+
+  // Local dates whose windows can reach into this UTC day
+  const intervals = [-1, 0, 1]
+    .flatMap(shift => localIntervals(schedule, utcToIso(dayStart + shift * DAY_MS)))
+    .map(([start, end]) => [Math.max(start, dayStart), Math.min(end, dayEnd)])
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0]);
+
+  let total = 0;
+  let covered = dayStart;
+  intervals.forEach(([start, end]) => {
+    const from = Math.max(start, covered);
+    if (end > from) {
+      total += end - from;
+      covered = end;
+    }
+  });
+  return total / 1000;
+};
+
+// Short human-readable description, e.g. for comparisons
+export const describeSchedule = (schedule) => {
+  if (!schedule) return 'always on';
+  const zone = schedule.timeZone && schedule.timeZone !== 'UTC' ? ` ${schedule.timeZone}` : '';
+  const holidays = schedule.holidays && schedule.holidays.length > 0 ? `, ${schedule.holidays.length} holidays` : '';
+  if (schedule.mode !== 'weekly') return `always on${zone}${holidays}`;
+
+  const days = WEEKDAYS
+    .filter(({ key }) => (schedule.days[key] || []).length > 0)
+    .map(({ key, label }) => `${label} ${schedule.days[key].map(w => `${w.start}-${w.end}`).join('+')}`);
+  return `${days.length > 0 ? days.join(', ') : 'never'}${zone}${holidays}`;
+};
+
+// Time zones offered by the runtime, UTC first
+export const timeZones = () => {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  return ['UTC', ...zones.filter(zone => zone !== 'UTC')];
+};
+
+// --- iCal import ---
+
+// Longest all-day event expanded into individual holiday dates
+const MAX_EVENT_DAYS = 366;
+
+const icalDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+const unescapeText = (text) => text.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+
+// Holidays from an iCalendar (.ics) file: one entry per day of each event,
+// yearly when the event has an RRULE with FREQ=YEARLY. Other recurrence
+// rules are imported as their first occurrence only.
+export const parseICalHolidays = (text) => {
+  // Long lines are folded onto continuation lines that start with whitespace
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const holidays = [];
+  let event = null;
+
+  lines.forEach(line => {
+    if (/^BEGIN:VEVENT/i.test(line)) {
+      event = {};
+      return;
+    }
+    if (/^END:VEVENT/i.test(line)) {
+      // An END without a matching BEGIN closes nothing
+      const start = event && icalDate(event.DTSTART);
+      if (start) {
+        const end = icalDate(event.DTEND);
+        const days = end ? Math.min(MAX_EVENT_DAYS, Math.max(1, (isoToUtc(end) - isoToUtc(start)) / DAY_MS)) : 1;
+        const yearly = /FREQ=YEARLY/i.test(event.RRULE || '');
+        for (let i = 0; i < days; i++) {
+          holidays.push({ date: utcToIso(isoToUtc(start) + i * DAY_MS), name: unescapeText(event.SUMMARY || ''), yearly });
+        }
+      }
+      event = null;
+      return;
+    }
+    if (!event) return;
+    const match = /^([A-Z-]+)(?:;[^:]*)?:(.*)$/i.exec(line);
+    if (match) event[match[1].toUpperCase()] = match[2];
+  });
+
+  // Keep the first entry per date
+  const seen = new Set();
+  return holidays.filter(holiday => !seen.has(holiday.date) && seen.add(holiday.date));
+};
@@ -0,0 +1,47 @@
+// Per-field checks of calculator inputs. Each returns '' for a valid value or
+// a message saying what the field expects.
+
+import { SYSTEM_COLUMNS } from './engines.js';
+import { parseDuration } from './duration.js';
+
+// Most data columns a table may have; every one renders an editor
+export const MAX_COLUMNS = 250;
+
+// Longest identifier every engine accepts (PostgreSQL's limit)
+const MAX_NAME_LENGTH = 63;
+
+// A number typed into a field; `integer` rejects fractions
+export const numberError = (text, { min = -Infinity, max = Infinity, integer = false } = {}) => {
+  const trimmed = String(text ?? '').trim();
+  if (trimmed === '') return 'Enter a value.';
+  const value = Number(trimmed);
+  if (!Number.isFinite(value)) return 'Enter a number.';
+  if (integer && !Number.isInteger(value)) return 'Enter a whole number.';
+  if (value < min) return `Must be at least ${min.toLocaleString('en-US')}.`;
+  if (value > max) return `Must be at most ${max.toLocaleString('en-US')}.`;
+  return '';
+};
+
+// A report interval in clock notation or with units
+export const durationError = (text) => {
+  const seconds = parseDuration(text);
+  if (seconds === null) return 'Enter a duration such as 00:01:00, 90, 30s or 5m.';
+  if (seconds <= 0) return 'Must be greater than 0 seconds.';
+  return '';
+};
+
+// Name a column is created with; unnamed columns are col_<position>
+const columnName = (col, idx) => col.name || `col_${idx + 1}`;
+
+// The name of the column at `idx` among the table's columns: unique, not a
+// system column and short enough for every engine
+export const columnNameError = (columns, idx) => {
+  const name = columnName(columns[idx], idx);
+  const lower = name.toLowerCase();
+  if (SYSTEM_COLUMNS.some(col => col.name === lower)) return `"${name}" is a system column every row already has.`;
+  if (columns.some((col, other) => other !== idx && columnName(col, other).toLowerCase() === lower)) {
+    return `Another column is also named "${name}".`;
+  }
+  if (name.length > MAX_NAME_LENGTH) return `Names are limited to ${MAX_NAME_LENGTH} characters.`;
+  return '';
+};
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  estimateScenario, restoreScenario, serializeScenario, scenarioFromHash, walBytesPerRow, backupBytes, ENGINES,
+  DEFAULT_CLUSTER,
+} from '../src/lib/index.js';
+import { scenarioHash } from '../src/lib/scenario.js';
+
+const GB = 1024 ** 3;
+
+test('WAL per row grows with the row and each logged index', () => {
+  const index = { primary: false, entryBytes: 16 };
+  const pk = { primary: true, entryBytes: 16 };
+  const pg = ENGINES.postgres;
+  const base = walBytesPerRow(pg, 100, [pk]);
+  assert.equal(walBytesPerRow(pg, 200, [pk]), base + 100);
+  assert.equal(walBytesPerRow(pg, 100, [pk, index]), base + pg.wal.indexRecordBytes + 16);
+  // Bursts share one transaction record
+  assert.ok(walBytesPerRow(pg, 100, [pk], 10) < base);
+  // The binlog carries row images only; a clustered key logs nothing extra
+  assert.equal(walBytesPerRow(ENGINES.mysql, 100, [pk, index]), walBytesPerRow(ENGINES.mysql, 100, [pk]));
+  assert.equal(walBytesPerRow(ENGINES.sqlserver, 100, [pk]), ENGINES.sqlserver.wal.recordBytes + 100 + ENGINES.sqlserver.wal.transactionBytes);
+});
+
+test('backups keep the retained fulls as they were plus incrementals', () => {
+  const primaryAt = (day) => day * GB;
+  const settings = { ...DEFAULT_CLUSTER, fullBackupIntervalDays: 7, backupsRetained: 2, incrementalBackups: true };
+  // Fulls on days 14 and 7; incrementals for the 9 days since day 7
+  assert.equal(backupBytes(primaryAt, GB, 16, settings), (14 + 7 + 9) * GB);
+  assert.equal(backupBytes(primaryAt, GB, 16, { ...settings, incrementalBackups: false }), 21 * GB);
+  assert.equal(backupBytes(primaryAt, GB, 16, { ...settings, backupCompression: 3 }), 10 * GB);
+  assert.equal(backupBytes(primaryAt, GB, 16, { ...settings, backupsRetained: 0 }), 0);
+});
+
+test('the cluster footprint adds replicas, retained WAL and backups to the tables', () => {
+  const { totals, cluster, projection } = estimateScenario({
+    engine: 'postgres',
+    cluster: { replicas: 2, logRetentionDays: 3, backupsRetained: 0 },
+  });
+  const { yearly } = cluster;
+  assert.equal(yearly.primary, totals.yearlySpace);
+  assert.equal(yearly.replicas, 2 * totals.yearlySpace);
+  assert.ok(Math.abs(yearly.wal - 3 * totals.walBytesPerDay) < 1e-3);
+  assert.equal(yearly.backups, 0);
+  assert.equal(yearly.total, yearly.primary + yearly.replicas + yearly.wal);
+  assert.ok(projection.points.every(point => point.cluster.total >= point.totalBytes));
+});
+
+test('cluster settings travel with the scenario and defaults are left out', () => {
+  assert.equal(serializeScenario(restoreScenario({})).cluster, undefined);
+  const scenario = restoreScenario({ cluster: { replicas: 1, incrementalBackups: false } });
+  assert.deepEqual(serializeScenario(scenario).cluster, { replicas: 1, incrementalBackups: false });
+});
+
+test('a cluster edit changes the share link and survives it', () => {
+  const scenario = restoreScenario({});
+  const edited = { ...scenario, cluster: { ...scenario.cluster, replicas: 3, logRetentionDays: 14 } };
+  assert.notEqual(scenarioHash(edited), scenarioHash(scenario));
+  const restored = scenarioFromHash(scenarioHash(edited)).scenario;
+  assert.equal(restored.cluster.replicas, 3);
+  assert.equal(restored.cluster.logRetentionDays, 14);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateProject, restoreScenario, scenarioOptions } from '../src/lib/index.js';
+import { compareScenarios } from '../src/lib/compare.js';
+
+const pinned = (data) => {
+  const scenario = restoreScenario(data);
+  return { scenario, project: estimateProject(scenario.engine, scenario.tables, scenarioOptions(scenario)) };
+};
+
+// A table where most rows come from a group writing much longer payloads
+const withGroups = (engine, payload = 2000) => ({
+  engine,
+  startDate: '2025-01-01',
+  tables: [{
+    name: 'events',
+    numAgents: 10,
+    // Engines default to different fill factors; keep it fixed
+    fillFactor: 100,
+    agentGroups: [{ name: 'Gateways', numAgents: 500, repeatTime: '00:00:10', columnOverrides: { 0: { length: payload } } }],
+  }],
+});
+
+test('an engine change alone accounts for the whole row size change, agent group overrides included', () => {
+  const [table] = compareScenarios(pinned(withGroups('generic')), pinned(withGroups('mysql'))).tables;
+  assert.equal(table.status, 'matched');
+  assert.notEqual(table.absolute, 0);
+  assert.ok(Math.abs(table.engineRowBytes - table.absolute) < 0.5);
+  assert.deepEqual(table.columns, []);
+  assert.deepEqual(table.settings, []);
+});
+
+test('group override changes are listed without an engine share', () => {
+  const comparison = compareScenarios(pinned(withGroups('postgres')), pinned(withGroups('postgres', 400)));
+  const [table] = comparison.tables;
+  assert.deepEqual(comparison.projectChanges, []);
+  assert.equal(table.engineRowBytes, 0);
+  assert.ok(table.absolute < 0);
+  assert.deepEqual(table.settings.map(change => change.label), ['Agent groups']);
+  assert.match(table.settings[0].after, /col_1: .*400/);
+});
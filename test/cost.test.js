@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  estimateScenario, restoreScenario, serializeScenario, scenarioFromHash, monthlyCost, pricingProfiles, DEFAULT_COST,
+} from '../src/lib/index.js';
+import { scenarioHash } from '../src/lib/scenario.js';
+
+const GB = 1024 ** 3;
+
+const footprint = (parts) => {
+  const full = { primary: 0, replicas: 0, wal: 0, backups: 0, ...parts };
+  return { ...full, total: full.primary + full.replicas + full.wal + full.backups };
+};
+
+test('replicas keep their own copy unless the profile shares storage', () => {
+  const profiles = pricingProfiles(DEFAULT_COST);
+  const cluster = footprint({ primary: 100 * GB, replicas: 200 * GB });
+  const rds = monthlyCost(profiles['aws-rds-gp3'], DEFAULT_COST, cluster, 2);
+  assert.ok(Math.abs(rds.storage - 300 * 0.115) < 1e-9);
+  const aurora = monthlyCost(profiles['aws-aurora'], DEFAULT_COST, cluster, 2);
+  assert.ok(Math.abs(aurora.storage - 100 * 0.10) < 1e-9);
+  assert.equal(aurora.iops, profiles['aws-aurora'].iopsTiers[0].perMonth);
+});
+
+test('backups and managed WAL beyond the free allowance are billed', () => {
+  const profiles = pricingProfiles(DEFAULT_COST);
+  const cluster = footprint({ primary: 100 * GB, wal: 10 * GB, backups: 110 * GB });
+  // RDS includes backups up to the database size and bills WAL as backups
+  const rds = monthlyCost(profiles['aws-rds-gp3'], DEFAULT_COST, cluster, 0);
+  assert.ok(Math.abs(rds.backup - 20 * 0.095) < 1e-9);
+  assert.ok(Math.abs(rds.storage - 100 * 0.115) < 1e-9);
+  // Self-managed disks keep WAL on the volume and include no backups
+  const ebs = monthlyCost(profiles['aws-ebs-gp3'], DEFAULT_COST, cluster, 0);
+  assert.ok(Math.abs(ebs.storage - 110 * 0.08) < 1e-9);
+  assert.ok(Math.abs(ebs.backup - 110 * 0.05) < 1e-9);
+});
+
+test('the cost projection bills every month of the horizon with edited prices', () => {
+  const estimate = estimateScenario({
+    horizonMonths: 12,
+    cluster: { backupsRetained: 0, logRetentionDays: 0 },
+    cost: { profile: 'aws-s3-standard', prices: { 'aws-s3-standard': { storagePerGbMonth: 1 } } },
+  });
+  const { months, periods, cumulative } = estimate.cost;
+  assert.equal(months.length, 12);
+  assert.equal(months[11].date, estimate.projection.points[estimate.projection.points.length - 1].date);
+  assert.ok(Math.abs(cumulative - months.reduce((sum, month) => sum + month.total, 0)) < 1e-6);
+  assert.ok(Math.abs(periods[1].total - estimate.totals.monthlySpace / GB) < 1e-9);
+});
+
+test('cost settings travel with the scenario and defaults are left out', () => {
+  assert.equal(serializeScenario(restoreScenario({})).cost, undefined);
+  const scenario = restoreScenario({ cost: { profile: 'aws-ebs-gp3', iopsTier: 1 } });
+  assert.deepEqual(serializeScenario(scenario).cost, { profile: 'aws-ebs-gp3', iopsTier: 1 });
+  assert.equal(restoreScenario({ cost: { profile: 'unknown' } }).cost.profile, DEFAULT_COST.profile);
+});
+
+test('a cost edit changes the share link and survives it', () => {
+  const scenario = restoreScenario({});
+  const edited = { ...scenario, cost: { ...scenario.cost, profile: 'aws-ebs-gp3', iopsTier: 1 } };
+  assert.notEqual(scenarioHash(edited), scenarioHash(scenario));
+  const restored = scenarioFromHash(scenarioHash(edited)).scenario;
+  assert.equal(restored.cost.profile, 'aws-ebs-gp3');
+  assert.equal(restored.cost.iopsTier, 1);
+});
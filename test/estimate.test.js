@@ -0,0 +1,185 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseTimeToSeconds, activeSecondsPerDay, estimateTable, estimateProject, createTable, createAgentGroup, computeRowSizeStats,
+} from '../src/lib/index.js';
+import { dailyWindowSchedule } from '../src/lib/schedule.js';
+import { agentCurve } from '../src/lib/projection.js';
+
+test('parseTimeToSeconds reads HH:MM:SS, MM:SS and SS', () => {
+  assert.equal(parseTimeToSeconds('00:01:00'), 60);
+  assert.equal(parseTimeToSeconds('01:00:05'), 3605);
+  assert.equal(parseTimeToSeconds('1:30'), 90);
+  assert.equal(parseTimeToSeconds('45'), 45);
+});
+
+test('parseTimeToSeconds treats missing parts as zero', () => {
+  assert.equal(parseTimeToSeconds('00:01:'), 60);
+  assert.equal(parseTimeToSeconds(':30'), 30);
+  assert.equal(parseTimeToSeconds('::'), 0);
+});
+
+test('parseTimeToSeconds returns 0 for unparseable input', () => {
+  assert.equal(parseTimeToSeconds(''), 0);
+  assert.equal(parseTimeToSeconds('abc'), 0);
+  assert.equal(parseTimeToSeconds('1:2:3:4'), 0);
+  assert.equal(parseTimeToSeconds('-5'), 0);
+  assert.equal(parseTimeToSeconds(undefined), 0);
+});
+
+test('activeSecondsPerDay covers day, overnight and full-day windows', () => {
+  assert.equal(activeSecondsPerDay(false, '09:00', '17:00'), 86400);
+  assert.equal(activeSecondsPerDay(true, '09:00', '17:00'), 8 * 3600);
+  assert.equal(activeSecondsPerDay(true, '22:00', '06:00'), 8 * 3600);
+});
+
+test('activeSecondsPerDay treats equal start and end as 24 hours', () => {
+  assert.equal(activeSecondsPerDay(true, '09:00', '09:00'), 86400);
+  assert.equal(activeSecondsPerDay(true, '00:00', '00:00'), 86400);
+});
+
+test('activeSecondsPerDay returns 0 for invalid times', () => {
+  assert.equal(activeSecondsPerDay(true, '', '17:00'), 0);
+  assert.equal(activeSecondsPerDay(true, '25:00', '17:00'), 0);
+  assert.equal(activeSecondsPerDay(true, '9am', '5pm'), 0);
+});
+
+test('estimateTable reports an error for a zero or invalid repeat time', () => {
+  assert.match(estimateTable('generic', createTable({ repeatTime: '00:00:00' })).error, /greater than 0/);
+  assert.match(estimateTable('generic', createTable({ repeatTime: 'soon' })).error, /greater than 0/);
+});
+
+test('estimateTable reports an error for invalid work hours instead of NaN sizes', () => {
+  const schedule = dailyWindowSchedule('', '17:00');
+  const { error, results } = estimateTable('generic', createTable({ schedule }));
+  assert.match(error, /Work hours/);
+  assert.equal(results.yearlySpace, 0);
+});
+
+test('estimateTable sizes a table with zero columns from system columns alone', () => {
+  const { error, results } = estimateTable('generic', createTable({ columns: [] }));
+  assert.equal(error, '');
+  // id (8) + agent_id (4) + created_at (8)
+  assert.equal(results.rowSize, 20);
+  assert.equal(results.overheadBytes, 20);
+  assert.equal(results.rowsPerDay, 100 * 1440);
+  assert.ok(results.yearlySpace > 0);
+});
+
+test('every engine handles zero columns', () => {
+  ['generic', 'postgres', 'mysql', 'sqlserver', 'sqlite'].forEach(engine => {
+    const { error, results } = estimateTable(engine, createTable({ columns: [] }));
+    assert.equal(error, '', engine);
+    assert.ok(Number.isFinite(results.yearlySpace) && results.yearlySpace > 0, engine);
+  });
+});
+
+test('monthly and yearly periods are calendar months and years', () => {
+  const { results } = estimateTable('generic', createTable(), { startDate: '2024-01-31' });
+  assert.deepEqual(results.periodDays, { monthly: 29, yearly: 366 });
+});
+
+test('monthly and yearly sizes grow with the period', () => {
+  const { results } = estimateTable('postgres', createTable());
+  assert.ok(results.dailySpace < results.monthlySpace);
+  assert.ok(results.monthlySpace < results.yearlySpace);
+});
+
+test('row size stats: fixed columns have equal average, p95 and worst case', () => {
+  const stats = computeRowSizeStats('postgres', createTable().columns);
+  assert.equal(stats.p95Bytes, stats.rowBytes);
+  assert.equal(stats.worstBytes, stats.rowBytes);
+  assert.equal(stats.sampled, false);
+});
+
+test('row size stats: nullable and long-tailed columns spread the distribution', () => {
+  const columns = [
+    { type: 'varchar', length: 50, nullPercent: 80 },
+    { type: 'text', length: 100, distribution: { mode: 'range', min: 10, max: 2000 } },
+  ];
+  const stats = computeRowSizeStats('postgres', columns);
+  assert.ok(stats.rowBytes < stats.p95Bytes);
+  assert.ok(stats.p95Bytes <= stats.worstBytes);
+  // Worst case stores every value at its maximum length
+  assert.ok(stats.worstBytes >= 50 + 2000);
+});
+
+test('agent groups add rows at their own interval and burst size', () => {
+  const table = createTable({
+    numAgents: 2000,
+    repeatTime: '00:05:00',
+    columns: [{ type: 'text', length: 100 }],
+    agentGroups: [createAgentGroup({
+      name: 'Gateways', numAgents: 50, repeatTime: '0.5', rowsPerReport: 2, jitterPercent: 50,
+      columnOverrides: { 0: { length: 1000 } },
+    })],
+  });
+  const { error, results } = estimateTable('generic', table);
+  assert.equal(error, '');
+  const [devices, gateways] = results.groups;
+  assert.equal(devices.rowsPerDay, 2000 * 288);
+  assert.equal(gateways.rowsPerDay, 50 * 2 * 2 * 86400);
+  assert.equal(gateways.rowBytes - devices.rowBytes, 900);
+  // Shortest interval is half the nominal one
+  assert.equal(gateways.peakRowsPerSecond, 50 * 2 / 0.25);
+  assert.equal(results.rowsPerDay, devices.rowsPerDay + gateways.rowsPerDay);
+  assert.ok(Math.abs(devices.storageShare + gateways.storageShare - 1) < 1e-9);
+  assert.ok(gateways.storageShare > gateways.rowsPerDay / results.rowsPerDay);
+});
+
+test('an agent group with an invalid interval is reported by name', () => {
+  const table = createTable({ agentGroups: [createAgentGroup({ name: 'Gateways', repeatTime: '' })] });
+  assert.match(estimateTable('generic', table).error, /^Gateways: repeat time/);
+});
+
+test('compression shrinks stored rows and reports the uncompressed size', () => {
+  const columns = [{ name: 'status', type: 'varchar', length: 12 }, { type: 'double' }];
+  const plain = estimateTable('postgres', createTable({ columns })).results;
+  const { error, results } = estimateTable('postgres', createTable({
+    columns, compression: 'timescale', compressAfterDays: 0,
+  }));
+  assert.equal(error, '');
+  assert.equal(plain.compression, null);
+  assert.equal(results.yearlyUncompressedSpace, plain.yearlySpace);
+  assert.ok(results.yearlySpace < plain.yearlySpace / 2);
+  assert.ok(results.compression.ratio > 1);
+});
+
+test('compression: cardinality switches to dictionary encoding, page modes are capped', () => {
+  const columns = [{ name: 'status', type: 'varchar', length: 12, cardinality: 4 }];
+  const timescale = estimateTable('postgres', createTable({ columns, compression: 'timescale' })).results;
+  assert.equal(timescale.compression.columns.find(col => col.name === 'status').encoding, 'dictionary');
+  const innodb = estimateTable('mysql', createTable({ columns, compression: 'innodb_compressed' })).results;
+  assert.ok(innodb.compression.ratio <= 2);
+  assert.match(estimateTable('mysql', createTable({ compression: 'timescale' })).error, /not available/);
+});
+
+test('estimateTable treats a missing schedule as always active', () => {
+  const expected = estimateTable('generic', createTable()).results.dailySpace;
+  const { schedule, ...table } = createTable();
+  assert.equal(estimateTable('generic', table).results.dailySpace, expected);
+  assert.equal(estimateTable('generic', { ...table, schedule: null }).results.dailySpace, expected);
+  const groups = [createAgentGroup({ schedule: undefined }), createAgentGroup({ schedule: { mode: 'always' } })];
+  assert.equal(estimateTable('generic', { ...table, agentGroups: groups }).error, '');
+});
+
+test('growth steps without a date are skipped', () => {
+  const growth = { mode: 'steps', steps: [null, { agents: 5 }, { date: '2025-02-01', agents: 10 }] };
+  const agents = agentCurve(100, growth, '2025-01-01');
+  assert.equal(agents(0), 100);
+  assert.equal(agents(31), 110);
+  assert.equal(agentCurve(100, { mode: 'steps', steps: 'x' }, '2025-01-01')(31), 100);
+});
+
+test('a minimal table without columns or indexes is estimated from system columns', () => {
+  const { error, results } = estimateTable('generic', { numAgents: 10, repeatTime: '1m' });
+  assert.equal(error, '');
+  assert.equal(results.rowsPerDay, 14400);
+  assert.equal(results.indexSizes.daily.length, 1);
+
+  const project = estimateProject('postgres', [
+    { numAgents: 10, repeatTime: '1m', indexes: [{ kind: 'gin', columns: ['sys:agent_id'] }] },
+  ]);
+  assert.equal(project.tables[0].error, '');
+  assert.match(project.tables[0].results.indexSizes.daily[1].note, /Unknown index kind "gin"/);
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatBytes, toCsv, estimateScenario } from '../src/lib/index.js';
+
+test('formatBytes picks binary units', () => {
+  assert.equal(formatBytes(0), '0 Bytes');
+  assert.equal(formatBytes(1023), '1023 Bytes');
+  assert.equal(formatBytes(1024), '1 KB');
+  assert.equal(formatBytes(1536), '1.5 KB');
+  assert.equal(formatBytes(5 * 1024 ** 3), '5 GB');
+});
+
+test('formatBytes handles fractions, negatives and huge values', () => {
+  assert.equal(formatBytes(0.5), '0.5 Bytes');
+  assert.equal(formatBytes(-2048), '-2 KB');
+  assert.equal(formatBytes(2 * 1024 ** 6), '2048 PB');
+  assert.equal(formatBytes(NaN), '—');
+});
+
+test('toCsv quotes names containing commas and quotes', () => {
+  const estimate = estimateScenario({ tables: [{ name: 'events, "raw"' }] });
+  const lines = toCsv(estimate).split('\n');
+  assert.equal(lines[0].split(',')[0], 'name');
+  assert.ok(lines[1].startsWith('"events, ""raw""",'));
+  assert.ok(lines[2].startsWith('TOTAL,'));
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  restoreScenario, normalizeMeasurement, estimateRows, compareMeasurement, measurementLines, formatSignedPercent,
+} from '../src/lib/index.js';
+
+const table = {
+  name: 'events',
+  columns: [{ name: 'payload', type: 'varchar', length: 120 }],
+  indexes: [{ id: 'idx_agent', name: 'idx_agent', kind: 'btree', columns: ['sys:agent_id', 'sys:created_at'], include: [] }],
+};
+
+test('a clustered primary key counts as table bytes, others as index bytes', () => {
+  const pg = estimateRows('postgres', table, 10000);
+  const sqlite = estimateRows('sqlite', { ...table, indexes: [] }, 10000);
+  assert.equal(pg.totalBytes, pg.tableBytes + pg.indexBytes);
+  // The heap plus a primary key index and the secondary index
+  assert.ok(pg.indexBytes > 0 && pg.tableBytes % 8192 === 0);
+  // SQLite's rowid table is the primary key: its inner pages join the table
+  assert.equal(sqlite.indexBytes, 0);
+  assert.ok(sqlite.tableBytes % 4096 === 0);
+});
+
+test('measured tables are matched by name and compared with the estimate', () => {
+  const { tables } = restoreScenario({ engine: 'generic', tables: [table] });
+  const estimated = estimateRows('sqlite', tables[0], 5000);
+  const measurement = normalizeMeasurement({
+    engine: 'sqlite',
+    rows: 5000,
+    tables: [
+      { name: 'events', tableBytes: estimated.tableBytes / 2, indexBytes: estimated.indexBytes },
+      { name: 'dropped', tableBytes: 4096, indexBytes: 0 },
+    ],
+  });
+  const [events, dropped] = compareMeasurement(tables, measurement);
+  assert.equal(events.rows, 5000);
+  assert.equal(events.errors.tableBytes, 1);
+  assert.equal(events.errors.indexBytes, 0);
+  assert.equal(dropped.estimated, null);
+  assert.match(measurementLines([dropped])[0], /not in this scenario/);
+  assert.equal(formatSignedPercent(-0.0349), '-3.5%');
+  assert.equal(formatSignedPercent(null), '—');
+});
+
+test('files that are not measurements are rejected', () => {
+  assert.throws(() => normalizeMeasurement({ v: 3, tables: [] }), /engine/);
+  assert.throws(() => normalizeMeasurement({ engine: 'sqlite' }), /Not a measurement file/);
+});
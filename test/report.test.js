@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  estimateScenario, restoreScenario, serializeScenario, toJsonExport, toMarkdown, toPeriodCsv,
+} from '../src/lib/index.js';
+
+const input = {
+  engine: 'postgres',
+  tables: [
+    { name: 'events', numAgents: 20, retentionDays: 30, indexes: [{ id: 'idx_1', name: 'idx_type', kind: 'btree', columns: ['col:0'] }] },
+    { name: 'metrics', numAgents: 5, columns: [{ name: 'value', type: 'double' }] },
+  ],
+};
+
+test('period CSV has one row per table and period plus totals that add up', () => {
+  const estimate = estimateScenario(input);
+  const [header, ...lines] = toPeriodCsv(estimate).split('\n');
+  assert.equal(header, 'table,period,days,table_bytes,index_bytes,archive_bytes,total_bytes,uncompressed_bytes,raw_bytes');
+  assert.equal(lines.length, 9);
+
+  const rows = lines.map(line => line.split(','));
+  const yearly = rows.filter(row => row[1] === 'yearly');
+  assert.deepEqual(yearly.map(row => row[0]), ['events', 'metrics', 'TOTAL']);
+  yearly.forEach(row => assert.equal(Number(row[3]) + Number(row[4]) + Number(row[5]), Number(row[6])));
+  assert.equal(Number(yearly[0][6]) + Number(yearly[1][6]), Number(yearly[2][6]));
+  assert.equal(rows[0][2], '1');
+});
+
+test('JSON exports carry the results and import as the same scenario', () => {
+  const estimate = estimateScenario(input);
+  const exported = JSON.parse(JSON.stringify(toJsonExport(estimate, '2026-01-01T00:00:00.000Z')));
+  assert.equal(exported.exportedAt, '2026-01-01T00:00:00.000Z');
+  assert.equal(exported.results.totals.yearlySpace, estimate.totals.yearlySpace);
+  assert.deepEqual(serializeScenario(restoreScenario(exported)), serializeScenario(estimate.scenario));
+});
+
+test('Markdown reports spell out the row layout and engine assumptions', () => {
+  const markdown = toMarkdown(estimateScenario(input), '2026-01-01T00:00:00.000Z');
+  assert.match(markdown, /^# Storage estimate/);
+  assert.match(markdown, /\| TOTAL \|/);
+  assert.match(markdown, /Base row overhead: 43 B \(23 B header \+ 20 B system columns\)/);
+  assert.match(markdown, /Length prefixes: /);
+  assert.match(markdown, /Active hours per day: 24 h/);
+  assert.match(markdown, /idx_type \(B-tree/);
+  assert.match(markdown, /## PostgreSQL assumptions/);
+});
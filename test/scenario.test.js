@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  restoreScenario, serializeScenario, scenarioFromHash, estimateScenario, createCustomType, SCENARIO_VERSION,
+} from '../src/lib/index.js';
+import { SCENARIO_FIELDS, defaultScenario, scenarioHash } from '../src/lib/scenario.js';
+
+test('an empty scenario falls back to the calculator defaults', () => {
+  const scenario = restoreScenario({});
+  assert.equal(scenario.engine, 'generic');
+  assert.equal(scenario.tables.length, 1);
+  assert.equal(scenario.tables[0].numAgents, 100);
+  assert.equal(scenario.tables[0].columns.length, 6);
+});
+
+test('share links restore the same scenario', () => {
+  const scenario = restoreScenario({
+    engine: 'mysql',
+    tables: [{ name: 'events', numAgents: 42, columns: [{ name: 'payload', type: 'text', length: 900, nullPercent: 10 }] }],
+    growth: { mode: 'percent', percentPerMonth: 3 },
+  });
+  const restored = scenarioFromHash(scenarioHash(scenario)).scenario;
+  assert.deepEqual(serializeScenario(restored), serializeScenario(scenario));
+});
+
+test('custom types travel with the scenario and the columns using them', () => {
+  const customType = { id: 'typ_geo', name: 'geo_point', sizing: 'fixed', size: 16 };
+  const scenario = restoreScenario({
+    tables: [{ columns: [{ name: 'location', type: 'custom', customType }] }],
+    customTypes: [customType],
+  });
+  const restored = scenarioFromHash(scenarioHash(scenario)).scenario;
+  assert.equal(restored.customTypes[0].name, 'geo_point');
+  assert.deepEqual(restored.tables[0].columns[0].customType, customType);
+  assert.equal(serializeScenario(restoreScenario({})).customTypes, undefined);
+});
+
+test('editing the type library changes the share link', () => {
+  const scenario = restoreScenario({});
+  const customType = createCustomType({ id: 'typ_hash', name: 'hash256', size: 32 });
+  const edited = { ...scenario, customTypes: [customType] };
+  assert.notEqual(scenarioHash(edited), scenarioHash(scenario));
+  assert.deepEqual(scenarioFromHash(scenarioHash(edited)).scenario.customTypes, [customType]);
+});
+
+test('the calculator re-syncs its share link on every saved field', () => {
+  assert.deepEqual(Object.keys(restoreScenario({})).sort(), [...SCENARIO_FIELDS].sort());
+  assert.deepEqual(Object.keys(defaultScenario()).sort(), [...SCENARIO_FIELDS].sort());
+});
+
+test('default fields are left out of serialised scenarios', () => {
+  const serialized = serializeScenario(restoreScenario({ tables: [{ numAgents: 5 }] }));
+  assert.equal(serialized.v, SCENARIO_VERSION);
+  assert.deepEqual(serialized.tables, [{ numAgents: 5 }]);
+});
+
+test('scenarios from a newer schema version are rejected', () => {
+  assert.throws(() => restoreScenario({ v: SCENARIO_VERSION + 1 }), /newer version/);
+});
+
+test('version 1 work hours become a daily schedule', () => {
+  const scenario = restoreScenario({
+    v: 1, tables: [{ useWorkHours: true, workEndTime: '18:00' }, { useWorkHours: false, workStartTime: '07:00' }],
+  });
+  const [worked, always] = scenario.tables;
+  assert.equal(worked.schedule.mode, 'weekly');
+  assert.deepEqual(worked.schedule.days.sun, [{ start: '09:00', end: '18:00' }]);
+  assert.equal(always.schedule.mode, 'always');
+  assert.equal('useWorkHours' in worked || 'workStartTime' in always, false);
+});
+
+test('version 2 agent groups keep reporting at their table interval', () => {
+  const scenario = restoreScenario({
+    v: 2, tables: [{ repeatTime: '00:00:30', agentGroups: [{ name: 'APAC', numAgents: 5 }] }],
+  });
+  assert.equal(scenario.tables[0].agentGroups[0].repeatTime, '00:00:30');
+});
+
+test('broken share links report an error instead of throwing', () => {
+  assert.match(scenarioFromHash('#s=not-base64!').error, /Could not open/);
+  assert.equal(scenarioFromHash('#other=1'), null);
+});
+
+test('estimateScenario projects storage over the horizon', () => {
+  const estimate = estimateScenario({
+    startDate: '2025-03-01', horizonMonths: 12, thresholds: [{ id: 'tiny', label: 'Tiny', gb: 1 }],
+  });
+  const last = estimate.projection.points[estimate.projection.points.length - 1];
+  assert.equal(last.day, 365);
+  assert.equal(last.date, '2026-03-01');
+  assert.equal(estimate.projection.crossings[0].id, 'tiny');
+  assert.ok(estimate.projection.crossings[0].day > 0);
+});
+
+test('malformed lists in a saved scenario fall back to defaults', () => {
+  const scenario = restoreScenario({
+    tables: [null, { name: 'events', columns: {}, indexes: 'x', agentGroups: 5 }, { columns: 'x' }],
+    customTypes: {},
+  });
+  assert.equal(scenario.tables.length, 2);
+  assert.equal(scenario.tables[0].name, 'events');
+  assert.equal(scenario.tables[0].columns.length, 6);
+  assert.deepEqual(scenario.tables[0].indexes, []);
+  assert.deepEqual(scenario.tables[0].agentGroups, []);
+  assert.equal(scenario.tables[1].columns.length, 6);
+  assert.equal(restoreScenario({ v: 1, tables: [null, { useWorkHours: true }] }).tables[0].schedule.mode, 'weekly');
+  const [table] = restoreScenario({ tables: [{ indexes: [{ name: 'idx', kind: 'btree', columns: ['col:0', 7] }] }] }).tables;
+  assert.deepEqual(table.indexes[0].columns, ['col:0']);
+  assert.deepEqual(table.indexes[0].include, []);
+});
+
+test('unknown index kinds and malformed thresholds are repaired on restore', () => {
+  const data = {
+    tables: [{ indexes: [{ name: 'a', kind: 'gin', columns: ['col:0'] }, { name: 'b', columns: ['col:1'] }] }],
+    thresholds: [null, { label: 'no size' }, { id: 'cap', label: '500 GB', gb: 500 }],
+  };
+  const scenario = restoreScenario(data);
+  assert.deepEqual(scenario.tables[0].indexes.map(index => index.kind), ['btree', 'btree']);
+  assert.deepEqual(scenario.thresholds.map(threshold => threshold.gb), [500]);
+  const estimate = estimateScenario(data);
+  assert.equal(estimate.tables[0].error, '');
+  assert.equal(estimate.tables[0].results.indexSizes.yearly.length, 3);
+});
+
+test('compression modes the engine lacks are restored as none', () => {
+  const { tables } = restoreScenario({
+    engine: 'postgres',
+    tables: [{ compression: 'zstd-extreme' }, { compression: 'sqlserver_page' }, { compression: 'timescale' }],
+  });
+  assert.deepEqual(tables.map(table => table.compression), ['none', 'none', 'timescale']);
+  assert.equal(estimateScenario({ tables: [{ compression: 'zstd-extreme' }] }).tables[0].error, '');
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createSchedule, activeSecondsOn, parseICalHolidays, estimateScenario,
+} from '../src/lib/index.js';
+import { normalizeSchedule } from '../src/lib/schedule.js';
+
+const HOUR = 3600;
+// 2025-01-06 is a Monday
+const weekdays = createSchedule({
+  mode: 'weekly',
+  days: {
+    ...createSchedule().days,
+    mon: [{ start: '08:00', end: '12:00' }, { start: '13:00', end: '18:00' }],
+    sat: [{ start: '09:00', end: '12:00' }],
+  },
+});
+
+test('weekly schedules add up every window of the day', () => {
+  assert.equal(activeSecondsOn(weekdays, '2025-01-06'), 9 * HOUR);
+  assert.equal(activeSecondsOn(weekdays, '2025-01-07'), 8 * HOUR);
+  assert.equal(activeSecondsOn(weekdays, '2025-01-11'), 3 * HOUR);
+  assert.equal(activeSecondsOn(weekdays, '2025-01-12'), 0);
+});
+
+test('overlapping windows are counted once and overnight windows spill into the next day', () => {
+  const days = { ...createSchedule().days, fri: [{ start: '20:00', end: '04:00' }, { start: '22:00', end: '23:00' }] };
+  const schedule = createSchedule({ mode: 'weekly', days });
+  // 2025-01-10 is a Friday: 20:00-24:00, with 22:00-23:00 inside it
+  assert.equal(activeSecondsOn(schedule, '2025-01-10'), 4 * HOUR);
+  assert.equal(activeSecondsOn(schedule, '2025-01-11'), 4 * HOUR);
+});
+
+test('time zones shift local windows onto UTC days', () => {
+  const tokyo = { ...weekdays, timeZone: 'Asia/Tokyo' };
+  // Monday 08:00-12:00 in Tokyo starts at 23:00 UTC on Sunday
+  assert.equal(activeSecondsOn(tokyo, '2025-01-05'), 1 * HOUR);
+  assert.equal(activeSecondsOn(tokyo, '2025-01-06'), 8 * HOUR);
+});
+
+test('holidays switch off a whole local day, yearly ones every year', () => {
+  const schedule = { ...weekdays, holidays: [{ date: '2024-01-06', name: 'Epiphany', yearly: true }] };
+  assert.equal(activeSecondsOn(schedule, '2025-01-06'), 0);
+  const always = createSchedule({ holidays: [{ date: '2025-01-07', name: '', yearly: false }] });
+  assert.equal(activeSecondsOn(always, '2025-01-07'), 0);
+  assert.equal(activeSecondsOn(always, '2026-01-07'), 24 * HOUR);
+});
+
+test('parseICalHolidays expands all-day events and reads yearly rules', () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20251224',
+    'DTEND;VALUE=DATE:20251226',
+    'SUMMARY:Christmas\\, Eve and Day',
+    'RRULE:FREQ=YEARLY',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20250501',
+    'SUMMARY:Labour',
+    ' Day',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n');
+  assert.deepEqual(parseICalHolidays(ics), [
+    { date: '2025-12-24', name: 'Christmas, Eve and Day', yearly: true },
+    { date: '2025-12-25', name: 'Christmas, Eve and Day', yearly: true },
+    { date: '2025-05-01', name: 'LabourDay', yearly: false },
+  ]);
+});
+
+test('agent groups write on their own schedules', () => {
+  const estimate = estimateScenario({
+    startDate: '2025-01-01',
+    tables: [{
+      numAgents: 10,
+      repeatTime: '01:00:00',
+      agentGroups: [{ name: 'Office', numAgents: 7, schedule: { mode: 'weekly', days: { sat: [], sun: [] } } }],
+    }],
+  });
+  // 10 agents around the clock plus 7 agents for 8 hours on 261 weekdays of 2025
+  const expected = 10 * 24 + 7 * 8 * 261 / 365;
+  assert.equal(estimate.tables[0].results.rowsPerDay, Math.floor(expected));
+});
+
+test('malformed days and holidays are dropped instead of failing the estimate', () => {
+  const schedule = normalizeSchedule({
+    mode: 'weekly',
+    days: { mon: 'x', tue: [null, { start: '09:00', end: '17:00' }] },
+    holidays: [null, { name: 'no date' }, { date: '2025-01-07' }],
+  });
+  assert.deepEqual(schedule.days.mon, []);
+  assert.deepEqual(schedule.days.tue, [{ start: '09:00', end: '17:00' }]);
+  assert.deepEqual(schedule.days.wed, createSchedule().days.wed);
+  assert.deepEqual(schedule.holidays, [{ date: '2025-01-07' }]);
+  assert.equal(activeSecondsOn(schedule, '2025-01-06'), 0);
+  assert.equal(activeSecondsOn(schedule, '2025-01-08'), 8 * HOUR);
+
+  const { error } = estimateScenario({ tables: [{ schedule: { mode: 'weekly', days: { mon: 'x' }, holidays: [null] } }] }).tables[0];
+  assert.equal(error, '');
+});
+
+test('an iCalendar END without a BEGIN is ignored', () => {
+  const ics = 'BEGIN:VCALENDAR\nEND:VEVENT\nBEGIN:VEVENT\nDTSTART;VALUE=DATE:20250101\nSUMMARY:New Year\nEND:VEVENT\nEND:VCALENDAR';
+  assert.deepEqual(parseICalHolidays(ics).map(holiday => holiday.date), ['2025-01-01']);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ENGINES, DATA_TYPES, resolveType, computeRowSize, createCustomType, quoteIdentifier,
+} from '../src/lib/index.js';
+import { parseCreateTables } from '../src/lib/ddl.js';
+
+test('every engine sizes every catalog type', () => {
+  Object.values(ENGINES).forEach(engine => {
+    assert.deepEqual(Object.keys(engine.types), Object.keys(DATA_TYPES));
+    Object.entries(DATA_TYPES).forEach(([key, type]) => {
+      assert.equal(engine.types[key].isVariable, Boolean(type.variable), `${engine.label} ${key}`);
+    });
+  });
+});
+
+test('sizes follow precision, scale and declared length', () => {
+  const size = (engine, col) => resolveType(ENGINES[engine], col).size;
+  assert.equal(size('mysql', { type: 'datetime' }), 5);
+  assert.equal(size('mysql', { type: 'datetime', precision: 6 }), 8);
+  assert.equal(size('sqlserver', { type: 'datetime', precision: 2 }), 6);
+  assert.equal(size('sqlserver', { type: 'datetime' }), 8);
+  assert.equal(size('mysql', { type: 'decimal', precision: 18, scale: 9 }), 8);
+  assert.equal(size('sqlserver', { type: 'decimal', precision: 10, scale: 2 }), 9);
+  assert.equal(size('postgres', { type: 'decimal', precision: 10, scale: 2 }), 9);
+  assert.equal(size('postgres', { type: 'float', precision: 53 }), 8);
+  assert.equal(size('mysql', { type: 'char', length: 10, charset: 'utf8_wide' }), 30);
+});
+
+test('national strings are UTF-16 in SQL Server and follow the character set elsewhere', () => {
+  const columns = [{ type: 'nvarchar', length: 100 }];
+  const ascii = computeRowSize('sqlserver', [{ type: 'varchar', length: 100 }]);
+  assert.equal(computeRowSize('sqlserver', columns).dataBytes, 200);
+  assert.equal(ascii.dataBytes, 100);
+  assert.equal(computeRowSize('mysql', [{ ...columns[0], charset: 'utf16' }]).dataBytes, 200);
+  assert.equal(computeRowSize('mysql', columns).dataBytes, 100);
+});
+
+test('custom types are sized by their own rules', () => {
+  const point = createCustomType({ name: 'geo_point', sizing: 'fixed', size: 16 });
+  const path = createCustomType({ name: 'geo_path', sizing: 'variable', bytesPerUnit: 16, overhead: 4 });
+  assert.equal(computeRowSize('generic', [{ type: 'custom', customType: point }]).dataBytes, 16);
+  assert.equal(computeRowSize('generic', [{ type: 'custom', customType: path, length: 10 }]).dataBytes, 164);
+});
+
+test('DDL import keeps type parameters', () => {
+  const [table] = parseCreateTables(`CREATE TABLE t (
+    amount NUMERIC(12,3), code CHAR(3), seen TIMESTAMPTZ(3), state ENUM('a','b','c'), tags INT[]
+  );`, 'postgres');
+  assert.deepEqual(table.columns.map(({ name, length, ...col }) => col), [
+    { type: 'decimal', precision: 12, scale: 3 },
+    { type: 'char' },
+    { type: 'timestamptz', precision: 3 },
+    { type: 'enum', values: 3 },
+    { type: 'array', elementType: 'int' },
+  ]);
+  assert.equal(table.columns[1].length, 3);
+});
+
+test('DDL import ignores commas and comment markers inside quotes', () => {
+  const [table] = parseCreateTables(`CREATE TABLE t (
+    tags VARCHAR(40) DEFAULT 'x,y', note VARCHAR(200) DEFAULT 'a -- b', \`odd,name\` INT, -- real comment, here
+    label VARCHAR(20) DEFAULT 'it''s (a), test' /* c, d */
+  );`, 'mysql');
+  assert.deepEqual(table.columns.map(col => [col.name, col.type, col.length]), [
+    ['tags', 'varchar', 40],
+    ['note', 'varchar', 200],
+    ['odd,name', 'int', 50],
+    ['label', 'varchar', 20],
+  ]);
+  assert.deepEqual(table.warnings, []);
+});
+
+test('DDL import sizes a VARCHAR without a length like TEXT', () => {
+  const [table] = parseCreateTables('CREATE TABLE t (a VARCHAR, b CHARACTER VARYING, c CHAR, d TEXT);', 'postgres');
+  const [a, b, c, d] = table.columns;
+  assert.equal(a.type, 'varchar');
+  assert.equal(a.length, d.length);
+  assert.equal(b.length, d.length);
+  assert.equal(c.length, 1);
+});
+
+test('quoted identifiers escape their own quote character', () => {
+  assert.equal(quoteIdentifier('postgres', 'payload'), 'payload');
+  assert.equal(quoteIdentifier('postgres', 'weird"name'), '"weird""name"');
+  assert.equal(quoteIdentifier('mysql', 'weird`name'), '`weird``name`');
+  assert.equal(quoteIdentifier('sqlserver', 'weird]name'), '[weird]]name]');
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseDuration, formatDuration, parseTimeToSeconds, numberError, durationError, columnNameError,
+  createTable, createAgentGroup, createColumn, withColumns, serializeScenario, restoreScenario, MAX_COLUMNS,
+} from '../src/lib/index.js';
+import { parseCreateTables } from '../src/lib/ddl.js';
+
+test('durations read clock notation and units', () => {
+  assert.equal(parseDuration('00:01:30'), 90);
+  assert.equal(parseDuration('1:00'), 60);
+  assert.equal(parseDuration('30s'), 30);
+  assert.equal(parseDuration('5m'), 300);
+  assert.equal(parseDuration('1h 30m'), 5400);
+  assert.equal(parseDuration('250ms'), 0.25);
+  assert.equal(parseDuration('2 Minutes'), 120);
+  assert.equal(parseDuration('5x'), null);
+  assert.equal(parseDuration('constructor'), null);
+  assert.equal(parseDuration('m5'), null);
+  assert.equal(parseDuration(''), null);
+  assert.equal(parseTimeToSeconds('5m'), 300);
+  assert.equal(formatDuration(5400), '1 h 30 min');
+  assert.equal(formatDuration(0.5), '0.5 s');
+});
+
+test('field checks explain what is wrong', () => {
+  assert.equal(numberError('42', { min: 0, integer: true }), '');
+  assert.equal(numberError('', { min: 0 }), 'Enter a value.');
+  assert.equal(numberError('abc'), 'Enter a number.');
+  assert.equal(numberError('1.5', { integer: true }), 'Enter a whole number.');
+  assert.equal(numberError('5', { min: 10 }), 'Must be at least 10.');
+  assert.equal(numberError('1000000', { max: 250 }), 'Must be at most 250.');
+  assert.equal(durationError('1:00'), '');
+  assert.match(durationError('soon'), /30s or 5m/);
+  assert.match(durationError('0s'), /greater than 0/);
+
+  const columns = [{ name: 'payload' }, { name: 'Payload' }, {}, { name: 'col_3' }, { name: 'created_at' }];
+  assert.match(columnNameError(columns, 0), /also named/);
+  // Unnamed columns are created as col_<position>
+  assert.match(columnNameError(columns, 2), /also named "col_3"/);
+  assert.match(columnNameError(columns, 4), /system column/);
+});
+
+test('index references and group overrides follow reordered columns', () => {
+  const table = createTable({
+    columns: [createColumn({ name: 'a' }), createColumn({ name: 'b' }), createColumn({ name: 'c' })],
+    indexes: [{ id: 'idx_1', name: 'idx', kind: 'btree', columns: ['sys:agent_id', 'col:2', 'col:0'], include: ['col:1'] }],
+    agentGroups: [createAgentGroup({ columnOverrides: { 0: { length: 10 }, 2: { length: 30 } } })],
+  });
+  const [a, b, c] = table.columns;
+
+  const reordered = withColumns(table, [c, a, b]);
+  assert.deepEqual(reordered.indexes[0].columns, ['sys:agent_id', 'col:0', 'col:1']);
+  assert.deepEqual(reordered.indexes[0].include, ['col:2']);
+  assert.deepEqual(reordered.agentGroups[0].columnOverrides, { 0: { length: 30 }, 1: { length: 10 } });
+
+  // Removed columns take their references along; new columns get ids
+  const trimmed = withColumns(table, [b, { type: 'int' }]);
+  assert.deepEqual(trimmed.indexes[0].columns, ['sys:agent_id']);
+  assert.deepEqual(trimmed.indexes[0].include, ['col:0']);
+  assert.deepEqual(trimmed.agentGroups[0].columnOverrides, {});
+  assert.ok(trimmed.columns[1].id);
+});
+
+test('column ids stay out of saved scenarios', () => {
+  const table = createTable({ columns: [createColumn({ name: 'payload', length: 200 })] });
+  const serialized = serializeScenario(restoreScenario({ tables: [{ numAgents: 5 }] }));
+  // Default columns still compare equal to the defaults
+  assert.equal(serialized.tables[0].columns, undefined);
+
+  const saved = serializeScenario({ ...restoreScenario({}), tables: [table], activeTableId: table.id });
+  assert.deepEqual(saved.tables[0].columns, [{ name: 'payload', length: 200 }]);
+  const restored = restoreScenario(saved).tables[0].columns[0];
+  assert.ok(restored.id && restored.id !== table.columns[0].id);
+});
+
+test('scenarios and DDL imports hold at most MAX_COLUMNS columns', () => {
+  const columns = Array.from({ length: MAX_COLUMNS + 5 }, (_, idx) => ({ name: `c${idx}` }));
+  const [table] = restoreScenario({
+    tables: [{ columns, indexes: [{ name: 'idx', kind: 'btree', columns: ['col:0', `col:${MAX_COLUMNS + 1}`] }] }],
+  }).tables;
+  assert.equal(table.columns.length, MAX_COLUMNS);
+  assert.deepEqual(table.indexes[0].columns, ['col:0']);
+
+  const definitions = columns.map(col => `${col.name} INT`).join(', ');
+  const [parsed] = parseCreateTables(`CREATE TABLE wide (${definitions});`);
+  assert.equal(parsed.columns.length, MAX_COLUMNS);
+  assert.match(parsed.warnings[0], /first 250 of 255/);
+});